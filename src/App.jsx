@@ -9,7 +9,7 @@
  * The application state is managed here and passed down to components.
  */
 
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { Calendar, Settings, Users, Grid, ChevronLeft, ChevronRight, Lock, LogOut } from 'lucide-react';
 
 // Access code from environment variables (VITE_ prefix is required)
@@ -20,15 +20,32 @@ import {
   DEFAULT_SHIFT_TYPES,
   DEFAULT_CONSTRAINTS,
   DEFAULT_FACILITY,
+  DEFAULT_ABSENCE_TYPES,
+  CONSTRAINT_TYPES,
   PRESET_FILES,
   MONTHS
 } from './constants';
 
 // Utilities
-import { generateId, exportToExcel, getDaysInMonth } from './utils';
+import { generateId, exportToExcel, getDaysInMonth, getFirstDayOfMonth, getHolidaysInMonth } from './utils';
 
 // Scheduling
-import { generateMonthlySchedule, generateDefaultMatrix, evaluateSchedule, calculateWorkerHours } from './scheduling';
+import {
+  generateMonthlySchedule,
+  generateDefaultMatrix,
+  evaluateSchedule,
+  calculateWorkerHours,
+  applyCoverageOverrides,
+  getCoverageRange,
+  formatCoverageRange,
+  countHolidaysWorked,
+  analyzeConstraintSet,
+  checkCoverageFeasibility,
+  getAbsenceLocks,
+  mergeLockedShifts,
+  runIslandPool,
+  getDefaultIslandCount
+} from './scheduling';
 
 // Components
 import {
@@ -65,6 +82,8 @@ export default function TurniOSSApp() {
   const [isGreedyMode, setIsGreedyMode] = useState(false);
   const [generationStats, setGenerationStats] = useState(null);
   const [generationError, setGenerationError] = useState(null);
+  // Diagnosis of a failed generation: { running, progress } then the DiagnosisResult
+  const [diagnosis, setDiagnosis] = useState(null);
 
   // Configuration state
   const [facility, setFacility] = useState(DEFAULT_FACILITY);
@@ -78,9 +97,15 @@ export default function TurniOSSApp() {
   const [previousMonthSchedule, setPreviousMonthSchedule] = useState(null);
   const [generatedSchedule, setGeneratedSchedule] = useState(null);
   const [warnings, setWarnings] = useState([]);
+  // Cells pinned in the schedule viewer, kept by regeneration: { empId: { day: shiftId } }
+  const [pinnedShifts, setPinnedShifts] = useState({});
   
   // Worker reference for cancellation
   const workerRef = React.useRef(null);
+  // Options and worker payload of the last generation, reused by the diagnosis
+  const lastGenerationRef = React.useRef(null);
+  // Set when rules were relaxed from the diagnosis: regenerate once the state is updated
+  const retryAfterRelaxRef = React.useRef(false);
 
   // Preset state
   const [filePresets, setFilePresets] = useState([]);
@@ -96,6 +121,59 @@ export default function TurniOSSApp() {
   // Combined presets (file-based first, then local)
   const presets = [...filePresets, ...localPresets];
 
+  // Coverage rules for the selected month, with date-specific overrides applied
+  const monthCoverageRules = useMemo(
+    () => applyCoverageOverrides(facility.coverageRules, facility.coverageOverrides, year, month),
+    [facility.coverageRules, facility.coverageOverrides, year, month]
+  );
+
+  // National holidays plus the facility patron day for the selected month
+  const monthHolidays = useMemo(
+    () => getHolidaysInMonth(year, month, facility.patronSaint),
+    [year, month, facility.patronSaint]
+  );
+  const holidayDays = useMemo(() => monthHolidays.map(h => h.dayOfMonth - 1), [monthHolidays]);
+
+  // Absence codes (FE, MAL, ...) live in the schedule next to the shifts:
+  // generation, evaluation and hours accounting all see both lists
+  const absenceTypes = facility.absenceTypes || DEFAULT_ABSENCE_TYPES;
+  const scheduleShiftTypes = useMemo(
+    () => [...shiftTypes, ...absenceTypes.map(a => ({ ...a, absence: true }))],
+    [shiftTypes, absenceTypes]
+  );
+
+  // Static analysis of the constraint set, checked before every generation
+  const constraintIssues = useMemo(
+    () => analyzeConstraintSet({
+      constraints,
+      shiftTypes: scheduleShiftTypes,
+      coverageRules: monthCoverageRules,
+      shiftGroups: facility.shiftGroups || [],
+      employees
+    }),
+    [constraints, scheduleShiftTypes, monthCoverageRules, facility.shiftGroups, employees]
+  );
+
+  // Staffing arithmetic: can the contracts cover the month's minimum coverage?
+  const feasibility = useMemo(
+    () => checkCoverageFeasibility({
+      employees,
+      shiftTypes: scheduleShiftTypes,
+      coverageRules: monthCoverageRules,
+      shiftGroups: facility.shiftGroups || [],
+      daysInMonth: getDaysInMonth(year, month),
+      firstDayOfMonth: getFirstDayOfMonth(year, month),
+      holidays: holidayDays,
+      lockedShifts: mergeLockedShifts(pinnedShifts, getAbsenceLocks(employees, year, month))
+    }),
+    [employees, scheduleShiftTypes, monthCoverageRules, facility.shiftGroups, year, month, holidayDays, pinnedShifts]
+  );
+
+  // Pins belong to the month they were set in
+  useEffect(() => {
+    setPinnedShifts({});
+  }, [year, month]);
+
   // Load presets from /presets/ folder on mount
   useEffect(() => {
     const loadFilePresets = async () => {
@@ -156,6 +234,7 @@ export default function TurniOSSApp() {
       setEmployees([]);
       setMatrices([]);
       setGeneratedSchedule(null);
+      setPinnedShifts({});
       setCurrentPresetId(null);
     } else {
       const preset = presets.find(p => p.id === presetId);
@@ -179,6 +258,7 @@ export default function TurniOSSApp() {
         }
         setCurrentPresetId(presetId);
         setGeneratedSchedule(null);
+        setPinnedShifts({});
       }
     }
   };
@@ -200,6 +280,24 @@ export default function TurniOSSApp() {
       return;
     }
 
+    // Contradictory constraints or too few people on hand cannot be
+    // satisfied: don't start the worker
+    const toWarning = (prefix) => (issue) => ({
+      type: 'analysis',
+      severity: issue.severity,
+      message: `${prefix}: ${issue.message}`
+    });
+    const allIssues = [
+      ...constraintIssues.map(toWarning('Configurazione')),
+      ...feasibility.issues.map(toWarning('Organico'))
+    ];
+    const blockingIssues = allIssues.filter(issue => issue.severity === 'error');
+    if (blockingIssues.length > 0) {
+      setWarnings(blockingIssues);
+      return;
+    }
+    const analysisWarnings = allIssues;
+
     // Terminate existing worker if any
     if (workerRef.current) {
       workerRef.current.terminate();
@@ -222,79 +320,120 @@ export default function TurniOSSApp() {
     setIsGenerating(true);
     setGenerationStats(null);
     setGenerationError(null); // Reset error state
+    setDiagnosis(null);
 
-    const worker = new Worker(new URL('./scheduling/worker.js', import.meta.url), { type: 'module' });
+    const createWorker = () =>
+      new Worker(new URL('./scheduling/worker.js', import.meta.url), { type: 'module' });
+
+    const handleResult = (result) => {
+      // Check for logical failure (e.g. GA couldn't find valid solution)
+      if (result.metadata && result.metadata.failed) {
+        setGenerationError({
+          message: result.warnings[0]?.message || 'Ottimizzazione fallita',
+          details: result.warnings[0]?.details || result.metadata.cspReason,
+          // Store the best-effort schedule so user can view it
+          bestEffortSchedule: result.metadata.hasBestEffortSchedule ? result.schedule : null
+        });
+        // Keep overlay visible (isGenerating remains true until closed)
+      } else {
+        setGeneratedSchedule(result.schedule);
+
+        // Use centralized evaluator for constraint warnings
+        const evaluation = evaluateSchedule({
+          schedule: result.schedule,
+          employees,
+          shiftTypes: scheduleShiftTypes,
+          constraints,
+          coverageRules: monthCoverageRules,
+          shiftGroups: facility.shiftGroups || [],
+          daysInMonth: getDaysInMonth(year, month),
+          firstDayOfMonth: getFirstDayOfMonth(year, month),
+          previousMonthSchedule,
+          holidays: holidayDays
+        });
+        setWarnings([...analysisWarnings, ...evaluation.warnings]);
+
+        setActiveTab('schedule');
+        setIsGenerating(false);
+      }
+    };
+
+    const handleError = (message) => {
+      console.error('Generation error:', message);
+      setGenerationError({
+        message: 'Errore critico durante la generazione',
+        details: message
+      });
+    };
+
+    const payload = {
+      year,
+      month,
+      employees,
+      shiftTypes: scheduleShiftTypes,
+      matrices: workingMatrices,
+      coverageRules: monthCoverageRules,
+      shiftGroups: facility.shiftGroups || [],
+      holidays: holidayDays,
+      pinnedShifts,
+      constraints,
+      previousMonthSchedule,
+      optimizerOptions: {
+        useCSP: !options.forceGreedy, // Disable CSP/GA if greedy is forced
+        gaTimeoutMs: 1800000, // 30 minutes
+        greedyFallback: !!options.forceGreedy, // Use greedy only if explicitly requested
+        weights: options.weights,
+        populationSize: options.populationSize,
+        maxGenerations: options.maxGenerations,
+        stagnationLimit: options.stagnationLimit,
+        baselineAdherence: options.baselineAdherence,
+        method: options.forceGreedy ? undefined : options.method
+      }
+    };
+    lastGenerationRef.current = { options, payload };
+
+    // The GA runs as an island model when more than one worker is available;
+    // the exact search and the greedy run stay on a single worker
+    const islandCount = options.islands ?? getDefaultIslandCount(navigator.hardwareConcurrency);
+    if (!useGreedy && options.method !== 'exact' && islandCount > 1) {
+      workerRef.current = runIslandPool({
+        payload,
+        islandCount,
+        createWorker,
+        onProgress: setGenerationStats,
+        onComplete: (result) => {
+          handleResult(result);
+          workerRef.current = null;
+        },
+        onError: (message) => {
+          handleError(message);
+          workerRef.current = null;
+        }
+      });
+      return;
+    }
+
+    const worker = createWorker();
     workerRef.current = worker;
 
     worker.onmessage = (e) => {
-      const { type, payload } = e.data;
+      const { type, payload: data } = e.data;
 
       if (type === 'PROGRESS') {
-        setGenerationStats(payload);
+        setGenerationStats(data);
       } else if (type === 'SUCCESS') {
-        // Check for logical failure (e.g. GA couldn't find valid solution)
-        if (payload.metadata && payload.metadata.failed) {
-          setGenerationError({
-            message: payload.warnings[0]?.message || 'Ottimizzazione fallita',
-            details: payload.warnings[0]?.details || payload.metadata.cspReason,
-            // Store the best-effort schedule so user can view it
-            bestEffortSchedule: payload.metadata.hasBestEffortSchedule ? payload.schedule : null
-          });
-          // Keep overlay visible (isGenerating remains true until closed)
-        } else {
-          setGeneratedSchedule(payload.schedule);
-
-          // Use centralized evaluator for constraint warnings
-          const evaluation = evaluateSchedule({
-            schedule: payload.schedule,
-            employees,
-            shiftTypes,
-            constraints,
-            coverageRules: facility.coverageRules,
-            daysInMonth: getDaysInMonth(year, month)
-          });
-          setWarnings(evaluation.warnings);
-
-          setActiveTab('schedule');
-          setIsGenerating(false);
-        }
+        handleResult(data);
         worker.terminate();
         workerRef.current = null;
       } else if (type === 'ERROR') {
-        console.error('Generation error:', payload);
-        setGenerationError({
-          message: 'Errore critico durante la generazione',
-          details: payload
-        });
+        handleError(data);
         worker.terminate();
         workerRef.current = null;
       }
     };
 
-    worker.postMessage({
-      type: 'GENERATE',
-      payload: {
-        year,
-        month,
-        employees,
-        shiftTypes,
-        matrices: workingMatrices,
-        coverageRules: facility.coverageRules,
-        constraints,
-        previousMonthSchedule,
-        optimizerOptions: {
-          useCSP: !options.forceGreedy, // Disable CSP/GA if greedy is forced
-          gaTimeoutMs: 1800000, // 30 minutes
-          greedyFallback: !!options.forceGreedy, // Use greedy only if explicitly requested
-          weights: options.weights,
-          populationSize: options.populationSize,
-          maxGenerations: options.maxGenerations,
-          stagnationLimit: options.stagnationLimit,
-          baselineAdherence: options.baselineAdherence
-        }
-      }
-    });
-  }, [year, month, employees, shiftTypes, matrices, facility, constraints, previousMonthSchedule]);
+    worker.postMessage({ type: 'GENERATE', payload });
+  }, [year, month, employees, scheduleShiftTypes, matrices, facility, monthCoverageRules, holidayDays, pinnedShifts, constraints, constraintIssues, feasibility, previousMonthSchedule]);
 
   const handleRetryGreedy = () => {
     generate({ forceGreedy: true });
@@ -319,8 +458,82 @@ export default function TurniOSSApp() {
     setIsGenerating(false);
     setGenerationStats(null);
     setGenerationError(null);
+    setDiagnosis(null);
+  };
+
+  // Human-readable name of a rule relaxed by the diagnosis
+  const describeRelaxedRule = ({ kind, id }) => {
+    if (kind === 'coverage') {
+      const rule = monthCoverageRules.find(r => r.id === id);
+      if (!rule) return `Copertura ${id}`;
+      const scope = rule.days?.length === 1 ? ` il giorno ${rule.days[0] + 1}` : '';
+      return `Copertura ${rule.shiftIds.join('/')}${rule.skill ? ` (${rule.skill})` : ''}${scope}: ${formatCoverageRange(getCoverageRange(rule))}`;
+    }
+    const constraint = constraints.find(c => c.id === id);
+    if (!constraint) return `Vincolo ${id}`;
+    const typeName = CONSTRAINT_TYPES.find(t => t.id === constraint.type)?.name || constraint.type;
+    const shifts = [constraint.shiftA, constraint.shiftB, constraint.shift, ...(constraint.shifts || [])].filter(Boolean);
+    const days = constraint.days !== undefined ? ` (${constraint.days} gg)` : '';
+    return `${typeName}: ${shifts.join(' → ')}${days}`;
+  };
+
+  // Short GA runs relaxing the violated rules, to explain a failed generation
+  const handleDiagnose = () => {
+    if (!lastGenerationRef.current) return;
+    if (workerRef.current) workerRef.current.terminate();
+
+    const worker = new Worker(new URL('./scheduling/worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    setDiagnosis({ running: true, progress: null });
+
+    worker.onmessage = (e) => {
+      const { type, payload } = e.data;
+
+      if (type === 'PROGRESS') {
+        setDiagnosis({ running: true, progress: payload });
+      } else if (type === 'SUCCESS') {
+        setDiagnosis({
+          running: false,
+          ...payload,
+          relaxed: payload.relaxed.map(rule => ({ ...rule, label: describeRelaxedRule(rule) }))
+        });
+      } else if (type === 'ERROR') {
+        console.error('Diagnosis error:', payload);
+        setDiagnosis({ running: false, found: false, relaxed: [], error: payload });
+      }
+      if (type !== 'PROGRESS') {
+        worker.terminate();
+        workerRef.current = null;
+      }
+    };
+
+    worker.postMessage({ type: 'DIAGNOSE', payload: lastGenerationRef.current.payload });
+  };
+
+  // Disable the rules found by the diagnosis and generate again
+  const handleRelaxAndRetry = () => {
+    const relaxed = diagnosis?.relaxed || [];
+    const isRelaxed = (kind, id) => relaxed.some(rule => rule.kind === kind && rule.id === id);
+
+    setConstraints(prev => prev.map(c => (isRelaxed('constraint', c.id) ? { ...c, enabled: false } : c)));
+    // Month-scoped coverage rules come either from the regular rules or from date overrides
+    setFacility(prev => ({
+      ...prev,
+      coverageRules: (prev.coverageRules || []).map(r => (isRelaxed('coverage', r.id) ? { ...r, enabled: false } : r)),
+      coverageOverrides: (prev.coverageOverrides || []).map(o => (isRelaxed('coverage', o.id) ? { ...o, enabled: false } : o))
+    }));
+    setGenerationError(null);
+    setDiagnosis(null);
+    retryAfterRelaxRef.current = true;
   };
 
+  // generate() sees the relaxed rules only after the re-render
+  useEffect(() => {
+    if (!retryAfterRelaxRef.current) return;
+    retryAfterRelaxRef.current = false;
+    generate(lastGenerationRef.current?.options);
+  }, [generate]);
+
   const handleCloseError = () => {
     // If there's a best-effort schedule, use it when closing and evaluate constraints
     if (generationError?.bestEffortSchedule && Object.keys(generationError.bestEffortSchedule).length > 0) {
@@ -330,35 +543,48 @@ export default function TurniOSSApp() {
       const evaluation = evaluateSchedule({
         schedule: generationError.bestEffortSchedule,
         employees,
-        shiftTypes,
+        shiftTypes: scheduleShiftTypes,
         constraints,
-        coverageRules: facility.coverageRules,
-        daysInMonth: getDaysInMonth(year, month)
+        coverageRules: monthCoverageRules,
+        shiftGroups: facility.shiftGroups || [],
+        daysInMonth: getDaysInMonth(year, month),
+        firstDayOfMonth: getFirstDayOfMonth(year, month),
+        previousMonthSchedule,
+        holidays: holidayDays
       });
       setWarnings(evaluation.warnings);
 
       setActiveTab('schedule');
     }
     setGenerationError(null);
+    setDiagnosis(null);
     setIsGenerating(false);
   };
 
   const handleCloseErrorWithoutSchedule = () => {
     // Close without using the best-effort schedule
     setGenerationError(null);
+    setDiagnosis(null);
     setIsGenerating(false);
   };
 
   // Excel export
   const handleExport = () => {
     if (generatedSchedule) {
+      const holidaysWorked = {};
+      for (const emp of employees) {
+        const shifts = generatedSchedule[emp.id]?.shifts;
+        if (shifts) holidaysWorked[emp.id] = countHolidaysWorked(shifts, scheduleShiftTypes, holidayDays);
+      }
       exportToExcel({
         schedule: generatedSchedule,
         employees,
-        shiftTypes,
+        shiftTypes: scheduleShiftTypes,
         year,
         month,
-        facility
+        facility,
+        holidays: monthHolidays,
+        holidaysWorked
       });
     }
   };
@@ -379,24 +605,47 @@ export default function TurniOSSApp() {
     };
 
     // Recalculate hours for this employee
-    const newTotalHours = calculateWorkerHours(updatedSchedule[employeeId].shifts, shiftTypes);
+    const newTotalHours = calculateWorkerHours(updatedSchedule[employeeId].shifts, scheduleShiftTypes);
     updatedSchedule[employeeId].totalHours = newTotalHours;
     updatedSchedule[employeeId].hoursDiff = newTotalHours - updatedSchedule[employeeId].contractHours;
 
     setGeneratedSchedule(updatedSchedule);
 
+    // Manual edits are pinned so that regeneration keeps them
+    setPinnedShifts(prev => ({
+      ...prev,
+      [employeeId]: { ...prev[employeeId], [day]: newShift }
+    }));
+
     // Re-evaluate warnings with updated schedule
     const evaluation = evaluateSchedule({
       schedule: updatedSchedule,
       employees,
-      shiftTypes,
+      shiftTypes: scheduleShiftTypes,
       constraints,
-      coverageRules: facility.coverageRules,
-      daysInMonth: getDaysInMonth(year, month)
+      coverageRules: monthCoverageRules,
+      shiftGroups: facility.shiftGroups || [],
+      daysInMonth: getDaysInMonth(year, month),
+      firstDayOfMonth: getFirstDayOfMonth(year, month),
+      previousMonthSchedule,
+      holidays: holidayDays
     });
     setWarnings(evaluation.warnings);
   };
 
+  // Pin or unpin a cell at its current shift
+  const handleTogglePin = (employeeId, day) => {
+    setPinnedShifts(prev => {
+      const { [day]: current, ...otherDays } = prev[employeeId] || {};
+      if (current !== undefined) {
+        return { ...prev, [employeeId]: otherDays };
+      }
+      const shift = generatedSchedule?.[employeeId]?.shifts[day];
+      if (!shift) return prev;
+      return { ...prev, [employeeId]: { ...otherDays, [day]: shift } };
+    });
+  };
+
   // Month navigation
   const prevMonth = () => {
     if (month === 0) {
@@ -480,6 +729,9 @@ export default function TurniOSSApp() {
         onCancel={handleCancel}
         onClose={handleCloseError}
         onCloseWithoutSchedule={handleCloseErrorWithoutSchedule}
+        diagnosis={diagnosis}
+        onDiagnose={handleDiagnose}
+        onRelaxAndRetry={handleRelaxAndRetry}
         hasBestEffortSchedule={!!(generationError?.bestEffortSchedule && Object.keys(generationError.bestEffortSchedule).length > 0)}
       />
       {/* Header */}
@@ -572,6 +824,7 @@ export default function TurniOSSApp() {
             setShiftTypes={setShiftTypes}
             constraints={constraints}
             setConstraints={setConstraints}
+            employees={employees}
           />
         )}
 
@@ -580,6 +833,7 @@ export default function TurniOSSApp() {
             employees={employees}
             setEmployees={setEmployees}
             shiftTypes={shiftTypes}
+            absenceTypes={absenceTypes}
             matrices={matrices}
           />
         )}
@@ -591,6 +845,7 @@ export default function TurniOSSApp() {
             shiftTypes={shiftTypes}
             constraints={constraints}
             coverageRules={facility.coverageRules}
+            shiftGroups={facility.shiftGroups || []}
             employees={employees}
             year={year}
             month={month}
@@ -601,18 +856,22 @@ export default function TurniOSSApp() {
           <ScheduleViewer
             schedule={generatedSchedule}
             employees={employees}
-            shiftTypes={shiftTypes}
+            shiftTypes={scheduleShiftTypes}
             matrices={matrices}
             year={year}
             month={month}
             warnings={warnings}
             facility={facility}
+            holidays={monthHolidays}
             onExport={handleExport}
             previousMonthSchedule={previousMonthSchedule}
             onPreviousMonthUpload={setPreviousMonthSchedule}
             onPreviousMonthClear={() => setPreviousMonthSchedule(null)}
             onGenerate={generate}
             onScheduleChange={handleScheduleChange}
+            pinnedShifts={pinnedShifts}
+            onTogglePin={handleTogglePin}
+            onClearPins={() => setPinnedShifts({})}
           />
         )}
       </main>
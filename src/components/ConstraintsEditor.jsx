@@ -1,9 +1,25 @@
-import React, { useState } from 'react';
-import { Plus, Trash2, X, Link } from 'lucide-react';
+import React, { useState, useMemo } from 'react';
+import { Plus, Trash2, X, Link, AlertTriangle } from 'lucide-react';
 import { CONSTRAINT_TYPES } from '../constants';
 import { generateId } from '../utils';
+import { parseShiftPattern, PATTERN_WILDCARD, analyzeConstraintSet } from '../scheduling';
 import { ShiftBadge } from './shared';
 
+// Blank state of the "new constraint" form
+const EMPTY_CONSTRAINT = {
+  type: 'must_follow',
+  shiftA: '',
+  shiftB: '',
+  shift: '',
+  shifts: [],
+  count: 1,
+  days: 1,
+  hours: 11,
+  patternText: '',
+  traineeId: '',
+  employeeIds: []
+};
+
 /**
  * Editor for managing shift sequence constraints
  *
@@ -11,16 +27,61 @@ import { ShiftBadge } from './shared';
  * @param {Array<Object>} props.constraints - Current constraints array
  * @param {Function} props.setConstraints - Setter for constraints
  * @param {Array<Object>} props.shiftTypes - Available shift types
+ * @param {Array<Object>} props.shiftGroups - Shift groups usable in place of a shift
+ * @param {Array<Object>} props.employees - Employees available to cross-employee constraints
+ * @param {Array<Object>} props.coverageRules - Coverage rules, checked together with the constraints
  */
-const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
+const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes, shiftGroups = [], employees = [], coverageRules = [] }) => {
   const [showAddForm, setShowAddForm] = useState(false);
-  const [newConstraint, setNewConstraint] = useState({
-    type: 'must_follow',
-    shiftA: '',
-    shiftB: '',
-    shift: '',
-    days: 1
-  });
+  const [newConstraint, setNewConstraint] = useState(EMPTY_CONSTRAINT);
+
+  // Contradictions and dangling references in the enabled constraints
+  const issues = useMemo(
+    () => analyzeConstraintSet({ constraints, shiftTypes, coverageRules, shiftGroups, employees }),
+    [constraints, shiftTypes, coverageRules, shiftGroups, employees]
+  );
+  const getIssueSeverity = (constraintId) => {
+    const related = issues.filter(issue => issue.constraintIds.includes(constraintId));
+    if (related.some(issue => issue.severity === 'error')) return 'error';
+    return related.length > 0 ? 'warning' : null;
+  };
+
+  const toggleNewConstraintEmployee = (employeeId) => {
+    setNewConstraint(prev => ({
+      ...prev,
+      employeeIds: prev.employeeIds.includes(employeeId)
+        ? prev.employeeIds.filter(id => id !== employeeId)
+        : [...prev.employeeIds, employeeId]
+    }));
+  };
+
+  const getEmployeeName = (employeeId) => {
+    const emp = employees.find(e => e.id === employeeId);
+    return emp ? `${emp.surname || ''} ${emp.name || ''}`.trim() : '?';
+  };
+
+  const toggleNewConstraintShift = (shiftId) => {
+    setNewConstraint(prev => ({
+      ...prev,
+      shifts: prev.shifts.includes(shiftId)
+        ? prev.shifts.filter(id => id !== shiftId)
+        : [...prev.shifts, shiftId]
+    }));
+  };
+
+  // Codes accepted in a pattern: shifts, groups and the wildcard
+  const isPatternToken = (token) =>
+    token === PATTERN_WILDCARD ||
+    shiftTypes.some(st => st.id === token) ||
+    shiftGroups.some(g => g.id === token);
+
+  const newPattern = parseShiftPattern(newConstraint.patternText);
+  const unknownPatternTokens = newPattern.filter(token => !isPatternToken(token));
+  const isPatternValid = newPattern.length >= 2 &&
+    unknownPatternTokens.length === 0 &&
+    !(newConstraint.type === 'required_pattern' && newPattern[0] === PATTERN_WILDCARD);
+
+  const mentorIds = newConstraint.employeeIds.filter(id => id !== newConstraint.traineeId);
 
   const addConstraint = () => {
     const constraintType = CONSTRAINT_TYPES.find(ct => ct.id === newConstraint.type);
@@ -31,6 +92,17 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
     if (constraintType.params.includes('shiftB') && !newConstraint.shiftB) return;
     if (constraintType.params.includes('shift') && !newConstraint.shift) return;
     if (constraintType.params.includes('days') && newConstraint.days < 1) return;
+    if (constraintType.params.includes('hours') && !(newConstraint.hours > 0)) return;
+    if (constraintType.params.includes('shifts') && newConstraint.shifts.length === 0) return;
+    if (constraintType.params.includes('count') && newConstraint.count < 0) return;
+    if (constraintType.params.includes('pattern') && !isPatternValid) return;
+    if (constraintType.params.includes('employees')) {
+      if (newConstraint.type === 'always_together') {
+        if (!newConstraint.traineeId || mentorIds.length === 0) return;
+      } else if (newConstraint.employeeIds.length < 2) {
+        return;
+      }
+    }
 
     const constraint = {
       id: generateId(),
@@ -42,9 +114,18 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
     if (constraintType.params.includes('shiftB')) constraint.shiftB = newConstraint.shiftB;
     if (constraintType.params.includes('shift')) constraint.shift = newConstraint.shift;
     if (constraintType.params.includes('days')) constraint.days = newConstraint.days;
+    if (constraintType.params.includes('hours')) constraint.hours = newConstraint.hours;
+    if (constraintType.params.includes('shifts')) constraint.shifts = newConstraint.shifts;
+    if (constraintType.params.includes('count')) constraint.count = newConstraint.count;
+    if (constraintType.params.includes('pattern')) constraint.pattern = newPattern;
+    if (constraintType.params.includes('employees')) {
+      constraint.employees = newConstraint.type === 'always_together'
+        ? [newConstraint.traineeId, ...mentorIds]
+        : newConstraint.employeeIds;
+    }
 
     setConstraints([...constraints, constraint]);
-    setNewConstraint({ type: 'must_follow', shiftA: '', shiftB: '', shift: '', days: 1 });
+    setNewConstraint(EMPTY_CONSTRAINT);
     setShowAddForm(false);
   };
 
@@ -66,46 +147,46 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
       case 'must_follow':
         return (
           <>
-            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
             <span className="mx-1">→</span>
-            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
           </>
         );
       case 'cannot_follow':
         return (
           <>
-            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
             <span className="mx-1 text-red-500">↛</span>
-            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
           </>
         );
       case 'must_precede':
         return (
           <>
-            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
             <span className="mx-1">←</span>
-            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
           </>
         );
       case 'cannot_precede':
         return (
           <>
-            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
             <span className="mx-1 text-orange-500">↚</span>
-            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
           </>
         );
       case 'max_consecutive_without':
         return (
           <>
             Max <span className="font-bold mx-1">{constraint.days}</span> giorni senza{' '}
-            <ShiftBadge shift={constraint.shift} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shift} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
           </>
         );
       case 'max_consecutive':
         return (
           <>
-            <ShiftBadge shift={constraint.shift} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shift} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
             <span className="mx-1">max</span>
             <span className="font-bold">{constraint.days}×</span> consecutive
           </>
@@ -114,15 +195,100 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
         return (
           <>
             Min <span className="font-bold mx-1">{constraint.days}</span> giorni tra{' '}
-            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} size="sm" /> e{' '}
-            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} size="sm" />
+            <ShiftBadge shift={constraint.shiftA} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" /> e{' '}
+            <ShiftBadge shift={constraint.shiftB} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
+          </>
+        );
+      case 'min_consecutive':
+        return (
+          <>
+            {(constraint.shifts || []).map(sid => (
+              <ShiftBadge key={sid} shift={sid} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
+            ))}
+            <span className="mx-1">in blocchi di almeno</span>
+            <span className="font-bold">{constraint.days}</span> giorni
+          </>
+        );
+      case 'required_pattern':
+      case 'forbidden_pattern':
+        return (
+          <>
+            {constraint.type === 'forbidden_pattern' && <span className="mr-1 text-red-500">Mai</span>}
+            {(constraint.pattern || []).map((token, idx) => (
+              <ShiftBadge key={idx} shift={token} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
+            ))}
+            {constraint.type === 'required_pattern' && <span className="ml-1">sempre in blocco</span>}
           </>
         );
+      case 'max_together':
+        return (
+          <>
+            Max <span className="font-bold mx-1">{constraint.count}</span> tra{' '}
+            <span className="font-medium mx-1">{(constraint.employees || []).map(getEmployeeName).join(', ')}</span> in
+            {(constraint.shifts || []).map(sid => (
+              <ShiftBadge key={sid} shift={sid} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
+            ))}
+          </>
+        );
+      case 'always_together': {
+        const [traineeId, ...tutorIds] = constraint.employees || [];
+        return (
+          <>
+            <span className="font-medium">{getEmployeeName(traineeId)}</span> in
+            {(constraint.shifts || []).map(sid => (
+              <ShiftBadge key={sid} shift={sid} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
+            ))}
+            sempre con <span className="font-medium">{tutorIds.map(getEmployeeName).join(' o ')}</span>
+          </>
+        );
+      }
+      case 'min_rest_hours':
+        return (
+          <>
+            Min <span className="font-bold mx-1">{constraint.hours}h</span> di riposo tra due turni
+          </>
+        );
+      case 'max_hours_window':
+        return (
+          <>
+            Max <span className="font-bold mx-1">{constraint.hours}h</span> in{' '}
+            <span className="font-bold mx-1">{constraint.days}</span> giorni
+          </>
+        );
+      case 'max_count_window':
+      case 'min_count_window':
+        return (
+          <>
+            {constraint.type === 'max_count_window' ? 'Max' : 'Min'}{' '}
+            <span className="font-bold mx-1">{constraint.count}</span> tra{' '}
+            {(constraint.shifts || []).map(sid => (
+              <ShiftBadge key={sid} shift={sid} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
+            ))}
+            <span className="mx-1">in</span>
+            <span className="font-bold">{constraint.days}</span> giorni
+          </>
+        );
+      case 'min_free_weekends':
+        return (
+          <>
+            Almeno <span className="font-bold mx-1">{constraint.count}</span> weekend liberi al mese
+          </>
+        );
+      case 'no_consecutive_weekends':
+        return <>Mai due weekend consecutivi lavorati</>;
       default:
         return type.name;
     }
   };
 
+  const renderGroupOptions = () => shiftGroups.length > 0 && (
+    <optgroup label="Gruppi">
+      {shiftGroups.map(g => (
+        <option key={g.id} value={g.id}>{g.id} - {g.name}</option>
+      ))}
+    </optgroup>
+  );
+
   const selectedType = CONSTRAINT_TYPES.find(ct => ct.id === newConstraint.type);
 
   return (
@@ -201,6 +367,7 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
                     {shiftTypes.map(st => (
                       <option key={st.id} value={st.id}>{st.id} - {st.name}</option>
                     ))}
+                    {renderGroupOptions()}
                   </select>
                 </div>
               )}
@@ -217,6 +384,7 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
                     {shiftTypes.map(st => (
                       <option key={st.id} value={st.id}>{st.id} - {st.name}</option>
                     ))}
+                    {renderGroupOptions()}
                   </select>
                 </div>
               )}
@@ -233,10 +401,117 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
                     {shiftTypes.map(st => (
                       <option key={st.id} value={st.id}>{st.id} - {st.name}</option>
                     ))}
+                    {renderGroupOptions()}
                   </select>
                 </div>
               )}
 
+              {selectedType?.params.includes('shifts') && (
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Turni</label>
+                  <div className="flex flex-wrap gap-1.5">
+                    {[...shiftTypes, ...shiftGroups].map(st => {
+                      const isSelected = newConstraint.shifts.includes(st.id);
+                      return (
+                        <button
+                          key={st.id}
+                          title={st.name}
+                          onClick={() => toggleNewConstraintShift(st.id)}
+                          className={`px-2 py-1 rounded text-xs font-medium transition-all border ${
+                            isSelected
+                              ? 'bg-blue-600 text-white border-blue-600 shadow-sm'
+                              : 'bg-white text-slate-600 border-slate-200 hover:border-slate-300'
+                          }`}
+                        >
+                          {st.id}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
+              {selectedType?.params.includes('employees') && newConstraint.type === 'always_together' && (
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Tirocinante</label>
+                  <select
+                    value={newConstraint.traineeId}
+                    onChange={(e) => setNewConstraint({ ...newConstraint, traineeId: e.target.value })}
+                    className="px-3 py-2 border border-slate-300 rounded-lg text-sm min-w-[160px]"
+                  >
+                    <option value="">Seleziona...</option>
+                    {employees.map(emp => (
+                      <option key={emp.id} value={emp.id}>{getEmployeeName(emp.id)}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {selectedType?.params.includes('employees') && (
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">
+                    {newConstraint.type === 'always_together' ? 'Tutor' : 'Dipendenti'}
+                  </label>
+                  <div className="flex flex-wrap gap-1.5 max-w-md">
+                    {employees
+                      .filter(emp => newConstraint.type !== 'always_together' || emp.id !== newConstraint.traineeId)
+                      .map(emp => {
+                        const isSelected = newConstraint.employeeIds.includes(emp.id);
+                        return (
+                          <button
+                            key={emp.id}
+                            onClick={() => toggleNewConstraintEmployee(emp.id)}
+                            className={`px-2 py-1 rounded text-xs font-medium transition-all border ${
+                              isSelected
+                                ? 'bg-blue-600 text-white border-blue-600 shadow-sm'
+                                : 'bg-white text-slate-600 border-slate-200 hover:border-slate-300'
+                            }`}
+                          >
+                            {getEmployeeName(emp.id)}
+                          </button>
+                        );
+                      })}
+                    {employees.length === 0 && (
+                      <span className="text-xs text-slate-400 italic">Nessun dipendente</span>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {selectedType?.params.includes('pattern') && (
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Sequenza</label>
+                  <input
+                    type="text"
+                    value={newConstraint.patternText}
+                    onChange={(e) => setNewConstraint({ ...newConstraint, patternText: e.target.value.toUpperCase() })}
+                    placeholder={newConstraint.type === 'forbidden_pattern' ? 'N RP N' : 'N N11 SN RP'}
+                    className="w-48 px-3 py-2 border border-slate-300 rounded-lg text-sm font-mono"
+                  />
+                  <p className={`text-[10px] mt-0.5 ${unknownPatternTokens.length > 0 ? 'text-red-500' : 'text-slate-500'}`}>
+                    {unknownPatternTokens.length > 0
+                      ? `Codici sconosciuti: ${unknownPatternTokens.join(', ')}`
+                      : 'Codici separati da spazi, * = qualsiasi turno'}
+                  </p>
+                </div>
+              )}
+
+              {selectedType?.params.includes('count') && (
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Quantità</label>
+                  <input
+                    type="number"
+                    value={newConstraint.count}
+                    onChange={(e) =>
+                      setNewConstraint({ ...newConstraint, count: Math.max(0, parseInt(e.target.value) || 0) })
+                    }
+                    min="0"
+                    max="31"
+                    className="w-20 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                  />
+                </div>
+              )}
+
               {selectedType?.params.includes('days') && (
                 <div>
                   <label className="block text-xs font-medium text-slate-600 mb-1">Giorni</label>
@@ -253,6 +528,23 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
                 </div>
               )}
 
+              {selectedType?.params.includes('hours') && (
+                <div>
+                  <label className="block text-xs font-medium text-slate-600 mb-1">Ore</label>
+                  <input
+                    type="number"
+                    value={newConstraint.hours}
+                    onChange={(e) =>
+                      setNewConstraint({ ...newConstraint, hours: parseFloat(e.target.value) || 0 })
+                    }
+                    min="1"
+                    max="48"
+                    step="0.5"
+                    className="w-20 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                  />
+                </div>
+              )}
+
               <div className="flex-1" />
 
               <button
@@ -266,6 +558,30 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
         </div>
       )}
 
+      {/* Conflicts found by the static analysis */}
+      {issues.length > 0 && (
+        <div className={`mb-4 p-3 rounded-lg border ${
+          issues.some(issue => issue.severity === 'error')
+            ? 'bg-red-50 border-red-200'
+            : 'bg-amber-50 border-amber-200'
+        }`}>
+          <h4 className="text-xs font-semibold text-slate-700 flex items-center gap-1.5 mb-1">
+            <AlertTriangle size={14} />
+            Conflitti nei vincoli ({issues.length})
+          </h4>
+          <ul className="text-xs space-y-0.5">
+            {issues.map((issue, i) => (
+              <li key={i} className={issue.severity === 'error' ? 'text-red-700' : 'text-amber-700'}>
+                {issue.severity === 'error' ? 'Errore' : 'Avviso'}: {issue.message}
+              </li>
+            ))}
+          </ul>
+          {issues.some(issue => issue.severity === 'error') && (
+            <p className="text-[10px] text-red-600 mt-1">La generazione è bloccata finché gli errori non sono risolti.</p>
+          )}
+        </div>
+      )}
+
       {/* Constraints List */}
       <div className="space-y-2">
         {constraints.length === 0 ? (
@@ -278,13 +594,16 @@ const ConstraintsEditor = ({ constraints, setConstraints, shiftTypes }) => {
           constraints.map(constraint => {
             const type = CONSTRAINT_TYPES.find(ct => ct.id === constraint.type);
             const Icon = type?.icon || Link;
+            const severity = getIssueSeverity(constraint.id);
 
             return (
               <div
                 key={constraint.id}
                 className={`flex items-center gap-3 p-3 rounded-lg border transition-all ${
                   constraint.enabled
-                    ? `${type?.bgColor || 'bg-slate-50'} border-slate-200`
+                    ? `${type?.bgColor || 'bg-slate-50'} ${
+                      severity === 'error' ? 'border-red-400' : severity === 'warning' ? 'border-amber-400' : 'border-slate-200'
+                    }`
                     : 'bg-slate-100 border-slate-200 opacity-60'
                 }`}
               >
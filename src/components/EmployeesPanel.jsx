@@ -1,7 +1,247 @@
 import React, { useState } from 'react';
-import { Users, Plus, Trash2 } from 'lucide-react';
+import { Users, Plus, Trash2, X, CalendarOff, Heart } from 'lucide-react';
 import { generateId } from '../utils';
 
+/**
+ * Tag editor for employee skills (e.g. "infermiere", "senior", "BLSD")
+ * A tag is added on Enter, comma or blur.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.skills - Current skill tags
+ * @param {Function} props.onChange - Called with the new skill list
+ */
+const SkillsInput = ({ skills = [], onChange }) => {
+  const [text, setText] = useState('');
+
+  const commit = () => {
+    const skill = text.trim().replace(/,$/, '').trim();
+    if (skill && !skills.includes(skill)) {
+      onChange([...skills, skill]);
+    }
+    setText('');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {skills.map(skill => (
+        <span
+          key={skill}
+          className="flex items-center gap-0.5 px-1.5 py-0.5 text-[10px] rounded bg-indigo-50 border border-indigo-200 text-indigo-700"
+        >
+          {skill}
+          <button onClick={() => onChange(skills.filter(s => s !== skill))} className="hover:text-red-500">
+            <X size={10} />
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            commit();
+          }
+        }}
+        onBlur={commit}
+        placeholder="+ qualifica"
+        className="w-20 px-1.5 py-0.5 border border-slate-200 rounded text-[10px]"
+      />
+    </div>
+  );
+};
+
+/**
+ * Absence calendar editor for one employee
+ * Absences are stored as { 'YYYY-MM-DD': absenceTypeId }.
+ *
+ * @param {Object} props
+ * @param {Object<string, string>} props.absences - Current absences by date
+ * @param {Array<Object>} props.absenceTypes - Available absence types
+ * @param {Function} props.onChange - Called with the new absences map
+ */
+const AbsencesEditor = ({ absences = {}, absenceTypes = [], onChange }) => {
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [typeId, setTypeId] = useState(absenceTypes[0]?.id || '');
+
+  // Add the absence on every date of the (inclusive) range
+  const addAbsence = () => {
+    if (!fromDate || !typeId) return;
+    const updated = { ...absences };
+    const current = new Date(`${fromDate}T00:00:00`);
+    const last = new Date(`${toDate && toDate >= fromDate ? toDate : fromDate}T00:00:00`);
+    while (current <= last) {
+      const date = `${current.getFullYear()}-${String(current.getMonth() + 1).padStart(2, '0')}-${String(current.getDate()).padStart(2, '0')}`;
+      updated[date] = typeId;
+      current.setDate(current.getDate() + 1);
+    }
+    onChange(updated);
+    setFromDate('');
+    setToDate('');
+  };
+
+  const removeAbsence = (date) => {
+    const { [date]: _, ...rest } = absences;
+    onChange(rest);
+  };
+
+  const dates = Object.keys(absences).sort();
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex flex-wrap gap-1">
+        {dates.map(date => {
+          const type = absenceTypes.find(t => t.id === absences[date]);
+          return (
+            <span
+              key={date}
+              className="flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded border border-slate-200"
+              style={{ backgroundColor: type?.color, color: type?.textColor }}
+              title={type?.name}
+            >
+              {date.split('-').reverse().join('/')} {absences[date]}
+              <button onClick={() => removeAbsence(date)} className="hover:text-red-600">
+                <X size={10} />
+              </button>
+            </span>
+          );
+        })}
+        {dates.length === 0 && (
+          <span className="text-[10px] text-slate-400 italic">Nessuna assenza</span>
+        )}
+      </div>
+      <div className="flex items-center gap-1.5">
+        <span className="text-[10px] text-slate-500">Dal</span>
+        <input
+          type="date"
+          value={fromDate}
+          onChange={(e) => setFromDate(e.target.value)}
+          className="px-1.5 py-0.5 border border-slate-200 rounded text-[10px]"
+        />
+        <span className="text-[10px] text-slate-500">al</span>
+        <input
+          type="date"
+          value={toDate}
+          min={fromDate}
+          onChange={(e) => setToDate(e.target.value)}
+          className="px-1.5 py-0.5 border border-slate-200 rounded text-[10px]"
+        />
+        <select
+          value={typeId}
+          onChange={(e) => setTypeId(e.target.value)}
+          className="px-1.5 py-0.5 border border-slate-200 rounded text-[10px]"
+        >
+          {absenceTypes.map(t => (
+            <option key={t.id} value={t.id}>{t.id} - {t.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={addAbsence}
+          disabled={!fromDate || !typeId}
+          className="p-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-400"
+        >
+          <Plus size={12} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Wishes (desiderata) editor for one employee
+ * Preferences are stored as [{ id, from, to, shiftId, type }] with
+ * type 'prefer' or 'avoid'; the optimizer treats them as soft objectives.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.preferences - Current preferences
+ * @param {Array<Object>} props.shiftTypes - Available shift types
+ * @param {Function} props.onChange - Called with the new preferences list
+ */
+const PreferencesEditor = ({ preferences = [], shiftTypes = [], onChange }) => {
+  const [newPref, setNewPref] = useState({ from: '', to: '', shiftId: shiftTypes[0]?.id || '', type: 'prefer' });
+
+  const addPreference = () => {
+    if (!newPref.from || !newPref.shiftId) return;
+    onChange([...preferences, { id: generateId(), ...newPref, to: newPref.to || newPref.from }]);
+    setNewPref({ ...newPref, from: '', to: '' });
+  };
+
+  const removePreference = (id) => {
+    onChange(preferences.filter(p => p.id !== id));
+  };
+
+  const formatDate = (date) => date.split('-').reverse().slice(0, 2).join('/');
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex flex-wrap gap-1">
+        {preferences.map(pref => (
+          <span
+            key={pref.id}
+            className={`flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded border ${
+              pref.type === 'avoid'
+                ? 'bg-red-50 border-red-200 text-red-700'
+                : 'bg-green-50 border-green-200 text-green-700'
+            }`}
+          >
+            {pref.type === 'avoid' ? 'No' : 'Sì'} {pref.shiftId}{' '}
+            {formatDate(pref.from)}{pref.to && pref.to !== pref.from ? `-${formatDate(pref.to)}` : ''}
+            <button onClick={() => removePreference(pref.id)} className="hover:text-red-600">
+              <X size={10} />
+            </button>
+          </span>
+        ))}
+        {preferences.length === 0 && (
+          <span className="text-[10px] text-slate-400 italic">Nessun desiderata</span>
+        )}
+      </div>
+      <div className="flex items-center gap-1.5">
+        <select
+          value={newPref.type}
+          onChange={(e) => setNewPref({ ...newPref, type: e.target.value })}
+          className="px-1.5 py-0.5 border border-slate-200 rounded text-[10px]"
+        >
+          <option value="prefer">Preferisce</option>
+          <option value="avoid">Evita</option>
+        </select>
+        <select
+          value={newPref.shiftId}
+          onChange={(e) => setNewPref({ ...newPref, shiftId: e.target.value })}
+          className="px-1.5 py-0.5 border border-slate-200 rounded text-[10px]"
+        >
+          {shiftTypes.map(st => (
+            <option key={st.id} value={st.id}>{st.id} - {st.name}</option>
+          ))}
+        </select>
+        <span className="text-[10px] text-slate-500">dal</span>
+        <input
+          type="date"
+          value={newPref.from}
+          onChange={(e) => setNewPref({ ...newPref, from: e.target.value })}
+          className="px-1.5 py-0.5 border border-slate-200 rounded text-[10px]"
+        />
+        <span className="text-[10px] text-slate-500">al</span>
+        <input
+          type="date"
+          value={newPref.to}
+          min={newPref.from}
+          onChange={(e) => setNewPref({ ...newPref, to: e.target.value })}
+          className="px-1.5 py-0.5 border border-slate-200 rounded text-[10px]"
+        />
+        <button
+          onClick={addPreference}
+          disabled={!newPref.from || !newPref.shiftId}
+          className="p-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-400"
+        >
+          <Plus size={12} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
 /**
  * Employee management panel
  *
@@ -9,21 +249,32 @@ import { generateId } from '../utils';
  * @param {Array<Object>} props.employees - Employee list
  * @param {Function} props.setEmployees - Setter for employees
  * @param {Array<Object>} props.shiftTypes - Available shift types
+ * @param {Array<Object>} props.absenceTypes - Absence types for the absence calendar
  * @param {Array<Object>} props.matrices - Available matrices for assignment
  */
-const EmployeesPanel = ({ employees, setEmployees, shiftTypes = [], matrices = [] }) => {
+const EmployeesPanel = ({ employees, setEmployees, shiftTypes = [], absenceTypes = [], matrices = [] }) => {
+  // Expanded detail row: { empId, panel: 'absences' | 'preferences' }
+  const [openPanel, setOpenPanel] = useState(null);
+
+  const togglePanel = (empId, panel) => {
+    setOpenPanel(openPanel?.empId === empId && openPanel.panel === panel ? null : { empId, panel });
+  };
+
+  const isPanelOpen = (empId, panel) => openPanel?.empId === empId && openPanel.panel === panel;
+
   const [newEmp, setNewEmp] = useState({
     name: '',
     surname: '',
     contractHours: 38,
     excludedShifts: [],
+    skills: [],
     matrixId: null // null means "auto" (first available matrix)
   });
 
   const addEmployee = () => {
     if (newEmp.name || newEmp.surname) {
       setEmployees([...employees, { id: generateId(), ...newEmp }]);
-      setNewEmp({ name: '', surname: '', contractHours: 38, excludedShifts: [], matrixId: null });
+      setNewEmp({ name: '', surname: '', contractHours: 38, excludedShifts: [], skills: [], matrixId: null });
     }
   };
 
@@ -69,13 +320,17 @@ const EmployeesPanel = ({ employees, setEmployees, shiftTypes = [], matrices = [
               <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Ore/Sett</th>
               <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Ore/Mese (stima)</th>
               <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Matrice</th>
+              <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Qualifiche</th>
               <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Escludi Turni</th>
+              <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Assenze</th>
+              <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Desiderata</th>
               <th className="py-2 px-2"></th>
             </tr>
           </thead>
           <tbody>
             {employees.map((emp) => (
-              <tr key={emp.id} className="border-b border-slate-100">
+              <React.Fragment key={emp.id}>
+              <tr className="border-b border-slate-100">
                 <td className="py-1.5 px-2">
                   <input
                     type="text"
@@ -115,6 +370,12 @@ const EmployeesPanel = ({ employees, setEmployees, shiftTypes = [], matrices = [
                     ))}
                   </select>
                 </td>
+                <td className="py-1.5 px-2">
+                  <SkillsInput
+                    skills={emp.skills || []}
+                    onChange={(skills) => updateEmployee(emp.id, 'skills', skills)}
+                  />
+                </td>
                 <td className="py-1.5 px-2">
                   <div className="flex flex-wrap gap-1">
                     {shiftTypes.map(st => {
@@ -136,6 +397,34 @@ const EmployeesPanel = ({ employees, setEmployees, shiftTypes = [], matrices = [
                     })}
                   </div>
                 </td>
+                <td className="py-1.5 px-2">
+                  <button
+                    onClick={() => togglePanel(emp.id, 'absences')}
+                    className={`flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded border ${
+                      isPanelOpen(emp.id, 'absences')
+                        ? 'bg-blue-50 border-blue-200 text-blue-700'
+                        : 'bg-slate-50 border-slate-200 text-slate-600 hover:bg-slate-100'
+                    }`}
+                    title="Calendario assenze"
+                  >
+                    <CalendarOff size={12} />
+                    {Object.keys(emp.absences || {}).length}
+                  </button>
+                </td>
+                <td className="py-1.5 px-2">
+                  <button
+                    onClick={() => togglePanel(emp.id, 'preferences')}
+                    className={`flex items-center gap-1 px-1.5 py-0.5 text-[10px] rounded border ${
+                      isPanelOpen(emp.id, 'preferences')
+                        ? 'bg-blue-50 border-blue-200 text-blue-700'
+                        : 'bg-slate-50 border-slate-200 text-slate-600 hover:bg-slate-100'
+                    }`}
+                    title="Desiderata"
+                  >
+                    <Heart size={12} />
+                    {(emp.preferences || []).length}
+                  </button>
+                </td>
                 <td className="py-1.5 px-2">
                   <button
                     onClick={() => removeEmployee(emp.id)}
@@ -145,6 +434,29 @@ const EmployeesPanel = ({ employees, setEmployees, shiftTypes = [], matrices = [
                   </button>
                 </td>
               </tr>
+              {isPanelOpen(emp.id, 'absences') && (
+                <tr className="border-b border-slate-100 bg-slate-50">
+                  <td colSpan={10} className="py-2 px-2">
+                    <AbsencesEditor
+                      absences={emp.absences || {}}
+                      absenceTypes={absenceTypes}
+                      onChange={(absences) => updateEmployee(emp.id, 'absences', absences)}
+                    />
+                  </td>
+                </tr>
+              )}
+              {isPanelOpen(emp.id, 'preferences') && (
+                <tr className="border-b border-slate-100 bg-slate-50">
+                  <td colSpan={10} className="py-2 px-2">
+                    <PreferencesEditor
+                      preferences={emp.preferences || []}
+                      shiftTypes={shiftTypes}
+                      onChange={(preferences) => updateEmployee(emp.id, 'preferences', preferences)}
+                    />
+                  </td>
+                </tr>
+              )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
@@ -185,6 +497,11 @@ const EmployeesPanel = ({ employees, setEmployees, shiftTypes = [], matrices = [
           ))}
         </select>
 
+        <SkillsInput
+          skills={newEmp.skills}
+          onChange={(skills) => setNewEmp({ ...newEmp, skills })}
+        />
+
         <div className="flex items-center gap-1">
           <span className="text-xs text-slate-500 mr-1">Escludi:</span>
           {shiftTypes.map(st => {
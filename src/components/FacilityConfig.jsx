@@ -1,13 +1,19 @@
 import React, { useState } from 'react';
-import { Settings, Clock, Plus, Trash2, Users } from 'lucide-react';
+import { Settings, Clock, Plus, Trash2, Users, Layers, CalendarDays, CalendarOff } from 'lucide-react';
 import { ShiftBadge } from './shared';
 import ConstraintsEditor from './ConstraintsEditor';
+import { getCoverageRange, formatCoverageRange } from '../scheduling';
+import { WEEKDAYS, MONTHS, DEFAULT_ABSENCE_TYPES } from '../constants';
 
 /**
  * Component to manage coverage rules (flexible requirements)
  */
-const CoverageRulesEditor = ({ coverageRules = [], setCoverageRules, shiftTypes }) => {
-  const [newRule, setNewRule] = useState({ min: 1, shiftIds: [] });
+const CoverageRulesEditor = ({ coverageRules = [], setCoverageRules, shiftTypes, shiftGroups = [], employees = [] }) => {
+  // max: '' = exact (same as min), null = no upper bound
+  const [newRule, setNewRule] = useState({ min: 1, max: '', shiftIds: [], skill: '' });
+
+  // Skills known from the employee roster
+  const availableSkills = [...new Set(employees.flatMap(emp => emp.skills || []))].sort();
 
   const toggleShift = (shiftId) => {
     setNewRule(prev => ({
@@ -20,11 +26,17 @@ const CoverageRulesEditor = ({ coverageRules = [], setCoverageRules, shiftTypes
 
   const addRule = () => {
     if (newRule.min > 0 && newRule.shiftIds.length > 0) {
+      const { skill, max, ...rule } = newRule;
       setCoverageRules([
         ...(coverageRules || []),
-        { ...newRule, id: Date.now().toString() }
+        {
+          ...rule,
+          ...(max !== '' && !skill ? { max: max === null ? null : Math.max(rule.min, max) } : {}),
+          ...(skill ? { skill } : {}),
+          id: Date.now().toString()
+        }
       ]);
-      setNewRule({ min: 1, shiftIds: [] });
+      setNewRule({ min: 1, max: '', shiftIds: [], skill: '' });
     }
   };
 
@@ -32,13 +44,41 @@ const CoverageRulesEditor = ({ coverageRules = [], setCoverageRules, shiftTypes
     setCoverageRules((coverageRules || []).filter(r => r.id !== id));
   };
 
+  // Edit the staffing range of an existing rule, keeping max >= min
+  const updateRuleRange = (id, field, value) => {
+    setCoverageRules((coverageRules || []).map(r => {
+      if (r.id !== id) return r;
+      const updated = { ...r, [field]: value };
+      if (field === 'min' && typeof updated.max === 'number' && updated.max < value) {
+        updated.max = value;
+      }
+      if (field === 'max' && value === undefined) {
+        delete updated.max;
+      }
+      return updated;
+    }));
+  };
+
+  // Toggle a weekday (0 = Monday) in the rule mask; an empty mask means every day
+  const toggleRuleWeekday = (id, weekday) => {
+    setCoverageRules((coverageRules || []).map(r => {
+      if (r.id !== id) return r;
+      const current = r.weekdays && r.weekdays.length > 0 ? r.weekdays : [0, 1, 2, 3, 4, 5, 6];
+      const weekdays = current.includes(weekday)
+        ? current.filter(d => d !== weekday)
+        : [...current, weekday].sort();
+      const { weekdays: _, ...rest } = r;
+      return weekdays.length === 7 || weekdays.length === 0 ? rest : { ...rest, weekdays };
+    }));
+  };
+
   // Helper to get rule string description
   const getRuleDescription = (rule) => {
     const names = rule.shiftIds.map(sid => {
-      const st = shiftTypes.find(s => s.id === sid);
+      const st = shiftTypes.find(s => s.id === sid) || shiftGroups.find(g => g.id === sid);
       return st ? st.name : sid;
     }).join(' o ');
-    return `${rule.min} ${names}`;
+    return `${formatCoverageRange(getCoverageRange(rule))} ${names}`;
   };
 
   return (
@@ -51,19 +91,78 @@ const CoverageRulesEditor = ({ coverageRules = [], setCoverageRules, shiftTypes
       <p className="text-xs text-slate-500 mb-4">
         Definisci quante persone devono essere presenti ogni giorno.
         Puoi specificare combinazioni di turni (es. 3 persone in "Mattina" o "Pomeriggio").
+        Con un massimo la regola diventa un intervallo: le persone in più entro il massimo sono solo sconsigliate, non errori.
+        Una regola con qualifica richiede almeno N persone con quella qualifica, in aggiunta al numero di presenze.
+        Con i giorni della settimana puoi limitare una regola (es. meno personale nel weekend).
       </p>
 
       {/* List of existing rules */}
       <div className="space-y-2 mb-4">
         {(coverageRules || []).map(rule => (
           <div key={rule.id} className="flex items-center gap-3 p-2 bg-slate-50 rounded border border-slate-100">
-            <span className="font-bold text-slate-700 w-8 text-center">{rule.min}</span>
+            <div className="flex items-center gap-1" title={`Intervallo: ${formatCoverageRange(getCoverageRange(rule))}`}>
+              <input
+                type="number"
+                value={rule.min}
+                onChange={e => updateRuleRange(rule.id, 'min', Math.max(1, parseInt(e.target.value) || 1))}
+                className="w-12 px-1 py-0.5 border rounded text-sm font-bold text-slate-700 text-center"
+                min="1"
+              />
+              {!rule.skill && (
+                <>
+                  <span className="text-xs text-slate-400">–</span>
+                  <input
+                    type="number"
+                    value={rule.max ?? ''}
+                    placeholder={rule.max === null ? '∞' : '='}
+                    onChange={e => updateRuleRange(
+                      rule.id,
+                      'max',
+                      e.target.value === '' ? undefined : Math.max(rule.min, parseInt(e.target.value) || rule.min)
+                    )}
+                    className="w-12 px-1 py-0.5 border rounded text-sm text-slate-700 text-center"
+                    min={rule.min}
+                  />
+                  <button
+                    onClick={() => updateRuleRange(rule.id, 'max', rule.max === null ? undefined : null)}
+                    title={rule.max === null ? 'Ripristina conteggio esatto' : 'Nessun massimo'}
+                    className={`px-1 rounded text-xs border ${rule.max === null ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-slate-500 border-slate-200'}`}
+                  >
+                    ∞
+                  </button>
+                </>
+              )}
+            </div>
             <div className="flex flex-wrap gap-1 flex-1 items-center">
-              <span className="text-xs text-slate-500 mr-1">persone in:</span>
+              {rule.skill ? (
+                <span className="text-xs text-slate-500 mr-1">
+                  con qualifica <span className="px-1.5 py-0.5 bg-teal-50 text-teal-700 border border-teal-200 rounded font-medium">{rule.skill}</span> in:
+                </span>
+              ) : (
+                <span className="text-xs text-slate-500 mr-1">persone in:</span>
+              )}
               {rule.shiftIds.map(sid => (
-                <ShiftBadge key={sid} shift={sid} shiftTypes={shiftTypes} size="sm" />
+                <ShiftBadge key={sid} shift={sid} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
               ))}
             </div>
+            <div className="flex gap-0.5" title="Giorni della settimana in cui la regola è attiva">
+              {WEEKDAYS.map((label, weekday) => {
+                const isActive = !rule.weekdays || rule.weekdays.length === 0 || rule.weekdays.includes(weekday);
+                return (
+                  <button
+                    key={label}
+                    onClick={() => toggleRuleWeekday(rule.id, weekday)}
+                    className={`w-6 py-0.5 rounded text-[9px] font-medium border ${
+                      isActive
+                        ? 'bg-blue-100 text-blue-700 border-blue-200'
+                        : 'bg-white text-slate-300 border-slate-200'
+                    }`}
+                  >
+                    {label.charAt(0)}
+                  </button>
+                );
+              })}
+            </div>
             <button 
               onClick={() => removeRule(rule.id)} 
               className="text-slate-400 hover:text-red-500 transition-colors p-1"
@@ -96,14 +195,39 @@ const CoverageRulesEditor = ({ coverageRules = [], setCoverageRules, shiftTypes
             />
           </div>
           
+          <div className="flex flex-col">
+            <label className="text-[10px] uppercase font-bold text-slate-400 mb-0.5">Max</label>
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                value={newRule.max ?? ''}
+                placeholder={newRule.max === null ? '∞' : '='}
+                onChange={e => setNewRule({...newRule, max: e.target.value === '' ? '' : parseInt(e.target.value) || 0})}
+                className="w-14 px-2 py-1.5 border rounded text-sm font-medium text-center"
+                min={newRule.min}
+                disabled={newRule.max === null || !!newRule.skill}
+                title="Vuoto = esattamente Min"
+              />
+              <button
+                onClick={() => setNewRule({...newRule, max: newRule.max === null ? '' : null})}
+                disabled={!!newRule.skill}
+                title="Nessun massimo"
+                className={`px-1.5 py-1 rounded text-xs border ${newRule.max === null ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-slate-500 border-slate-200'}`}
+              >
+                ∞
+              </button>
+            </div>
+          </div>
+
           <div className="flex flex-col flex-1">
             <label className="text-[10px] uppercase font-bold text-slate-400 mb-0.5">Turni Ammessi</label>
             <div className="flex flex-wrap gap-1.5">
-              {shiftTypes.filter(s => s.hours > 0).map(st => {
+              {[...shiftTypes.filter(s => s.hours > 0), ...shiftGroups].map(st => {
                 const isSelected = newRule.shiftIds.includes(st.id);
                 return (
                   <button
                     key={st.id}
+                    title={st.name}
                     onClick={() => toggleShift(st.id)}
                     className={`
                       px-2 py-1 rounded text-xs font-medium transition-all border
@@ -120,6 +244,22 @@ const CoverageRulesEditor = ({ coverageRules = [], setCoverageRules, shiftTypes
             </div>
           </div>
 
+          <div className="flex flex-col">
+            <label className="text-[10px] uppercase font-bold text-slate-400 mb-0.5">Qualifica</label>
+            <select
+              value={newRule.skill}
+              onChange={e => setNewRule({...newRule, skill: e.target.value})}
+              className="px-2 py-1.5 border rounded text-sm"
+              disabled={availableSkills.length === 0}
+              title={availableSkills.length === 0 ? 'Nessuna qualifica assegnata ai dipendenti' : undefined}
+            >
+              <option value="">Qualsiasi</option>
+              {availableSkills.map(skill => (
+                <option key={skill} value={skill}>{skill}</option>
+              ))}
+            </select>
+          </div>
+
           <button 
             onClick={addRule} 
             disabled={newRule.min < 1 || newRule.shiftIds.length === 0}
@@ -139,6 +279,308 @@ const CoverageRulesEditor = ({ coverageRules = [], setCoverageRules, shiftTypes
   );
 };
 
+/**
+ * Component to manage date-specific coverage overrides
+ * An override replaces the regular rules on the same shifts for that date.
+ */
+const CoverageOverridesEditor = ({ coverageOverrides = [], setCoverageOverrides, shiftTypes, shiftGroups = [] }) => {
+  const [newOverride, setNewOverride] = useState({ date: '', min: 1, max: '', shiftIds: [] });
+
+  const toggleShift = (shiftId) => {
+    setNewOverride(prev => ({
+      ...prev,
+      shiftIds: prev.shiftIds.includes(shiftId)
+        ? prev.shiftIds.filter(id => id !== shiftId)
+        : [...prev.shiftIds, shiftId]
+    }));
+  };
+
+  const canAdd = newOverride.date && newOverride.min > 0 && newOverride.shiftIds.length > 0;
+
+  const addOverride = () => {
+    if (!canAdd) return;
+    const { max, ...override } = newOverride;
+    setCoverageOverrides(
+      [
+        ...coverageOverrides,
+        { ...override, ...(max !== '' ? { max: Math.max(override.min, max) } : {}), id: Date.now().toString() }
+      ].sort((a, b) => a.date.localeCompare(b.date))
+    );
+    setNewOverride({ date: '', min: 1, max: '', shiftIds: [] });
+  };
+
+  const removeOverride = (id) => {
+    setCoverageOverrides(coverageOverrides.filter(o => o.id !== id));
+  };
+
+  const formatDate = (date) => date.split('-').reverse().join('/');
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-slate-200">
+      <h3 className="text-base font-semibold text-slate-800 mb-3 flex items-center gap-2">
+        <CalendarDays size={18} />
+        Eccezioni di Copertura
+      </h3>
+
+      <p className="text-xs text-slate-500 mb-4">
+        Richieste per una data specifica (es. giornata vaccinale con un Pomeriggio in più).
+        Nella data indicata sostituiscono le regole giornaliere sugli stessi turni.
+      </p>
+
+      <div className="space-y-2 mb-4">
+        {coverageOverrides.map(override => (
+          <div key={override.id} className="flex items-center gap-3 p-2 bg-slate-50 rounded border border-slate-100">
+            <span className="text-sm font-medium text-slate-700 w-24">{formatDate(override.date)}</span>
+            <span className="font-bold text-slate-700 w-10 text-center">
+              {formatCoverageRange(getCoverageRange(override))}
+            </span>
+            <div className="flex flex-wrap gap-1 flex-1 items-center">
+              <span className="text-xs text-slate-500 mr-1">persone in:</span>
+              {override.shiftIds.map(sid => (
+                <ShiftBadge key={sid} shift={sid} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
+              ))}
+            </div>
+            <button
+              onClick={() => removeOverride(override.id)}
+              className="text-slate-400 hover:text-red-500 transition-colors p-1"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        {coverageOverrides.length === 0 && (
+          <div className="text-sm text-slate-400 italic text-center py-2">
+            Nessuna eccezione definita
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center gap-3 p-3 bg-slate-50 border border-slate-200 rounded-lg">
+        <div className="flex flex-col">
+          <label className="text-[10px] uppercase font-bold text-slate-400 mb-0.5">Data</label>
+          <input
+            type="date"
+            value={newOverride.date}
+            onChange={e => setNewOverride({...newOverride, date: e.target.value})}
+            className="px-2 py-1.5 border rounded text-sm"
+          />
+        </div>
+        <div className="flex flex-col">
+          <label className="text-[10px] uppercase font-bold text-slate-400 mb-0.5">Min</label>
+          <input
+            type="number"
+            value={newOverride.min}
+            onChange={e => setNewOverride({...newOverride, min: parseInt(e.target.value)||0})}
+            className="w-14 px-2 py-1.5 border rounded text-sm font-medium text-center"
+            min="1"
+          />
+        </div>
+        <div className="flex flex-col">
+          <label className="text-[10px] uppercase font-bold text-slate-400 mb-0.5">Max</label>
+          <input
+            type="number"
+            value={newOverride.max}
+            placeholder="="
+            onChange={e => setNewOverride({...newOverride, max: e.target.value === '' ? '' : parseInt(e.target.value) || 0})}
+            className="w-14 px-2 py-1.5 border rounded text-sm font-medium text-center"
+            min={newOverride.min}
+            title="Vuoto = esattamente Min"
+          />
+        </div>
+        <div className="flex flex-col flex-1">
+          <label className="text-[10px] uppercase font-bold text-slate-400 mb-0.5">Turni</label>
+          <div className="flex flex-wrap gap-1.5">
+            {[...shiftTypes.filter(s => s.hours > 0), ...shiftGroups].map(st => {
+              const isSelected = newOverride.shiftIds.includes(st.id);
+              return (
+                <button
+                  key={st.id}
+                  title={st.name}
+                  onClick={() => toggleShift(st.id)}
+                  className={`
+                    px-2 py-1 rounded text-xs font-medium transition-all border
+                    ${isSelected
+                      ? 'bg-blue-600 text-white border-blue-600 shadow-sm'
+                      : 'bg-white text-slate-600 border-slate-200 hover:border-slate-300'
+                    }
+                  `}
+                >
+                  {st.id}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+        <button
+          onClick={addOverride}
+          disabled={!canAdd}
+          className={`
+            p-2 rounded-lg self-end mb-0.5 transition-colors
+            ${!canAdd
+              ? 'bg-slate-200 text-slate-400 cursor-not-allowed'
+              : 'bg-blue-600 text-white hover:bg-blue-700 shadow-sm'
+            }
+          `}
+        >
+          <Plus size={18} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Component to manage named shift groups (e.g. "NOTTI" = N, N11)
+ * A group ID can be used wherever a shift ID is accepted in constraints and coverage rules.
+ */
+const ShiftGroupsEditor = ({ shiftGroups = [], setShiftGroups, shiftTypes }) => {
+  const [newGroup, setNewGroup] = useState({ id: '', name: '', shiftIds: [], allWorking: false });
+
+  const toggleShift = (shiftId) => {
+    setNewGroup(prev => ({
+      ...prev,
+      shiftIds: prev.shiftIds.includes(shiftId)
+        ? prev.shiftIds.filter(id => id !== shiftId)
+        : [...prev.shiftIds, shiftId]
+    }));
+  };
+
+  // Group IDs share the namespace of shift IDs, so they must not collide
+  const isIdTaken = (id) =>
+    shiftTypes.some(s => s.id === id) || shiftGroups.some(g => g.id === id);
+
+  const canAdd = newGroup.id && !isIdTaken(newGroup.id) &&
+    (newGroup.allWorking || newGroup.shiftIds.length > 0);
+
+  const addGroup = () => {
+    if (!canAdd) return;
+    const group = { id: newGroup.id, name: newGroup.name || newGroup.id };
+    if (newGroup.allWorking) {
+      group.allWorking = true;
+    } else {
+      group.shiftIds = newGroup.shiftIds;
+    }
+    setShiftGroups([...shiftGroups, group]);
+    setNewGroup({ id: '', name: '', shiftIds: [], allWorking: false });
+  };
+
+  const removeGroup = (id) => {
+    setShiftGroups(shiftGroups.filter(g => g.id !== id));
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-5 shadow-sm border border-slate-200">
+      <h3 className="text-base font-semibold text-slate-800 mb-3 flex items-center gap-2">
+        <Layers size={18} />
+        Gruppi di Turni
+      </h3>
+
+      <p className="text-xs text-slate-500 mb-4">
+        Un gruppo (es. "NOTTI" = N, N11) può essere usato al posto di un turno
+        nei vincoli e nelle regole di copertura.
+      </p>
+
+      {/* List of existing groups */}
+      <div className="space-y-2 mb-4">
+        {shiftGroups.map(group => (
+          <div key={group.id} className="flex items-center gap-3 p-2 bg-slate-50 rounded border border-slate-100">
+            <ShiftBadge shift={group.id} shiftTypes={shiftTypes} shiftGroups={shiftGroups} size="sm" />
+            <span className="text-sm text-slate-700">{group.name}</span>
+            <div className="flex flex-wrap gap-1 flex-1 items-center">
+              <span className="text-xs text-slate-500 mr-1">=</span>
+              {group.allWorking ? (
+                <span className="text-xs text-slate-600 italic">tutti i turni lavorativi</span>
+              ) : (
+                (group.shiftIds || []).map(sid => (
+                  <ShiftBadge key={sid} shift={sid} shiftTypes={shiftTypes} size="sm" />
+                ))
+              )}
+            </div>
+            <button
+              onClick={() => removeGroup(group.id)}
+              className="text-slate-400 hover:text-red-500 transition-colors p-1"
+            >
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        {shiftGroups.length === 0 && (
+          <div className="text-sm text-slate-400 italic text-center py-2">
+            Nessun gruppo definito
+          </div>
+        )}
+      </div>
+
+      {/* Add New Group */}
+      <div className="flex flex-col gap-3 p-3 bg-slate-50 border border-slate-200 rounded-lg">
+        <span className="text-xs font-semibold text-slate-600">Nuovo Gruppo</span>
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newGroup.id}
+            onChange={(e) => setNewGroup({ ...newGroup, id: e.target.value.toUpperCase() })}
+            placeholder="COD"
+            className={`w-20 px-2 py-1.5 border rounded text-xs ${
+              newGroup.id && isIdTaken(newGroup.id) ? 'border-red-400' : 'border-slate-300'
+            }`}
+          />
+          <input
+            type="text"
+            value={newGroup.name}
+            onChange={(e) => setNewGroup({ ...newGroup, name: e.target.value })}
+            placeholder="Nome"
+            className="w-32 px-2 py-1.5 border border-slate-300 rounded text-xs"
+          />
+          <label className="flex items-center gap-1.5 text-xs text-slate-600">
+            <input
+              type="checkbox"
+              checked={newGroup.allWorking}
+              onChange={(e) => setNewGroup({ ...newGroup, allWorking: e.target.checked })}
+            />
+            Tutti i turni lavorativi
+          </label>
+        </div>
+        {!newGroup.allWorking && (
+          <div className="flex flex-wrap gap-1.5">
+            {shiftTypes.map(st => {
+              const isSelected = newGroup.shiftIds.includes(st.id);
+              return (
+                <button
+                  key={st.id}
+                  onClick={() => toggleShift(st.id)}
+                  className={`
+                    px-2 py-1 rounded text-xs font-medium transition-all border
+                    ${isSelected
+                      ? 'bg-blue-600 text-white border-blue-600 shadow-sm'
+                      : 'bg-white text-slate-600 border-slate-200 hover:border-slate-300'
+                    }
+                  `}
+                >
+                  {st.id}
+                </button>
+              );
+            })}
+          </div>
+        )}
+        <button
+          onClick={addGroup}
+          disabled={!canAdd}
+          className={`
+            self-start flex items-center gap-1 px-3 py-1.5 rounded text-xs transition-colors
+            ${canAdd
+              ? 'bg-blue-600 text-white hover:bg-blue-700 shadow-sm'
+              : 'bg-slate-200 text-slate-400 cursor-not-allowed'
+            }
+          `}
+        >
+          <Plus size={14} />
+          Aggiungi
+        </button>
+      </div>
+    </div>
+  );
+};
+
 /**
  * Facility configuration panel
  * Handles facility settings, shift types, and constraints
@@ -149,23 +591,35 @@ const FacilityConfig = ({
   shiftTypes,
   setShiftTypes,
   constraints,
-  setConstraints
+  setConstraints,
+  employees = []
 }) => {
   const [newST, setNewST] = useState({
     id: '',
     name: '',
     hours: 0,
+    start: '',
+    end: '',
     color: '#60A5FA',
     textColor: '#000000'
   });
 
   const addShiftType = () => {
-    if (newST.id && !shiftTypes.find(s => s.id === newST.id)) {
+    if (newST.id && !shiftTypes.find(s => s.id === newST.id) && !(facility.shiftGroups || []).find(g => g.id === newST.id) && !absenceTypes.find(a => a.id === newST.id)) {
       setShiftTypes([...shiftTypes, newST]);
-      setNewST({ id: '', name: '', hours: 0, color: '#60A5FA', textColor: '#000000' });
+      setNewST({ id: '', name: '', hours: 0, start: '', end: '', color: '#60A5FA', textColor: '#000000' });
     }
   };
 
+  const absenceTypes = facility.absenceTypes || DEFAULT_ABSENCE_TYPES;
+
+  const updateAbsenceType = (id, field, value) => {
+    setFacility({
+      ...facility,
+      absenceTypes: absenceTypes.map(a => a.id === id ? { ...a, [field]: value } : a)
+    });
+  };
+
   const updateShiftType = (id, field, value) => {
     setShiftTypes(shiftTypes.map(s =>
       s.id === id ? { ...s, [field]: value } : s
@@ -183,6 +637,30 @@ const FacilityConfig = ({
     });
   };
 
+  // Local patron day (ignored by the holiday calendar until a day is set)
+  const setPatronSaint = (changes) => {
+    setFacility({
+      ...facility,
+      patronSaint: { month: 0, day: null, name: '', ...facility.patronSaint, ...changes }
+    });
+  };
+
+  const setCoverageOverrides = (newOverrides) => {
+    setFacility({
+      ...facility,
+      coverageOverrides: newOverrides
+    });
+  };
+
+  const setShiftGroups = (newGroups) => {
+    setFacility({
+      ...facility,
+      shiftGroups: newGroups
+    });
+  };
+
+  const shiftGroups = facility.shiftGroups || [];
+
   return (
     <div className="space-y-6">
       {/* Facility Settings */}
@@ -202,6 +680,39 @@ const FacilityConfig = ({
               placeholder="Es. CEDRO"
             />
           </div>
+          <div>
+            <label className="block text-xs font-medium text-slate-600 mb-1">Santo Patrono</label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                value={facility.patronSaint?.day || ''}
+                onChange={(e) => setPatronSaint({ day: parseInt(e.target.value) || null })}
+                className="w-16 px-2 py-2 border border-slate-300 rounded-lg text-sm"
+                placeholder="GG"
+                min="1"
+                max="31"
+              />
+              <select
+                value={facility.patronSaint?.month ?? 0}
+                onChange={(e) => setPatronSaint({ month: parseInt(e.target.value) })}
+                className="px-2 py-2 border border-slate-300 rounded-lg text-sm"
+              >
+                {MONTHS.map((name, idx) => (
+                  <option key={name} value={idx}>{name}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={facility.patronSaint?.name || ''}
+                onChange={(e) => setPatronSaint({ name: e.target.value })}
+                className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                placeholder="Es. San Giovanni"
+              />
+            </div>
+            <p className="text-[10px] text-slate-400 mt-1">
+              Festività locale, aggiunta a quelle nazionali. I festivi seguono le regole di copertura della domenica.
+            </p>
+          </div>
         </div>
       </div>
 
@@ -210,6 +721,23 @@ const FacilityConfig = ({
         coverageRules={facility.coverageRules}
         setCoverageRules={setCoverageRules}
         shiftTypes={shiftTypes}
+        shiftGroups={shiftGroups}
+        employees={employees}
+      />
+
+      {/* Date-specific Coverage Overrides */}
+      <CoverageOverridesEditor
+        coverageOverrides={facility.coverageOverrides || []}
+        setCoverageOverrides={setCoverageOverrides}
+        shiftTypes={shiftTypes}
+        shiftGroups={shiftGroups}
+      />
+
+      {/* Shift Groups */}
+      <ShiftGroupsEditor
+        shiftGroups={shiftGroups}
+        setShiftGroups={setShiftGroups}
+        shiftTypes={shiftTypes}
       />
 
       {/* Shift Types */}
@@ -225,6 +753,8 @@ const FacilityConfig = ({
                 <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Codice</th>
                 <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Nome</th>
                 <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Ore</th>
+                <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Inizio</th>
+                <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Fine</th>
                 <th className="text-left py-2 px-2 text-xs font-medium text-slate-600">Colore</th>
                 <th className="py-2 px-2"></th>
               </tr>
@@ -252,6 +782,22 @@ const FacilityConfig = ({
                       step="0.5"
                     />
                   </td>
+                  <td className="py-1.5 px-2">
+                    <input
+                      type="time"
+                      value={st.start || ''}
+                      onChange={(e) => updateShiftType(st.id, 'start', e.target.value)}
+                      className="w-24 px-2 py-1 border border-slate-200 rounded text-xs"
+                    />
+                  </td>
+                  <td className="py-1.5 px-2">
+                    <input
+                      type="time"
+                      value={st.end || ''}
+                      onChange={(e) => updateShiftType(st.id, 'end', e.target.value)}
+                      className="w-24 px-2 py-1 border border-slate-200 rounded text-xs"
+                    />
+                  </td>
                   <td className="py-1.5 px-2">
                     <input
                       type="color"
@@ -297,6 +843,20 @@ const FacilityConfig = ({
             placeholder="Ore"
             className="w-14 px-2 py-1.5 border border-slate-300 rounded text-xs"
           />
+          <input
+            type="time"
+            value={newST.start}
+            onChange={(e) => setNewST({ ...newST, start: e.target.value })}
+            title="Inizio"
+            className="w-24 px-2 py-1.5 border border-slate-300 rounded text-xs"
+          />
+          <input
+            type="time"
+            value={newST.end}
+            onChange={(e) => setNewST({ ...newST, end: e.target.value })}
+            title="Fine"
+            className="w-24 px-2 py-1.5 border border-slate-300 rounded text-xs"
+          />
           <input
             type="color"
             value={newST.color}
@@ -313,11 +873,43 @@ const FacilityConfig = ({
         </div>
       </div>
 
+      {/* Absence Types */}
+      <div className="bg-white rounded-xl p-5 shadow-sm border border-slate-200">
+        <h3 className="text-base font-semibold text-slate-800 mb-1 flex items-center gap-2">
+          <CalendarOff size={18} />
+          Tipi di Assenza
+        </h3>
+        <p className="text-xs text-slate-500 mb-3">
+          Le assenze bloccano il giorno, non contano per la copertura e accreditano le ore indicate.
+        </p>
+        <div className="flex flex-wrap gap-3">
+          {absenceTypes.map(at => (
+            <div key={at.id} className="flex items-center gap-2">
+              <ShiftBadge shift={at.id} shiftTypes={absenceTypes} size="sm" />
+              <span className="text-xs text-slate-600">{at.name}</span>
+              <input
+                type="number"
+                value={at.hours}
+                onChange={(e) => updateAbsenceType(at.id, 'hours', parseFloat(e.target.value) || 0)}
+                className="w-14 px-2 py-1 border border-slate-200 rounded text-xs"
+                min="0"
+                step="0.5"
+                title="Ore accreditate"
+              />
+              <span className="text-xs text-slate-400">h</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
       {/* Constraints Editor */}
       <ConstraintsEditor
         constraints={constraints}
         setConstraints={setConstraints}
+        coverageRules={facility.coverageRules}
         shiftTypes={shiftTypes}
+        shiftGroups={shiftGroups}
+        employees={employees}
       />
     </div>
   );
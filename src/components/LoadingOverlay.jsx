@@ -1,5 +1,5 @@
 import React from 'react';
-import { AlertCircle, Play, X, Zap, Brain, Eye } from 'lucide-react';
+import { AlertCircle, Play, X, Zap, Brain, Eye, Stethoscope, RotateCcw } from 'lucide-react';
 
 const LoadingOverlay = ({
   visible,
@@ -12,7 +12,10 @@ const LoadingOverlay = ({
   onSwitchToGreedy,
   onCancel,
   allowGreedyFallback = true,
-  hasBestEffortSchedule = false
+  hasBestEffortSchedule = false,
+  diagnosis = null,
+  onDiagnose,
+  onRelaxAndRetry
 }) => {
   if (!visible) return null;
 
@@ -43,6 +46,73 @@ const LoadingOverlay = ({
                 </div>
               )}
 
+              {/* Diagnosis: which rules make the month unsolvable */}
+              {['constraints_violated', 'no_solution'].includes(error.details?.reason) && onDiagnose && (
+                <div className="bg-slate-50 rounded-lg p-3 border border-slate-100 mb-6 w-full text-left">
+                  {!diagnosis ? (
+                    <>
+                      <button
+                        onClick={onDiagnose}
+                        className="flex items-center justify-center gap-2 w-full py-2 bg-white hover:bg-slate-100 text-slate-700 border border-slate-200 rounded-lg font-medium text-sm transition-colors"
+                      >
+                        <Stethoscope size={16} />
+                        Diagnostica conflitti
+                      </button>
+                      <p className="text-xs text-slate-400 mt-2 text-center">
+                        Brevi ottimizzazioni disattivando a turno le regole violate, per trovare il gruppo più piccolo che blocca il turno.
+                      </p>
+                    </>
+                  ) : diagnosis.running ? (
+                    <div className="space-y-1">
+                      <div className="flex justify-between text-xs text-slate-600">
+                        <span>Diagnosi in corso...</span>
+                        <span className="font-mono font-medium">
+                          {diagnosis.progress ? `${diagnosis.progress.run} / ${diagnosis.progress.maxRuns}` : '-'}
+                        </span>
+                      </div>
+                      <div className="h-2 w-full bg-slate-200 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-blue-600 transition-all duration-300 ease-linear"
+                          style={{ width: `${diagnosis.progress ? Math.min(100, (diagnosis.progress.run / diagnosis.progress.maxRuns) * 100) : 0}%` }}
+                        />
+                      </div>
+                    </div>
+                  ) : diagnosis.found ? (
+                    <>
+                      {diagnosis.feasibleAsIs ? (
+                        <p className="text-xs text-slate-600 mb-3">
+                          Nessuna regola da disattivare: una nuova ottimizzazione ha trovato un turno valido.
+                        </p>
+                      ) : (
+                        <>
+                          <p className="text-xs font-medium text-slate-700 mb-2">
+                            Il turno è risolvibile disattivando:
+                          </p>
+                          <ul className="text-xs text-slate-600 space-y-1 mb-3 list-disc pl-4">
+                            {diagnosis.relaxed.map(rule => (
+                              <li key={`${rule.kind}-${rule.id}`}>{rule.label}</li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                      <button
+                        onClick={onRelaxAndRetry}
+                        className="flex items-center justify-center gap-2 w-full py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg font-medium text-sm transition-colors"
+                      >
+                        <RotateCcw size={16} />
+                        {diagnosis.feasibleAsIs ? 'Riprova' : 'Disattiva queste regole e riprova'}
+                      </button>
+                    </>
+                  ) : (
+                    <p className="text-xs text-slate-600">
+                      {diagnosis.error
+                        ? `Diagnosi non riuscita: ${diagnosis.error}`
+                        : `Nessun piccolo gruppo di regole spiega il fallimento (${diagnosis.runs} prove).`}
+                    </p>
+                  )}
+                </div>
+              )}
+
               <div className="flex flex-col gap-3 w-full">
                 {/* Show best-effort schedule option if available */}
                 {hasBestEffortSchedule && (
@@ -164,6 +234,12 @@ const LoadingOverlay = ({
                   <span>Stagnazione:</span>
                   <span className="font-mono">{stats.stagnation || 0} it.</span>
                 </div>
+                {stats.islands > 0 && (
+                  <div className="flex justify-between text-xs text-slate-500">
+                    <span>Isole (migliore globale):</span>
+                    <span className="font-mono">{stats.islands}</span>
+                  </div>
+                )}
               </div>
             ) : null}
 
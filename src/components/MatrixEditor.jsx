@@ -15,6 +15,7 @@ import LoadingOverlay from './LoadingOverlay';
  * @param {Array<Object>} props.shiftTypes - Available shift types
  * @param {Array<Object>} props.constraints - Application constraints
  * @param {Array<Object>} props.coverageRules - Staffing requirements (Flexible rules)
+ * @param {Array<Object>} props.shiftGroups - Shift groups referenced by constraints/rules
  */
 const MatrixEditor = ({
   matrices,
@@ -22,6 +23,7 @@ const MatrixEditor = ({
   shiftTypes,
   constraints,
   coverageRules,
+  shiftGroups = [],
   employees,
   year,
   month
@@ -150,6 +152,7 @@ const MatrixEditor = ({
         shiftTypes,
         constraints,
         coverageRules,
+        shiftGroups,
         columnCount,
         employees,
         year,
@@ -215,6 +218,7 @@ const MatrixEditor = ({
         shiftTypes,
         constraints,
         coverageRules,
+        shiftGroups,
         columnCount,
         employees,
         year,
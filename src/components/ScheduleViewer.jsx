@@ -1,8 +1,8 @@
 import React, { useState, useMemo } from 'react';
-import { Calendar, Download, AlertCircle, Zap, ArrowLeftRight, Sliders, Activity } from 'lucide-react';
+import { Calendar, Download, AlertCircle, Zap, ArrowLeftRight, Sliders, Activity, Lock, Unlock } from 'lucide-react';
 import { WEEKDAYS, MONTHS } from '../constants';
 import { getDaysInMonth, getFirstDayOfMonth } from '../utils';
-import { WEIGHTS, DEFAULT_SCHEDULE_GA_CONFIG } from '../scheduling';
+import { WEIGHTS, DEFAULT_SCHEDULE_GA_CONFIG, DEFAULT_EXACT_CONFIG, DEFAULT_ISLAND_CONFIG, getDefaultIslandCount, countHolidaysWorked, countWishesGranted, getMonthWishes } from '../scheduling';
 import { ShiftBadge } from './shared';
 import PreviousMonthUploader from './PreviousMonthUploader';
 
@@ -19,12 +19,16 @@ import PreviousMonthUploader from './PreviousMonthUploader';
  * @param {number} props.month - Month index (0-11)
  * @param {Array<Object>} props.warnings - Generation warnings
  * @param {Object} props.facility - Facility configuration
+ * @param {Array<Object>} props.holidays - Holidays in the month ({ dayOfMonth, name })
  * @param {Function} props.onExport - Called to export schedule
  * @param {Object|null} props.previousMonthSchedule - Previous month data
  * @param {Function} props.onPreviousMonthUpload - Called with uploaded previous month data
  * @param {Function} props.onPreviousMonthClear - Called to clear previous month data
  * @param {Function} props.onGenerate - Called to generate schedule
  * @param {Function} props.onScheduleChange - Called when a shift is manually changed (employeeId, day, newShift)
+ * @param {Object} props.pinnedShifts - Cells kept by regeneration, { empId: { day: shiftId } }
+ * @param {Function} props.onTogglePin - Called to pin/unpin a cell (employeeId, day)
+ * @param {Function} props.onClearPins - Called to remove all pins
  */
 const ScheduleViewer = ({
   schedule,
@@ -35,25 +39,44 @@ const ScheduleViewer = ({
   month,
   warnings,
   facility,
+  holidays = [],
   onExport,
   previousMonthSchedule,
   onPreviousMonthUpload,
   onPreviousMonthClear,
   onGenerate,
-  onScheduleChange
+  onScheduleChange,
+  pinnedShifts = {},
+  onTogglePin,
+  onClearPins
 }) => {
   const daysInMonth = getDaysInMonth(year, month);
   const firstDay = getFirstDayOfMonth(year, month);
 
+  // Holiday names by day index (0-based)
+  const holidayNames = {};
+  for (const h of holidays) holidayNames[h.dayOfMonth - 1] = h.name;
+  const holidayDays = holidays.map(h => h.dayOfMonth - 1);
+
+  // Pin mode: clicking a cell pins/unpins it instead of editing it
+  const [pinMode, setPinMode] = useState(false);
+  const pinCount = Object.values(pinnedShifts).reduce((n, days) => n + Object.keys(days).length, 0);
+
   // GA Configuration State
   const [hoursVsMatrix, setHoursVsMatrix] = useState(50); // 0 = Hours, 100 = Matrix
   const [underPenalty, setUnderPenalty] = useState(50); // 0 = Symmetric, 100 = Heavy Under Penalty
   const [matrixFidelity, setMatrixFidelity] = useState(60); // 0-100% adherence to baseline
+  const [wishWeight, setWishWeight] = useState(50); // 0 = Ignore wishes, 100 = Strong
   
   // Advanced GA Config
   const [popSize, setPopSize] = useState(DEFAULT_SCHEDULE_GA_CONFIG.POPULATION_SIZE);
   const [maxGen, setMaxGen] = useState(DEFAULT_SCHEDULE_GA_CONFIG.MAX_GENERATIONS);
   const [timeoutSec, setTimeoutSec] = useState(DEFAULT_SCHEDULE_GA_CONFIG.TIMEOUT_MS / 1000);
+  // Parallel GA islands, one worker each (1 = single GA)
+  const [islands, setIslands] = useState(() => getDefaultIslandCount(navigator.hardwareConcurrency));
+  // Exact search before the GA, only offered to small wards
+  const [exactSearch, setExactSearch] = useState(false);
+  const exactAvailable = employees.length <= DEFAULT_EXACT_CONFIG.MAX_EMPLOYEES;
   
   // Abstracted Controls
   const [mutationPressure, setMutationPressure] = useState(50); // 0-100
@@ -70,6 +93,10 @@ const ScheduleViewer = ({
 
   const defaultMatrix = matrices?.[0]?.rows || [];
 
+  // Employee wishes (desiderata) for the displayed month
+  const wishes = useMemo(() => getMonthWishes(employees, year, month), [employees, year, month]);
+  const hasWishes = Object.keys(wishes).length > 0;
+
   // Compute stats for the current schedule
   const stats = useMemo(() => {
     if (!schedule || !matrices || matrices.length === 0) return null;
@@ -125,12 +152,16 @@ const ScheduleViewer = ({
     // 100 -> Extreme asymmetry (5:1 ratio)
     const underOverRatio = 1 + (underPenalty / 100) * 4;
 
+    // wishWeight slider: 0 -> wishes ignored, 50 -> default, 100 -> 2x default
+    const wishMult = 2 * (wishWeight / 100);
+
     // Apply multipliers to defaults
     // Only pass weights the user can control; others use fitness.js defaults
     const weights = {
       HOURS_OVER: WEIGHTS.HOURS_OVER * hoursMult,
       HOURS_UNDER: WEIGHTS.HOURS_OVER * hoursMult * underOverRatio,
-      MATRIX_CHANGE: WEIGHTS.MATRIX_CHANGE * matrixMult
+      MATRIX_CHANGE: WEIGHTS.MATRIX_CHANGE * matrixMult,
+      WISH_DENIED: WEIGHTS.WISH_DENIED * wishMult
     };
 
     // Calculate derived GA parameters
@@ -164,7 +195,9 @@ const ScheduleViewer = ({
       eliteCount: derivedEliteCount,
       mutationRate: derivedMutationRate,
       crossoverRate: derivedCrossoverRate,
-      tournamentSize: derivedTournamentSize
+      tournamentSize: derivedTournamentSize,
+      islands,
+      method: exactSearch && exactAvailable ? 'exact' : 'ga'
     });
   };
 
@@ -206,14 +239,40 @@ const ScheduleViewer = ({
             </div>
           )}
         </div>
-        <button
-          onClick={onExport}
-          disabled={!schedule}
-          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          <Download size={16} />
-          Scarica Excel
-        </button>
+        <div className="flex items-center gap-2">
+          {onTogglePin && (
+            <button
+              onClick={() => setPinMode(!pinMode)}
+              disabled={!schedule}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                pinMode
+                  ? 'bg-blue-50 border-blue-300 text-blue-700'
+                  : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'
+              }`}
+              title="Le celle bloccate vengono mantenute quando si rigenera"
+            >
+              <Lock size={16} />
+              Blocca celle{pinCount > 0 ? ` (${pinCount})` : ''}
+            </button>
+          )}
+          {pinCount > 0 && onClearPins && (
+            <button
+              onClick={onClearPins}
+              className="flex items-center gap-1 px-2 py-2 rounded-lg text-sm text-slate-500 hover:bg-slate-100"
+              title="Sblocca tutte le celle"
+            >
+              <Unlock size={16} />
+            </button>
+          )}
+          <button
+            onClick={onExport}
+            disabled={!schedule}
+            className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Download size={16} />
+            Scarica Excel
+          </button>
+        </div>
       </div>
 
       {/* Warnings */}
@@ -256,20 +315,36 @@ const ScheduleViewer = ({
                   )}
                   {Array.from({ length: daysInMonth }, (_, i) => {
                     const dow = (firstDay + i) % 7;
+                    const holidayName = holidayNames[i];
                     return (
                       <th
                         key={i}
-                        className={`py-1 px-0.5 text-center font-medium min-w-[40px] ${dow >= 5 ? 'bg-slate-200' : ''}`}
+                        title={holidayName}
+                        className={`py-1 px-0.5 text-center font-medium min-w-[40px] ${
+                          holidayName ? 'bg-red-100' : dow >= 5 ? 'bg-slate-200' : ''
+                        }`}
                       >
-                        <span className="text-slate-600">{i + 1}</span>
-                        <span className={`block text-[10px] ${dow >= 5 ? 'text-slate-500' : 'text-slate-400'}`}>
-                          {WEEKDAYS[dow]}
+                        <span className={holidayName ? 'text-red-700' : 'text-slate-600'}>{i + 1}</span>
+                        <span className={`block text-[10px] ${
+                          holidayName ? 'text-red-600' : dow >= 5 ? 'text-slate-500' : 'text-slate-400'
+                        }`}>
+                          {holidayName ? 'FEST' : WEEKDAYS[dow]}
                         </span>
                       </th>
                     );
                   })}
                   <th className="py-2 px-2 text-center font-medium text-slate-600 min-w-[50px]">TOT</th>
                   <th className="py-2 px-2 text-center font-medium text-slate-600 min-w-[50px]">DIFF</th>
+                  {holidays.length > 0 && (
+                    <th className="py-2 px-2 text-center font-medium text-slate-600 min-w-[50px]" title="Festivi lavorati">
+                      FEST
+                    </th>
+                  )}
+                  {hasWishes && (
+                    <th className="py-2 px-2 text-center font-medium text-slate-600 min-w-[50px]" title="Desiderata esauditi">
+                      DES
+                    </th>
+                  )}
                 </tr>
               </thead>
               <tbody>
@@ -279,6 +354,7 @@ const ScheduleViewer = ({
                   const continuityPct = es.continuityScore !== null && es.continuityScore !== undefined
                     ? Math.round(es.continuityScore * 100)
                     : null;
+                  const wishResult = hasWishes ? countWishesGranted(es.shifts, wishes[emp.id]) : null;
                   return (
                     <tr key={emp.id} className="border-b border-slate-100 hover:bg-slate-50">
                       <td className="sticky left-0 bg-white py-1 px-2 text-slate-500 z-10 border-r border-slate-100 text-center">
@@ -306,19 +382,33 @@ const ScheduleViewer = ({
                       {es.shifts.map((shift, i) => {
                         const dow = (firstDay + i) % 7;
                         const shiftType = shiftTypes.find(s => s.id === shift);
+                        const isPinned = pinnedShifts[emp.id]?.[i] !== undefined;
                         return (
-                          <td key={i} className={`py-0.5 px-0.5 text-center ${dow >= 5 ? 'bg-slate-50' : ''}`}>
-                            {onScheduleChange ? (
+                          <td key={i} className={`py-0.5 px-0.5 text-center ${
+                            holidayNames[i] ? 'bg-red-50' : dow >= 5 ? 'bg-slate-50' : ''
+                          }`}>
+                            {pinMode && !shiftType?.absence ? (
+                              <button
+                                onClick={() => onTogglePin(emp.id, i)}
+                                className={`inline-block rounded ${isPinned ? 'ring-2 ring-blue-500' : 'opacity-60 hover:opacity-100'}`}
+                                title={isPinned ? 'Sblocca cella' : 'Blocca cella'}
+                              >
+                                <ShiftBadge shift={shift} shiftTypes={shiftTypes} size="sm" />
+                              </button>
+                            ) : onScheduleChange && !shiftType?.absence ? (
                               <select
                                 value={shift}
                                 onChange={(e) => onScheduleChange(emp.id, i, e.target.value)}
-                                className="w-11 h-5 text-[10px] border border-slate-200 rounded font-medium cursor-pointer"
+                                title={isPinned ? 'Cella bloccata' : undefined}
+                                className={`w-11 h-5 text-[10px] border rounded font-medium cursor-pointer ${
+                                  isPinned ? 'border-blue-500 ring-1 ring-blue-500' : 'border-slate-200'
+                                }`}
                                 style={{
                                   backgroundColor: shiftType?.color || '#fff',
                                   color: shiftType?.textColor || '#000'
                                 }}
                               >
-                                {shiftTypes.map(st => (
+                                {shiftTypes.filter(st => !st.absence).map(st => (
                                   <option key={st.id} value={st.id}>{st.id}</option>
                                 ))}
                               </select>
@@ -334,6 +424,24 @@ const ScheduleViewer = ({
                       }`}>
                         {es.hoursDiff >= 0 ? '+' : ''}{es.hoursDiff}
                       </td>
+                      {holidays.length > 0 && (
+                        <td className="py-1 px-2 text-center font-medium text-red-700">
+                          {countHolidaysWorked(es.shifts, shiftTypes, holidayDays)}
+                        </td>
+                      )}
+                      {hasWishes && (
+                        <td
+                          className={`py-1 px-2 text-center font-medium ${
+                            wishResult.total === 0 ? 'text-slate-400' :
+                            wishResult.granted / wishResult.total >= 0.8 ? 'text-green-600' :
+                            wishResult.granted / wishResult.total >= 0.5 ? 'text-amber-600' :
+                            'text-red-600'
+                          }`}
+                          title={`${wishResult.granted} di ${wishResult.total} desiderata esauditi`}
+                        >
+                          {wishResult.total > 0 ? `${wishResult.granted}/${wishResult.total}` : '-'}
+                        </td>
+                      )}
                     </tr>
                   );
                 })}
@@ -429,7 +537,26 @@ const ScheduleViewer = ({
               />
             </div>
 
-            {/* Slider 4: Mutation Pressure */}
+            {/* Slider 4: Employee Wishes */}
+            <div>
+              <div className="flex justify-between text-xs mb-1">
+                <span className="text-slate-600">Ignora</span>
+                <span className="font-medium text-slate-800">
+                  Peso Desiderata: {wishWeight}%
+                </span>
+                <span className="text-slate-600">Rispetta</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={wishWeight}
+                onChange={(e) => setWishWeight(parseInt(e.target.value))}
+                className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-rose-600"
+              />
+            </div>
+
+            {/* Slider 5: Mutation Pressure */}
             <div>
               <div className="flex justify-between text-xs mb-1">
                 <span className="text-slate-600">Stabilità</span>
@@ -448,7 +575,7 @@ const ScheduleViewer = ({
               />
             </div>
 
-            {/* Slider 5: Selection Pressure */}
+            {/* Slider 6: Selection Pressure */}
             <div>
               <div className="flex justify-between text-xs mb-1">
                 <span className="text-slate-600">Diversità</span>
@@ -468,7 +595,7 @@ const ScheduleViewer = ({
             </div>
 
             {/* Advanced Params */}
-            <div className="grid grid-cols-3 gap-2 pt-2 border-t border-slate-100">
+            <div className="grid grid-cols-2 gap-2 pt-2 border-t border-slate-100">
               <div>
                 <label className="block text-[10px] font-medium text-slate-500 mb-1">Popolazione</label>
                 <input
@@ -501,8 +628,35 @@ const ScheduleViewer = ({
                   min="5"
                 />
               </div>
+              <div title="Popolazioni evolute in parallelo su worker separati, che si scambiano le soluzioni migliori">
+                <label className="block text-[10px] font-medium text-slate-500 mb-1">Isole</label>
+                <input
+                  type="number"
+                  value={islands}
+                  onChange={(e) => setIslands(Math.min(DEFAULT_ISLAND_CONFIG.MAX_ISLANDS, Math.max(1, parseInt(e.target.value) || 0)))}
+                  className="w-full px-2 py-1.5 border border-slate-200 rounded text-xs text-center"
+                  min="1"
+                  max={DEFAULT_ISLAND_CONFIG.MAX_ISLANDS}
+                />
+              </div>
             </div>
 
+            <label
+              className={`flex items-center gap-2 text-xs ${exactAvailable ? 'text-slate-600' : 'text-slate-400'}`}
+              title={exactAvailable
+                ? 'Ricerca completa: trova un turno senza violazioni o dimostra che non esiste (poi algoritmo genetico se scade il tempo)'
+                : `Disponibile fino a ${DEFAULT_EXACT_CONFIG.MAX_EMPLOYEES} dipendenti`}
+            >
+              <input
+                type="checkbox"
+                checked={exactSearch && exactAvailable}
+                disabled={!exactAvailable}
+                onChange={(e) => setExactSearch(e.target.checked)}
+                className="rounded"
+              />
+              Ricerca esatta (fino a {DEFAULT_EXACT_CONFIG.MAX_EMPLOYEES} dipendenti)
+            </label>
+
             <button
               onClick={handleGenerate}
               className="w-full py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-lg text-xs font-medium transition-colors flex items-center justify-center gap-2"
@@ -7,8 +7,22 @@ import React from 'react';
  * @param {string} props.shift - Shift ID to display
  * @param {Array<Object>} props.shiftTypes - Array of shift type definitions
  * @param {string} props.size - Size variant: 'sm', 'md', or 'lg'
+ * @param {Array<Object>} props.shiftGroups - Shift groups (optional), rendered as outlined pills
  */
-const ShiftBadge = ({ shift, shiftTypes, size = 'md' }) => {
+const ShiftBadge = ({ shift, shiftTypes, size = 'md', shiftGroups = [] }) => {
+  const group = shiftGroups.find(g => g.id === shift);
+  if (group) {
+    const heights = { sm: 'h-5 text-xs', md: 'h-7 text-xs', lg: 'h-9 text-sm' };
+    return (
+      <div
+        className={`${heights[size]} px-1.5 rounded flex items-center justify-center font-semibold border border-dashed border-slate-400 bg-slate-100 text-slate-700`}
+        title={group.name}
+      >
+        {shift}
+      </div>
+    );
+  }
+
   const shiftType = shiftTypes.find(
     s => s.id === shift || shift?.startsWith(s.id + '_')
   );
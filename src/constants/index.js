@@ -3,19 +3,35 @@
  * Shift scheduling application for healthcare cooperatives
  */
 
-import { ArrowRight, Ban, Timer, Repeat, Link } from 'lucide-react';
+import { ArrowRight, Ban, Timer, Repeat, Link, BedDouble, Gauge, ArrowDownToLine, ArrowUpToLine, CalendarCheck, CalendarX, StretchHorizontal, ListChecks, ListX, UserX, UserCheck } from 'lucide-react';
 
 // ============================================
 // SHIFT TYPE DEFINITIONS
 // ============================================
 
+// start/end are 'HH:MM' wall-clock times; an end earlier than (or equal to) the
+// start means the shift crosses midnight. Rest days have no times.
 export const DEFAULT_SHIFT_TYPES = [
-  { id: 'M', name: 'Mattina', hours: 6, color: '#FCD34D', textColor: '#1a1a1a' },
-  { id: 'P', name: 'Pomeriggio', hours: 7, color: '#60A5FA', textColor: '#1a1a1a' },
-  { id: 'N', name: 'Notte', hours: 4, color: '#1E3A5F', textColor: '#ffffff' },
-  { id: 'SN', name: 'Smonto Notte', hours: 7, color: '#6366F1', textColor: '#ffffff' },
+  { id: 'M', name: 'Mattina', hours: 6, start: '07:00', end: '13:00', color: '#FCD34D', textColor: '#1a1a1a' },
+  { id: 'P', name: 'Pomeriggio', hours: 7, start: '14:00', end: '21:00', color: '#60A5FA', textColor: '#1a1a1a' },
+  { id: 'N', name: 'Notte', hours: 4, start: '20:00', end: '00:00', color: '#1E3A5F', textColor: '#ffffff' },
+  { id: 'SN', name: 'Smonto Notte', hours: 7, start: '00:00', end: '07:00', color: '#6366F1', textColor: '#ffffff' },
   { id: 'RP', name: 'Riposo', hours: 0, color: '#E5E7EB', textColor: '#666666' },
-  { id: 'N11', name: 'Notte Lunga', hours: 11, color: '#0F172A', textColor: '#ffffff' },
+  { id: 'N11', name: 'Notte Lunga', hours: 11, start: '20:00', end: '07:00', color: '#0F172A', textColor: '#ffffff' },
+];
+
+// ============================================
+// ABSENCE TYPES
+// ============================================
+
+// Absence codes placed on an employee's calendar (ferie, malattia, ...).
+// They are pinned in the schedule, never count towards coverage and are
+// credited with `hours` towards the contract.
+export const DEFAULT_ABSENCE_TYPES = [
+  { id: 'FE', name: 'Ferie', hours: 6, color: '#FDE68A', textColor: '#92400E', absence: true },
+  { id: 'MAL', name: 'Malattia', hours: 6, color: '#FECACA', textColor: '#991B1B', absence: true },
+  { id: 'L104', name: 'Permesso L.104', hours: 6, color: '#DDD6FE', textColor: '#5B21B6', absence: true },
+  { id: 'PERM', name: 'Permesso', hours: 6, color: '#BBF7D0', textColor: '#166534', absence: true },
 ];
 
 // ============================================
@@ -93,6 +109,105 @@ export const CONSTRAINT_TYPES = [
     bgColor: 'bg-green-50',
     params: ['shiftA', 'shiftB', 'days']
   },
+  {
+    id: 'min_consecutive',
+    name: 'Blocco minimo consecutivo',
+    description: 'I turni del gruppo devono comparire in blocchi di almeno N giorni consecutivi',
+    icon: StretchHorizontal,
+    color: 'text-emerald-600',
+    bgColor: 'bg-emerald-50',
+    params: ['shifts', 'days']
+  },
+  {
+    id: 'required_pattern',
+    name: 'Sequenza obbligatoria',
+    description: 'Quando compare il primo turno, la sequenza deve proseguire per intero (es. N N11 SN RP)',
+    icon: ListChecks,
+    color: 'text-violet-600',
+    bgColor: 'bg-violet-50',
+    params: ['pattern']
+  },
+  {
+    id: 'forbidden_pattern',
+    name: 'Sequenza vietata',
+    description: 'La sequenza non può comparire in nessun punto (es. N RP N)',
+    icon: ListX,
+    color: 'text-pink-600',
+    bgColor: 'bg-pink-50',
+    params: ['pattern']
+  },
+  {
+    id: 'min_rest_hours',
+    name: 'Riposo minimo tra turni',
+    description: 'Devono passare almeno N ore tra la fine di un turno e l\'inizio del successivo',
+    icon: BedDouble,
+    color: 'text-teal-600',
+    bgColor: 'bg-teal-50',
+    params: ['hours']
+  },
+  {
+    id: 'max_hours_window',
+    name: 'Max ore in N giorni',
+    description: 'In qualsiasi finestra di N giorni consecutivi non si possono superare le ore indicate',
+    icon: Gauge,
+    color: 'text-rose-600',
+    bgColor: 'bg-rose-50',
+    params: ['hours', 'days']
+  },
+  {
+    id: 'max_count_window',
+    name: 'Al massimo K turni in N giorni',
+    description: 'In qualsiasi finestra di N giorni ci possono essere al massimo K turni del gruppo',
+    icon: ArrowDownToLine,
+    color: 'text-fuchsia-600',
+    bgColor: 'bg-fuchsia-50',
+    params: ['shifts', 'count', 'days']
+  },
+  {
+    id: 'min_count_window',
+    name: 'Almeno K turni in N giorni',
+    description: 'In ogni finestra di N giorni ci devono essere almeno K turni del gruppo',
+    icon: ArrowUpToLine,
+    color: 'text-lime-600',
+    bgColor: 'bg-lime-50',
+    params: ['shifts', 'count', 'days']
+  },
+  {
+    id: 'min_free_weekends',
+    name: 'Weekend liberi minimi',
+    description: 'Almeno K weekend al mese con sabato e domenica entrambi liberi',
+    icon: CalendarCheck,
+    color: 'text-sky-600',
+    bgColor: 'bg-sky-50',
+    params: ['count']
+  },
+  {
+    id: 'no_consecutive_weekends',
+    name: 'Weekend alterni',
+    description: 'Non si possono lavorare due weekend consecutivi',
+    icon: CalendarX,
+    color: 'text-indigo-600',
+    bgColor: 'bg-indigo-50',
+    params: []
+  },
+  {
+    id: 'max_together',
+    name: 'Mai insieme',
+    description: 'Al massimo K dei dipendenti indicati nello stesso giorno sui turni scelti',
+    icon: UserX,
+    color: 'text-red-700',
+    bgColor: 'bg-red-50',
+    params: ['employees', 'shifts', 'count']
+  },
+  {
+    id: 'always_together',
+    name: 'Sempre affiancato',
+    description: 'Quando il tirocinante lavora uno dei turni scelti, almeno un tutor deve fare lo stesso turno',
+    icon: UserCheck,
+    color: 'text-green-700',
+    bgColor: 'bg-green-50',
+    params: ['employees', 'shifts']
+  },
 ];
 
 // ============================================
@@ -130,5 +245,9 @@ export const DEFAULT_FACILITY = {
     { id: 'default-m', min: 2, shiftIds: ['M'] },
     { id: 'default-p', min: 2, shiftIds: ['P'] },
     { id: 'default-n', min: 1, shiftIds: ['N'] }
-  ]
+  ],
+  coverageOverrides: [],
+  shiftGroups: [],
+  patronSaint: null,
+  absenceTypes: DEFAULT_ABSENCE_TYPES
 };
@@ -6,18 +6,46 @@
  */
 
 import { describe, it, expect } from 'vitest';
-import { validateSequenceWithConstraints, getValidShiftsForPosition } from '../constraints.js';
+import {
+  validateSequenceWithConstraints,
+  getValidShiftsForPosition,
+  parseShiftPattern,
+  prepareValidation
+} from '../constraints.js';
 import {
   countConstraintViolations,
   calculateHoursDeviation,
-  evaluateFitness
+  evaluateFitness,
+  WEIGHTS
 } from '../ga/fitness.js';
+import { getPairingErrors, evaluateSchedule, checkDayCoverage, applyCoverageOverrides, validateSchedule } from '../evaluator.js';
+import { getEasterSunday, getHolidaysInMonth } from '../../utils/dates.js';
+import { DEFAULT_SHIFT_TYPES, DEFAULT_ABSENCE_TYPES, DEFAULT_CONSTRAINTS } from '../../constants/index.js';
 import {
   swapMutation,
   guidedMutation,
   tournamentSelect,
-  employeeCrossover
+  employeeCrossover,
+  skillRepairMutation,
+  pointMutation,
+  getCoverageDetails,
+  coverageRepairMutation,
+  createOffspring,
+  cloneChromosome
 } from '../ga/operators.js';
+import { createDeltaEvaluator } from '../ga/delta.js';
+import { runLocalSearch } from '../ga/localSearch.js';
+import { createEncoding, encodeSchedule, decodeSchedule } from '../ga/encoding.js';
+import { getAbsenceLocks, mergeLockedShifts } from '../locks.js';
+import { runGeneticAlgorithm } from '../ga/geneticAlgorithm.js';
+import { getMonthWishes } from '../preferences.js';
+import { analyzeConstraintSet } from '../conflicts.js';
+import { checkCoverageFeasibility } from '../feasibility.js';
+import { getViolatedRules, diagnoseInfeasibility } from '../diagnosis.js';
+import { generateMonthlySchedule, createScheduleIsland } from '../generator.js';
+import { runIslandPool, runIslandEpoch, getIslandOptions, mergeIslandProgress, getBestIslandResult } from '../islands.js';
+import { searchExactSchedule, DEFAULT_EXACT_CONFIG } from '../exact.js';
+import { solveExact } from '../optimizer.js';
 import {
   shiftTypes,
   constraints,
@@ -69,8 +97,614 @@ describe('Workflow 1: Schedule Generation GA', () => {
       expect(validShifts).not.toContain('M'); // cannot_follow N->M
       expect(validShifts).not.toContain('P');
     });
+
+    it('should reject shifts completing a pattern or closing a short block', () => {
+      const patternRule = { id: 'fp', type: 'forbidden_pattern', pattern: ['N', 'RP', 'N'], enabled: true };
+      expect(getValidShiftsForPosition(['N', 'RP'], [patternRule], shiftTypes)).not.toContain('N');
+
+      const blockRule = { id: 'mc', type: 'min_consecutive', shifts: ['M'], days: 3, enabled: true };
+      const validShifts = getValidShiftsForPosition(['P', 'M', 'M'], [blockRule], shiftTypes);
+      expect(validShifts).toContain('M');
+      expect(validShifts).not.toContain('P');
+    });
+
+    describe('min_rest_hours', () => {
+      const timedShiftTypes = [
+        { id: 'M', hours: 6, start: '07:00', end: '13:00' },
+        { id: 'P', hours: 7, start: '14:00', end: '21:00' },
+        { id: 'N', hours: 4, start: '20:00', end: '00:00' },
+        { id: 'SN', hours: 7, start: '00:00', end: '07:00' },
+        { id: 'N11', hours: 11, start: '20:00', end: '07:00' },
+        { id: 'RP', hours: 0 }
+      ];
+      const restConstraint = [{ id: 'rest', type: 'min_rest_hours', hours: 11, enabled: true }];
+
+      it('should detect insufficient rest between P and M', () => {
+        // P ends 21:00, M starts 07:00 -> 10h rest
+        const errors = validateSequenceWithConstraints(['P', 'M'], restConstraint, timedShiftTypes);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].day).toBe(1);
+        expect(errors[0].constraintId).toBe('rest');
+      });
+
+      it('should handle shifts crossing midnight', () => {
+        // N11 ends 07:00 next day, P starts 14:00 -> 7h rest
+        expect(validateSequenceWithConstraints(['N11', 'P'], restConstraint, timedShiftTypes)).toHaveLength(1);
+        // N11 ends 07:00 next day, N11 starts 20:00 -> 13h rest
+        expect(validateSequenceWithConstraints(['N11', 'N11'], restConstraint, timedShiftTypes)).toHaveLength(0);
+      });
+
+      it('should not take a long night followed by a morning for a midnight split', () => {
+        // N11 ends 07:00 next day, M starts 07:00 -> 0h rest
+        const errors = validateSequenceWithConstraints(['N11', 'M'], restConstraint, timedShiftTypes);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].message).toContain('Solo 0h di riposo');
+      });
+
+      it('should treat back-to-back shifts as a single shift and skip untimed days', () => {
+        // N ends at midnight and SN starts at midnight: same night, no rest expected
+        const sequence = ['M', 'P', 'RP', 'M', 'N', 'SN', 'RP', 'M'];
+        expect(validateSequenceWithConstraints(sequence, restConstraint, timedShiftTypes)).toHaveLength(0);
+      });
+    });
+
+    describe('max_hours_window', () => {
+      const windowConstraint = [{ id: 'win', type: 'max_hours_window', hours: 48, days: 7, enabled: true }];
+
+      it('should report each 7-day window above 48 hours with its range', () => {
+        // 10h nights on days 0-5: windows [0-6] = 60h and [1-7] = 50h exceed, [2-8] = 40h
+        const sequence = ['N', 'N', 'N', 'N', 'N', 'N', 'RP', 'RP', 'RP', 'M'];
+        const errors = validateSequenceWithConstraints(sequence, windowConstraint, shiftTypes);
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toMatchObject({ windowStart: 0, windowEnd: 6, day: 6, constraintId: 'win' });
+        expect(errors[1]).toMatchObject({ windowStart: 1, windowEnd: 7 });
+      });
+
+      it('should accept mixed long and short shifts within the limit', () => {
+        // 10 + 7 + 7 + 7 + 10 = 41h in 7 days
+        const sequence = ['N', 'SN', 'M', 'P', 'M', 'P', 'N', 'SN', 'RP', 'RP'];
+        expect(validateSequenceWithConstraints(sequence, windowConstraint, shiftTypes)).toHaveLength(0);
+      });
+    });
+
+    describe('max_count_window / min_count_window', () => {
+      it('should cap a shift set within any window', () => {
+        const maxNights = [{ id: 'max_n', type: 'max_count_window', shifts: ['N', 'SN'], count: 3, days: 7, enabled: true }];
+        const sequence = ['N', 'SN', 'RP', 'N', 'SN', 'RP', 'M', 'P'];
+        const errors = validateSequenceWithConstraints(sequence, maxNights, shiftTypes);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatchObject({ windowStart: 0, windowEnd: 6, constraintId: 'max_n' });
+      });
+
+      it('should require a minimum of a shift set in every full window', () => {
+        const minRest = [{ id: 'min_rp', type: 'min_count_window', shifts: ['RP'], count: 2, days: 7, enabled: true }];
+        const sequence = ['M', 'RP', 'P', 'RP', 'M', 'P', 'M', 'P', 'RP'];
+        const errors = validateSequenceWithConstraints(sequence, minRest, shiftTypes);
+        // Every 7-day window holds exactly 2 RP
+        expect(errors).toHaveLength(0);
+
+        const shortfall = validateSequenceWithConstraints(['M', 'RP', 'P', 'M', 'P', 'M', 'P', 'M'], minRest, shiftTypes);
+        expect(shortfall.map(e => e.windowStart)).toEqual([0, 1]);
+      });
+
+      it('should not judge a shortage on sequences shorter than the window', () => {
+        const minRest = [{ id: 'min_rp', type: 'min_count_window', shifts: ['RP'], count: 2, days: 7, enabled: true }];
+        expect(validateSequenceWithConstraints(['M', 'P', 'M'], minRest, shiftTypes)).toHaveLength(0);
+      });
+    });
+
+    describe('min_consecutive', () => {
+      const minWork = [{ id: 'blk', type: 'min_consecutive', shifts: ['M', 'P'], days: 2, enabled: true }];
+
+      it('should flag isolated blocks shorter than the minimum', () => {
+        const sequence = ['M', 'P', 'RP', 'M', 'RP', 'RP', 'P', 'M', 'P'];
+        const errors = validateSequenceWithConstraints(sequence, minWork, shiftTypes);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatchObject({ day: 3, windowStart: 3, windowEnd: 3 });
+      });
+
+      it('should not judge blocks cut by the edges of the sequence', () => {
+        const sequence = ['M', 'RP', 'RP', 'P', 'M', 'RP', 'P'];
+        expect(validateSequenceWithConstraints(sequence, minWork, shiftTypes)).toHaveLength(0);
+      });
+
+      it('should close blocks with the previous month tail', () => {
+        const sequence = ['M', 'RP', 'RP', 'P', 'M', 'RP'];
+        // Previous month ended on a rest day: the M on day 1 stands alone
+        const isolated = validateSequenceWithConstraints(sequence, minWork, shiftTypes, { previousShifts: ['P', 'RP'] });
+        expect(isolated.map(e => e.day)).toEqual([0]);
+
+        // Previous month ended working: the block started there and is long enough
+        const continued = validateSequenceWithConstraints(sequence, minWork, shiftTypes, { previousShifts: ['RP', 'P'] });
+        expect(continued).toHaveLength(0);
+      });
+    });
+
+    describe('pattern constraints', () => {
+      const patternShiftTypes = [...shiftTypes, { id: 'N11', name: 'Notte Lunga', hours: 11 }];
+
+      it('should flag every occurrence of a forbidden pattern', () => {
+        const forbidden = [{ id: 'fp', type: 'forbidden_pattern', pattern: ['N', 'RP', 'N'], enabled: true }];
+        const sequence = ['N', 'RP', 'N', 'RP', 'N', 'SN', 'RP'];
+        const errors = validateSequenceWithConstraints(sequence, forbidden, shiftTypes);
+        expect(errors.map(e => [e.windowStart, e.windowEnd])).toEqual([[0, 2], [2, 4]]);
+      });
+
+      it('should treat * as any shift', () => {
+        const forbidden = [{ id: 'fp', type: 'forbidden_pattern', pattern: ['N', '*', 'M'], enabled: true }];
+        expect(validateSequenceWithConstraints(['N', 'SN', 'M'], forbidden, shiftTypes)).toHaveLength(1);
+        expect(validateSequenceWithConstraints(['N', 'SN', 'P'], forbidden, shiftTypes)).toHaveLength(0);
+      });
+
+      it('should require the whole pattern once its first shift appears', () => {
+        const required = [{ id: 'rp', type: 'required_pattern', pattern: ['N', 'N11', 'SN', 'RP'], enabled: true }];
+        const complete = ['M', 'N', 'N11', 'SN', 'RP', 'P'];
+        expect(validateSequenceWithConstraints(complete, required, patternShiftTypes)).toHaveLength(0);
+
+        const broken = ['M', 'N', 'N11', 'RP', 'RP', 'P'];
+        const errors = validateSequenceWithConstraints(broken, required, patternShiftTypes);
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatchObject({ day: 3, windowStart: 1, windowEnd: 3 });
+      });
+
+      it('should not judge a required pattern cut by the end of the sequence', () => {
+        const required = [{ id: 'rp', type: 'required_pattern', pattern: ['N', 'N11', 'SN', 'RP'], enabled: true }];
+        expect(validateSequenceWithConstraints(['M', 'P', 'N', 'N11'], required, patternShiftTypes)).toHaveLength(0);
+      });
+
+      it('should parse the pattern syntax', () => {
+        expect(parseShiftPattern(' n  N11, sn RP ')).toEqual(['N', 'N11', 'SN', 'RP']);
+      });
+    });
+
+    describe('weekend constraints', () => {
+      // 14 days starting on Monday: weekends on days 5-6 and 12-13
+      const week = (weekend) => ['M', 'P', 'M', 'P', 'M', ...weekend];
+
+      it('should count fully free weekends when the calendar is known', () => {
+        const minFree = [{ id: 'wk', type: 'min_free_weekends', count: 2, enabled: true }];
+        const sequence = [...week(['RP', 'RP']), ...week(['RP', 'M'])];
+
+        const errors = validateSequenceWithConstraints(sequence, minFree, shiftTypes, { firstDayOfMonth: 0 });
+        expect(errors).toHaveLength(1);
+        expect(errors[0].message).toContain('Solo 1 weekend liberi');
+
+        // Without weekday alignment the rule cannot be judged
+        expect(validateSequenceWithConstraints(sequence, minFree, shiftTypes)).toHaveLength(0);
+      });
+
+      it('should only count weekends fully inside the period', () => {
+        const minFree = [{ id: 'wk', type: 'min_free_weekends', count: 4, enabled: true }];
+        // Starting on Sunday: day 0 is a lone Sunday, full weekend on days 6-7
+        const sequence = ['RP', 'M', 'P', 'M', 'P', 'M', 'RP', 'RP', 'M'];
+        expect(validateSequenceWithConstraints(sequence, minFree, shiftTypes, { firstDayOfMonth: 6 })).toHaveLength(0);
+      });
+
+      it('should forbid two consecutive worked weekends', () => {
+        const alternate = [{ id: 'alt', type: 'no_consecutive_weekends', enabled: true }];
+        const sequence = [...week(['M', 'RP']), ...week(['P', 'P']), ...week(['RP', 'RP'])];
+        const errors = validateSequenceWithConstraints(sequence, alternate, shiftTypes, { firstDayOfMonth: 0 });
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatchObject({ day: 12, windowStart: 5, windowEnd: 13 });
+      });
+
+      it('should penalize weekend violations through the GA context', () => {
+        const alternate = [{ id: 'alt', type: 'no_consecutive_weekends', enabled: true }];
+        const context = {
+          employees: employees.slice(0, 1),
+          shiftTypes,
+          constraints: alternate,
+          coverageRules: [],
+          daysInMonth: 14
+        };
+        const chromosome = { schedule: { emp1: [...week(['M', 'M']), ...week(['M', 'M'])] } };
+
+        expect(evaluateFitness(chromosome, { ...context, firstDayOfMonth: 0 }).components.constraintViolations).toBe(1);
+        expect(evaluateFitness(chromosome, context).components.constraintViolations).toBe(0);
+      });
+    });
+
+    describe('shift groups', () => {
+      const groupShiftTypes = [...shiftTypes, { id: 'N11', name: 'Notte Lunga', hours: 11 }];
+      const shiftGroups = [
+        { id: 'NOTTI', name: 'Notti', shiftIds: ['N', 'N11'] },
+        { id: 'LAVORO', name: 'Lavoro', allWorking: true }
+      ];
+
+      it('should match every member of a group used as shiftA', () => {
+        const nightThenRest = [{ id: 'g1', type: 'must_follow', shiftA: 'NOTTI', shiftB: 'SN', enabled: true }];
+        const sequence = ['N', 'SN', 'N11', 'M', 'N_1', 'SN'];
+        const errors = validateSequenceWithConstraints(sequence, nightThenRest, groupShiftTypes, { shiftGroups });
+        expect(errors.map(e => e.day)).toEqual([2]);
+      });
+
+      it('should ignore a constraint on an unknown group', () => {
+        const unknown = [{ id: 'g2', type: 'must_follow', shiftA: 'NOTTI', shiftB: 'SN', enabled: true }];
+        expect(validateSequenceWithConstraints(['N', 'M'], unknown, groupShiftTypes)).toHaveLength(0);
+      });
+
+      it('should resolve "all working shifts" groups from shift hours', () => {
+        const maxWork = [{ id: 'g3', type: 'max_consecutive', shift: 'LAVORO', days: 3, enabled: true }];
+        const sequence = ['M', 'P', 'N11', 'M', 'RP'];
+        const errors = validateSequenceWithConstraints(sequence, maxWork, groupShiftTypes, { shiftGroups });
+        expect(errors).toHaveLength(1);
+      });
+
+      it('should expand groups in coverage rules', () => {
+        const nightRule = [{ id: 'r-n', shiftIds: ['NOTTI'], min: 1, enabled: true }];
+        const schedule = { emp1: ['N11'], emp2: ['M'] };
+        const context = {
+          employees: employees.slice(0, 2),
+          shiftTypes: groupShiftTypes,
+          constraints: [],
+          coverageRules: nightRule,
+          daysInMonth: 1
+        };
+
+        const withGroups = evaluateFitness({ schedule }, { ...context, shiftGroups });
+        expect(withGroups.components.coverageViolations).toBe(0);
+
+        const withoutGroups = evaluateFitness({ schedule }, context);
+        expect(withoutGroups.components.coverageViolations).toBeGreaterThan(0);
+      });
+
+      it('should give the same errors with lookups prepared once', () => {
+        const groupConstraints = [
+          { id: 'g1', type: 'must_follow', shiftA: 'NOTTI', shiftB: 'SN', enabled: true },
+          { id: 'g3', type: 'max_consecutive', shift: 'LAVORO', days: 3, enabled: true },
+          { id: 'g4', type: 'max_consecutive_without', shift: 'RP', days: 4, enabled: true }
+        ];
+        const withAbsences = [...groupShiftTypes, { id: 'FE', hours: 6, absence: true }];
+        const prepared = prepareValidation(groupConstraints, withAbsences, shiftGroups);
+        const options = { shiftGroups, previousShifts: ['M', 'M', 'N11'] };
+
+        for (const sequence of [['N', 'M', 'P', 'FE', 'M', 'P', 'M'], ['SN', 'M', 'P', 'M', 'P', 'N', 'M']]) {
+          const errors = validateSequenceWithConstraints(sequence, groupConstraints, withAbsences, options);
+          expect(errors.length).toBeGreaterThan(0);
+          expect(validateSequenceWithConstraints(sequence, groupConstraints, withAbsences, { ...options, prepared }))
+            .toEqual(errors);
+        }
+      });
+    });
+  });
+
+
+  describe('Month Boundary', () => {
+    it('should check sequences across the previous month tail', () => {
+      // N on the previous month's last day must be followed by SN, and never by M
+      const errors = validateSequenceWithConstraints(
+        ['M', 'P', 'RP'], constraints, shiftTypes, { previousShifts: ['RP', 'N'] }
+      );
+
+      expect(errors.map(e => e.constraintId).sort()).toEqual(['c1', 'c3']);
+      expect(errors.every(e => e.day === 0)).toBe(true);
+      expect(errors.find(e => e.constraintId === 'c3').message).toContain('giorno 1');
+    });
+
+    it('should count consecutive days started in the previous month', () => {
+      const sixDaysMax = [{ id: 'w', type: 'max_consecutive_without', shift: 'RP', days: 6, enabled: true }];
+      const shifts = ['M', 'P', 'M', 'RP'];
+
+      expect(validateSequenceWithConstraints(shifts, sixDaysMax, shiftTypes)).toHaveLength(0);
+
+      const errors = validateSequenceWithConstraints(shifts, sixDaysMax, shiftTypes, {
+        previousShifts: ['RP', 'M', 'P', 'M', 'P']
+      });
+      expect(errors).toHaveLength(1);
+      expect(errors[0].day).toBe(2);
+      expect(errors[0].message).toContain('giorno 3');
+    });
+
+    it('should not report errors inside the previous month', () => {
+      // N -> M happens entirely in the previous month
+      const errors = validateSequenceWithConstraints(
+        ['RP', 'M', 'P'], constraints, shiftTypes, { previousShifts: ['N', 'M', 'RP'] }
+      );
+      expect(errors).toHaveLength(0);
+    });
+
+    it('should penalize boundary violations in fitness', () => {
+      const staff = [{ id: 'emp1', contractHours: 0 }];
+      const context = createFitnessContext({
+        employees: staff,
+        coverageRules: [],
+        baselineShifts: {},
+        daysInMonth: 3
+      });
+      const chromosome = { schedule: { emp1: ['M', 'P', 'RP'] } };
+
+      const without = evaluateFitness(chromosome, context);
+      const withTail = evaluateFitness(chromosome, { ...context, previousMonthSchedule: { emp1: ['RP', 'N'] } });
+
+      expect(without.components.constraintViolations).toBe(0);
+      expect(withTail.components.constraintViolations).toBe(2);
+    });
+  });
+
+  describe('Constraint Conflicts', () => {
+    const analyze = (extra, options = {}) => analyzeConstraintSet({
+      constraints: [...constraints, ...extra],
+      shiftTypes,
+      coverageRules,
+      ...options
+    });
+
+    it('should find no issues in a consistent set', () => {
+      expect(analyze([])).toEqual([]);
+    });
+
+    it('should detect contradictory follow rules and cycles', () => {
+      const issues = analyze([
+        { id: 'x1', type: 'cannot_follow', shiftA: 'N', shiftB: 'SN', enabled: true },
+        { id: 'x2', type: 'must_follow', shiftA: 'RP', shiftB: 'N', enabled: true }
+      ]);
+
+      expect(issues.find(i => i.constraintIds.includes('x1'))).toMatchObject({
+        severity: 'error',
+        constraintIds: ['c1', 'x1']
+      });
+      // N -> SN -> RP -> N can never be left
+      const cycle = issues.find(i => i.message.includes('ciclica'));
+      expect(cycle.severity).toBe('error');
+      expect(cycle.constraintIds.sort()).toEqual(['c1', 'c2', 'x2']);
+    });
+
+    it('should detect impossible max_consecutive_without values', () => {
+      const issues = analyze([
+        { id: 'x1', type: 'max_consecutive_without', shift: 'RP', days: -1, enabled: true },
+        { id: 'x2', type: 'max_consecutive_without', shift: 'RP', days: 2, enabled: true },
+        { id: 'x3', type: 'min_gap', shiftA: 'RP', shiftB: 'RP', days: 4, enabled: true }
+      ]);
+
+      expect(issues.filter(i => i.severity === 'error').map(i => i.constraintIds)).toEqual([
+        ['x1'],
+        ['x2', 'x3']
+      ]);
+    });
+
+    it('should warn about references to removed shifts and ignore disabled constraints', () => {
+      const issues = analyze([
+        { id: 'x1', type: 'max_consecutive', shift: 'N11', days: 2, enabled: true },
+        { id: 'x2', type: 'cannot_follow', shiftA: 'N', shiftB: 'SN', enabled: false }
+      ], { coverageRules: [{ id: 'r9', shiftIds: ['P2'], min: 1, enabled: true }] });
+
+      expect(issues).toHaveLength(2);
+      expect(issues.every(i => i.severity === 'warning')).toBe(true);
+      expect(issues.map(i => i.constraintIds[0]).sort()).toEqual(['r9', 'x1']);
+    });
   });
 
+  describe('Coverage Feasibility', () => {
+    const check = (overrides = {}) => checkCoverageFeasibility({
+      employees,
+      shiftTypes,
+      coverageRules,
+      daysInMonth: 28,
+      ...overrides
+    });
+
+    it('should report the hours surplus of a staffed month', () => {
+      const report = check();
+
+      // 8 x 36h x 4 weeks against 28 x (2x7 + 2x7 + 10)h
+      expect(report.availableHours).toBe(1152);
+      expect(report.requiredHours).toBe(1064);
+      expect(report.balanceHours).toBe(88);
+      expect(report.issues).toEqual([]);
+    });
+
+    it('should express a shift shortfall in FTE', () => {
+      const report = check({
+        employees: employees.map((emp, i) => (i < 2 ? emp : { ...emp, excludedShifts: ['N'] })),
+        coverageRules: coverageRules.map(r => (r.id === 'r3' ? { ...r, min: 2 } : r))
+      });
+
+      const nights = report.byRule.find(r => r.ruleId === 'r3');
+      expect(nights.eligibleEmployees).toBe(2);
+      expect(nights.requiredHours).toBe(560);
+      expect(nights.balanceHours).toBe(288 - 560);
+
+      // 272h missing, one FTE being 38h x 4 weeks
+      const warning = report.issues.find(i => i.constraintIds.includes('r3'));
+      expect(warning.severity).toBe('warning');
+      expect(warning.message).toContain('1.8 FTE');
+      expect(report.balanceHours).toBe(1152 - 1344);
+    });
+
+    it('should flag days without enough people as errors', () => {
+      const absenceTypes = [{ id: 'FE', hours: 6, absence: true }];
+      const lockedShifts = { emp1: { 0: 'FE' }, emp2: { 0: 'FE' }, emp3: { 0: 'FE' }, emp4: { 0: 'FE' }, emp5: { 0: 'FE' } };
+      const report = check({ shiftTypes: [...shiftTypes, ...absenceTypes], lockedShifts });
+
+      expect(report.understaffedDays).toEqual([{ day: 0, required: 5, available: 3 }]);
+      expect(report.availableHours).toBe(1152 - 30);
+      expect(report.issues[0].severity).toBe('error');
+    });
+  });
+
+  describe('Infeasibility Diagnosis', () => {
+    // Two people, one M and one P every day: a mandatory rest day cannot fit
+    const twoStaff = [
+      { id: 'a', name: 'A', contractHours: 36 },
+      { id: 'b', name: 'B', contractHours: 36 }
+    ];
+    const exactRules = [
+      { id: 'r1', shiftIds: ['M'], min: 1, enabled: true },
+      { id: 'r2', shiftIds: ['P'], min: 1, enabled: true }
+    ];
+    const restRule = { id: 'x1', type: 'max_consecutive_without', shift: 'RP', days: 6, enabled: true };
+
+    it('should count violations per rule and constraint', () => {
+      const schedule = { a: Array(7).fill('M'), b: Array(7).fill('M') };
+      const violated = getViolatedRules(schedule, {
+        employees: twoStaff,
+        shiftTypes,
+        constraints: [{ ...restRule, days: 5 }],
+        coverageRules: exactRules,
+        daysInMonth: 7
+      });
+
+      // M staffed twice and P never on 7 days, two 6-day runs without RP per employee
+      expect(violated).toEqual([
+        { kind: 'coverage', id: 'r1', violations: 7 },
+        { kind: 'coverage', id: 'r2', violations: 7 },
+        { kind: 'constraint', id: 'x1', violations: 4 }
+      ]);
+    });
+
+    it('should find a single rule whose removal makes the month feasible', () => {
+      // Stub solver: M and P covered every day, feasible only without the rest rule
+      const failed = { a: { shifts: Array(7).fill('M') }, b: { shifts: Array(7).fill('P') } };
+      const calls = [];
+      const solver = (params) => {
+        const restEnabled = params.constraints.some(c => c.id === 'x1' && c.enabled);
+        calls.push({ restEnabled, coverageRules: params.coverageRules.length });
+        return { success: !restEnabled, schedule: failed };
+      };
+
+      const diagnosis = diagnoseInfeasibility({
+        year: 2024,
+        month: 1,
+        employees: twoStaff,
+        shiftTypes,
+        coverageRules: exactRules,
+        constraints: [restRule],
+        daysInMonth: 7
+      }, { solver });
+
+      expect(diagnosis).toEqual({
+        found: true,
+        feasibleAsIs: false,
+        relaxed: [{ kind: 'constraint', id: 'x1', violations: 2 }],
+        candidates: [{ kind: 'constraint', id: 'x1', violations: 2 }],
+        runs: 2
+      });
+      expect(calls).toEqual([
+        { restEnabled: true, coverageRules: 2 },
+        { restEnabled: false, coverageRules: 2 }
+      ]);
+    });
+  });
+
+  describe('Exact Search', () => {
+    const twoStaff = [
+      { id: 'a', name: 'A', contractHours: 36 },
+      { id: 'b', name: 'B', contractHours: 36 }
+    ];
+    const exactRules = [
+      { id: 'r1', shiftIds: ['M'], min: 1, enabled: true },
+      { id: 'r2', shiftIds: ['P'], min: 1, enabled: true }
+    ];
+
+    it('should find a schedule with no hard violations', () => {
+      const context = { employees, shiftTypes, constraints, coverageRules, daysInMonth: 28 };
+      const result = searchExactSchedule({ ...context, firstDayOfMonth: 0 });
+
+      expect(result.status).toBe('solved');
+      expect(validateSchedule(result.schedule, context).isValid).toBe(true);
+    });
+
+    it('should treat skill rules as minimums', () => {
+      // Both people are seniors and both work every day: 2 seniors for a "min 1" rule
+      const seniors = twoStaff.map(emp => ({ ...emp, skills: ['senior'] }));
+      const context = {
+        employees: seniors,
+        shiftTypes,
+        constraints: [],
+        coverageRules: [...exactRules, { id: 'r3', shiftIds: ['M', 'P'], min: 1, skill: 'senior', enabled: true }],
+        daysInMonth: 7
+      };
+      const result = searchExactSchedule(context);
+
+      expect(result.status).toBe('solved');
+      expect(validateSchedule(result.schedule, context).isValid).toBe(true);
+    });
+
+    it('should keep locked cells and exclusions', () => {
+      const staff = twoStaff.map(emp => (emp.id === 'b' ? { ...emp, excludedShifts: ['M'] } : emp));
+      const result = searchExactSchedule({
+        employees: [...staff, { id: 'c', name: 'C', contractHours: 36 }],
+        shiftTypes,
+        constraints: [],
+        coverageRules: exactRules,
+        daysInMonth: 7,
+        lockedShifts: { a: { 3: 'RP' } }
+      });
+
+      expect(result.status).toBe('solved');
+      expect(result.schedule.a[3]).toBe('RP');
+      expect(result.schedule.b).not.toContain('M');
+    });
+
+    it('should prove that no schedule exists', () => {
+      // Both people work every day, but a rest day is due every 7 days
+      const result = searchExactSchedule({
+        employees: twoStaff,
+        shiftTypes,
+        constraints: [{ id: 'x1', type: 'max_consecutive_without', shift: 'RP', days: 6, enabled: true }],
+        coverageRules: exactRules,
+        daysInMonth: 14
+      });
+
+      expect(result.status).toBe('infeasible');
+      expect(result.schedule).toBeNull();
+    });
+
+    it('should not judge month-level rules on a partial row', () => {
+      // Both weekends get worked by someone: each person must keep the other one free
+      const context = {
+        employees: twoStaff,
+        shiftTypes: shiftTypes.filter(s => ['M', 'RP'].includes(s.id)),
+        constraints: [{ id: 'w1', type: 'min_free_weekends', count: 1, enabled: true }],
+        coverageRules: [{ id: 'r1', shiftIds: ['M'], min: 1, enabled: true }],
+        daysInMonth: 14,
+        firstDayOfMonth: 0
+      };
+      const result = searchExactSchedule(context);
+
+      expect(result.status).toBe('solved');
+      expect(validateSchedule(result.schedule, context).isValid).toBe(true);
+    });
+
+    it('should be selectable as optimizer method', () => {
+      const result = generateMonthlySchedule({
+        year: 2024,
+        month: 1,
+        employees: twoStaff,
+        shiftTypes,
+        matrices: [{ id: 'm1', name: 'M1', rows: [['M', 'P'], ['P', 'M']] }],
+        coverageRules: exactRules,
+        constraints,
+        optimizerOptions: { method: 'exact' }
+      });
+
+      expect(result.metadata.method).toBe('exact');
+      expect(result.schedule.a.shifts).toHaveLength(29);
+    });
+
+    it('should leave wards above the employee cap to the GA', () => {
+      const staff = Array.from({ length: DEFAULT_EXACT_CONFIG.MAX_EMPLOYEES + 1 }, (_, i) => (
+        { id: `e${i}`, name: `E${i}`, contractHours: 36 }
+      ));
+      const result = solveExact({ year: 2024, month: 1, daysInMonth: 29, employees: staff, shiftTypes, constraints, coverageRules });
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('too_large');
+    });
+
+    it('should stop at the time limit', () => {
+      const result = searchExactSchedule({
+        employees,
+        shiftTypes,
+        constraints,
+        coverageRules,
+        daysInMonth: 28,
+        timeoutMs: -1
+      });
+
+      expect(result.status).toBe('timeout');
+    });
+  });
 
   describe('Fitness Evaluation', () => {
 
@@ -210,6 +844,399 @@ describe('Workflow 1: Schedule Generation GA', () => {
   });
 
 
+  describe('Cross-employee Constraints', () => {
+    const pairEmployees = employees.slice(0, 3);
+
+    it('should limit how many listed employees share a shift set', () => {
+      const neverTogether = [{ id: 'mt', type: 'max_together', employees: ['emp1', 'emp2'], shifts: ['N'], count: 1, enabled: true }];
+      const schedule = {
+        emp1: ['N', 'SN', 'M'],
+        emp2: ['N', 'M', 'M'],
+        emp3: ['N', 'N', 'N']
+      };
+      const errors = getPairingErrors(schedule, neverTogether, shiftTypes, 3);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({ day: 0, employeeIds: ['emp1', 'emp2'] });
+    });
+
+    it('should require a tutor on the same shift as the trainee', () => {
+      const mentoring = [{ id: 'at', type: 'always_together', employees: ['emp1', 'emp2', 'emp3'], shifts: ['M', 'P'], enabled: true }];
+      const schedule = {
+        emp1: ['M', 'P', 'M_1', 'RP'],
+        emp2: ['M', 'M', 'RP', 'M'],
+        emp3: ['RP', 'RP', 'M', 'P']
+      };
+      const errors = getPairingErrors(schedule, mentoring, shiftTypes, 4);
+      // Day 1: trainee on P, tutors on M and RP
+      expect(errors.map(e => e.day)).toEqual([1]);
+    });
+
+    it('should penalize pairing violations in fitness and report them as warnings', () => {
+      const neverTogether = [{ id: 'mt', type: 'max_together', employees: ['emp1', 'emp2'], shifts: ['N'], count: 1, enabled: true }];
+      const schedule = { emp1: ['N', 'SN'], emp2: ['N', 'SN'], emp3: ['M', 'P'] };
+      const context = {
+        employees: pairEmployees,
+        shiftTypes,
+        constraints: neverTogether,
+        coverageRules: [],
+        daysInMonth: 2
+      };
+
+      const result = evaluateFitness({ schedule }, context);
+      expect(result.components.pairingViolations).toBe(1);
+      expect(result.isValid).toBe(false);
+
+      const { warnings } = evaluateSchedule({ schedule, ...context });
+      expect(warnings.filter(w => w.type === 'pairing')).toHaveLength(1);
+    });
+  });
+
+  describe('Coverage Ranges', () => {
+    const schedule = { emp1: ['M', 'M', 'M'], emp2: ['M', 'M', 'RP'], emp3: ['M', 'RP', 'RP'] };
+
+    it('should keep rules without max as exact counts', () => {
+      const exact = [{ id: 'r', shiftIds: ['M'], min: 2, enabled: true }];
+      expect(checkDayCoverage(schedule, 0, exact)).toMatchObject({ violations: 1, surplus: 0 });
+      expect(checkDayCoverage(schedule, 0, exact).details[0].type).toBe('over');
+      expect(checkDayCoverage(schedule, 1, exact).violations).toBe(0);
+    });
+
+    it('should accept staff within min..max as soft surplus only', () => {
+      const range = [{ id: 'r', shiftIds: ['M'], min: 2, max: 3, enabled: true }];
+      expect(checkDayCoverage(schedule, 0, range)).toMatchObject({ violations: 0, surplus: 1 });
+      expect(checkDayCoverage(schedule, 2, range).details[0]).toMatchObject({ type: 'under', required: '2-3', deviation: 1 });
+
+      const tight = [{ id: 'r', shiftIds: ['M'], min: 1, max: 2, enabled: true }];
+      expect(checkDayCoverage(schedule, 0, tight).details[0]).toMatchObject({ type: 'over', deviation: 1 });
+
+      const unbounded = [{ id: 'r', shiftIds: ['M'], min: 1, max: null, enabled: true }];
+      expect(checkDayCoverage(schedule, 0, unbounded)).toMatchObject({ violations: 0, surplus: 2 });
+    });
+
+    it('should weigh surplus softly in fitness', () => {
+      const context = {
+        employees: employees.slice(0, 3),
+        shiftTypes,
+        constraints: [],
+        coverageRules: [{ id: 'r', shiftIds: ['M'], min: 2, max: 3, enabled: true }],
+        daysInMonth: 1
+      };
+      const result = evaluateFitness({ schedule: { emp1: ['M'], emp2: ['M'], emp3: ['M'] } }, context);
+      expect(result.isValid).toBe(true);
+      expect(result.components.coverageSurplus).toBe(1);
+      expect(result.components.surplusPenalty).toBe(10);
+    });
+  });
+
+  describe('Calendar-scoped Coverage', () => {
+    // Two M on weekdays, one on weekends. Feb 2024 starts on a Thursday (3)
+    const weekdayRules = [
+      { id: 'wd', shiftIds: ['M'], min: 2, weekdays: [0, 1, 2, 3, 4], enabled: true },
+      { id: 'we', shiftIds: ['M'], min: 1, weekdays: [5, 6], enabled: true }
+    ];
+    const schedule = { emp1: ['M', 'M', 'M'], emp2: ['M', 'M', 'RP'], emp3: ['RP', 'RP', 'RP'] };
+
+    it('should apply weekday-scoped rules only on their weekdays', () => {
+      // Day 0 Thu: 2 M ok, day 1 Fri: 2 M ok, day 2 Sat: 1 M ok
+      for (const day of [0, 1, 2]) {
+        expect(checkDayCoverage(schedule, day, weekdayRules, {}, 3).violations).toBe(0);
+      }
+      // Starting on Friday shifts day 1 onto Saturday, where 2 M is one too many
+      expect(checkDayCoverage(schedule, 1, weekdayRules, {}, 4).details[0]).toMatchObject({ ruleId: 'we', type: 'over' });
+      // Without a calendar weekday rules cannot be placed and are skipped
+      expect(checkDayCoverage(schedule, 1, weekdayRules).violations).toBe(0);
+    });
+
+    it('should replace matching rules on override dates', () => {
+      const rules = [
+        { id: 'p', shiftIds: ['P'], min: 2, enabled: true },
+        { id: 'm', shiftIds: ['M'], min: 2, enabled: true }
+      ];
+      const overrides = [
+        { id: 'o1', date: '2024-02-02', shiftIds: ['P'], min: 3 },
+        { id: 'o2', date: '2024-03-02', shiftIds: ['P'], min: 5 }
+      ];
+      const monthRules = applyCoverageOverrides(rules, overrides, 2024, 1);
+      expect(monthRules).toHaveLength(3);
+
+      const pSchedule = { emp1: ['P', 'P'], emp2: ['P', 'P'], emp3: ['RP', 'P'], emp4: ['M', 'M'], emp5: ['M', 'M'] };
+      expect(checkDayCoverage(pSchedule, 0, monthRules).violations).toBe(0);
+      expect(checkDayCoverage(pSchedule, 1, monthRules).violations).toBe(0);
+      expect(checkDayCoverage({ ...pSchedule, emp3: ['RP', 'RP'] }, 1, monthRules).details[0])
+        .toMatchObject({ required: '3', actual: 2, type: 'under' });
+    });
+  });
+
+  describe('Holidays', () => {
+    it('should compute Easter and the Italian holidays of a month', () => {
+      expect(getEasterSunday(2024)).toEqual({ month: 2, day: 31 });
+      expect(getEasterSunday(2025)).toEqual({ month: 3, day: 20 });
+
+      // April 2024: Easter Monday on the 1st, Liberation Day on the 25th
+      expect(getHolidaysInMonth(2024, 3).map(h => h.dayOfMonth)).toEqual([1, 25]);
+
+      const patron = { month: 5, day: 24, name: 'San Giovanni' };
+      expect(getHolidaysInMonth(2024, 5, patron)).toEqual([
+        { dayOfMonth: 2, name: 'Festa della Repubblica' },
+        { dayOfMonth: 24, name: 'San Giovanni' }
+      ]);
+    });
+
+    it('should staff holidays like Sundays and count holidays worked', () => {
+      // April 2024 starts on Monday; day 0 is Easter Monday
+      const rules = [
+        { id: 'wd', shiftIds: ['M'], min: 2, weekdays: [0, 1, 2, 3, 4, 5], enabled: true },
+        { id: 'sun', shiftIds: ['M'], min: 1, weekdays: [6], enabled: true }
+      ];
+      const schedule = { emp1: ['M', 'M'], emp2: ['RP', 'M'] };
+
+      expect(checkDayCoverage(schedule, 0, rules, {}, 0, [0]).violations).toBe(0);
+      expect(checkDayCoverage(schedule, 0, rules, {}, 0, []).details[0].ruleId).toBe('wd');
+
+      const { summary } = evaluateSchedule({
+        schedule,
+        employees: employees.slice(0, 2),
+        shiftTypes,
+        constraints: [],
+        coverageRules: rules,
+        daysInMonth: 2,
+        firstDayOfMonth: 0,
+        holidays: [0]
+      });
+      expect(summary.isValid).toBe(true);
+      expect(summary.holidaysWorked).toEqual({ emp1: 1, emp2: 0 });
+    });
+  });
+
+  describe('Skill-aware Coverage', () => {
+    const seniorRule = { id: 'sr', shiftIds: ['M'], skill: 'senior', min: 1, enabled: true };
+    const skilledEmployees = [
+      { id: 'emp1', name: 'Employee 1', contractHours: 36, skills: ['senior'] },
+      { id: 'emp2', name: 'Employee 2', contractHours: 36, skills: [] },
+      { id: 'emp3', name: 'Employee 3', contractHours: 36 }
+    ];
+
+    it('should report skill shortages as under-coverage with the skill', () => {
+      const schedule = { emp1: ['P', 'M'], emp2: ['M', 'P'], emp3: ['M', 'RP'] };
+      const skills = { emp1: ['senior'], emp2: [], emp3: [] };
+
+      const day0 = checkDayCoverage(schedule, 0, [seniorRule], skills);
+      expect(day0.violations).toBe(1);
+      expect(day0.details[0]).toMatchObject({ skill: 'senior', required: 1, actual: 0, type: 'under' });
+
+      // Extra qualified staff is never penalized by a skill rule
+      expect(checkDayCoverage(schedule, 1, [{ ...seniorRule, min: 0 }], skills).violations).toBe(0);
+      expect(checkDayCoverage(schedule, 1, [seniorRule], skills).violations).toBe(0);
+
+      const { warnings } = evaluateSchedule({
+        schedule,
+        employees: skilledEmployees,
+        shiftTypes,
+        constraints: [],
+        coverageRules: [seniorRule],
+        daysInMonth: 2
+      });
+      const coverageWarnings = warnings.filter(w => w.type === 'coverage');
+      expect(coverageWarnings).toHaveLength(1);
+      expect(coverageWarnings[0].message).toContain('senior');
+    });
+
+    it('should repair skill shortages by swapping without changing headcount', () => {
+      const encoding = createEncoding({ employees: skilledEmployees, shiftTypes, daysInMonth: 2 });
+      const chromosome = {
+        genes: encodeSchedule({ emp1: ['P', 'P'], emp2: ['M', 'M'], emp3: ['RP', 'RP'] }, encoding)
+      };
+
+      skillRepairMutation(chromosome, encoding, [seniorRule], 1.0);
+
+      expect(decodeSchedule(chromosome.genes, encoding)).toEqual({
+        emp1: ['M', 'M'],
+        emp2: ['P', 'P'],
+        emp3: ['RP', 'RP']
+      });
+    });
+  });
+
+  describe('Absences', () => {
+    const absenceTypes = [{ id: 'FE', name: 'Ferie', hours: 6, absence: true }];
+    const allTypes = [...shiftTypes, ...absenceTypes];
+
+    it('should build locks for the generated month only', () => {
+      const absent = [
+        { id: 'emp1', absences: { '2024-02-01': 'FE', '2024-02-15': 'MAL', '2024-03-01': 'FE' } },
+        { id: 'emp2' }
+      ];
+
+      expect(getAbsenceLocks(absent, 2024, 1)).toEqual({ emp1: { 0: 'FE', 14: 'MAL' } });
+      expect(getAbsenceLocks(absent, 2024, 0)).toEqual({});
+    });
+
+    it('should count a multi-day absence as rest under the default constraints', () => {
+      // Ten days of holidays right after a night (SN must be followed by RP)
+      const shifts = [
+        'P', 'P', 'M', 'M', 'RP', 'P', 'N', 'SN',
+        ...new Array(10).fill('FE'),
+        'P', 'P', 'M', 'M', 'RP', 'P', 'P', 'M', 'M', 'RP'
+      ];
+      const types = [...DEFAULT_SHIFT_TYPES, ...DEFAULT_ABSENCE_TYPES];
+
+      expect(validateSequenceWithConstraints(shifts, DEFAULT_CONSTRAINTS, types)).toEqual([]);
+      // Still a violation without the absence
+      expect(validateSequenceWithConstraints(shifts.map(s => (s === 'FE' ? 'P' : s)), DEFAULT_CONSTRAINTS, types))
+        .not.toEqual([]);
+    });
+
+    it('should credit hours and exclude absences from coverage', () => {
+      const rule = { id: 'r', shiftIds: ['M'], min: 1, enabled: true };
+      const staff = [{ id: 'emp1', contractHours: 3 }, { id: 'emp2', contractHours: 3 }];
+      // 7 days = 1 week: contract 3h each; FE credits 6h like a worked shift
+      const schedule = {
+        emp1: ['FE', 'RP', 'RP', 'RP', 'RP', 'RP', 'RP'],
+        emp2: ['RP', 'RP', 'RP', 'RP', 'RP', 'RP', 'RP']
+      };
+
+      const hours = calculateHoursDeviation(schedule.emp1, staff[0], allTypes, 7);
+      expect(hours.worked).toBe(6);
+
+      // Day 0 has only an absence: the morning is still uncovered
+      const { warnings } = evaluateSchedule({
+        schedule,
+        employees: staff,
+        shiftTypes: allTypes,
+        constraints: [],
+        coverageRules: [rule],
+        daysInMonth: 7
+      });
+      expect(warnings.filter(w => w.type === 'coverage' && w.day === 1)).toHaveLength(1);
+      expect(checkDayCoverage(schedule, 0, [rule]).details[0]).toMatchObject({ actual: 0, type: 'under' });
+    });
+
+    it('should never mutate locked cells', () => {
+      const staff = employees.slice(0, 2);
+      const schedule = generateSimpleSchedule(staff);
+      schedule.emp1[3] = 'FE';
+      const encoding = createEncoding({
+        employees: staff,
+        shiftTypes: allTypes,
+        daysInMonth: 28,
+        lockedShifts: { emp1: { 3: 'FE' } }
+      });
+      const chromosome = { genes: encodeSchedule(schedule, encoding) };
+
+      for (let i = 0; i < 20; i++) {
+        pointMutation(chromosome, encoding, 1.0);
+        swapMutation(chromosome, encoding, 1.0);
+        const mutated = decodeSchedule(chromosome.genes, encoding);
+        expect(mutated.emp1[3]).toBe('FE');
+        expect(mutated.emp2).not.toContain('FE');
+      }
+    });
+  });
+
+  describe('Pinned Cells', () => {
+    it('should let absences win over pins on the same cell', () => {
+      const merged = mergeLockedShifts({ emp1: { 0: 'M', 1: 'P' } }, { emp1: { 1: 'FE' }, emp2: { 2: 'MAL' } });
+      expect(merged).toEqual({ emp1: { 0: 'M', 1: 'FE' }, emp2: { 2: 'MAL' } });
+    });
+
+    it('should keep pinned cells through GA evolution', () => {
+      const staff = employees.slice(0, 4);
+      const baselineShifts = generateSimpleSchedule(staff);
+      // Pins contradict the baseline and the coverage rules
+      const lockedShifts = { emp1: { 0: 'RP', 7: 'N' }, emp3: { 10: 'P' } };
+
+      const result = runGeneticAlgorithm({
+        daysInMonth: 28,
+        employees: staff,
+        shiftTypes,
+        baselineShifts,
+        constraints,
+        coverageRules,
+        lockedShifts,
+        options: { populationSize: 10, maxGenerations: 30, mutationRate: 0.5 }
+      });
+
+      expect(result.schedule.emp1[0]).toBe('RP');
+      expect(result.schedule.emp1[7]).toBe('N');
+      expect(result.schedule.emp3[10]).toBe('P');
+      // The caller's baseline is not modified
+      expect(baselineShifts.emp1[0]).toBe('M');
+    });
+
+    it('should never move pinned cells toward the baseline', () => {
+      const staff = employees.slice(0, 2);
+      const schedule = generateSimpleSchedule(staff, ['P', 'P', 'P', 'P', 'P', 'P', 'P']);
+      const baselineShifts = generateSimpleSchedule(staff, validShiftSequence);
+
+      const encoding = createEncoding({
+        employees: staff,
+        shiftTypes,
+        daysInMonth: 28,
+        lockedShifts: { emp1: { 0: 'P', 5: 'P' } }
+      });
+      const chromosome = { genes: encodeSchedule(schedule, encoding) };
+
+      guidedMutation(chromosome, encoding, encodeSchedule(baselineShifts, encoding), 1.0, 1.0);
+
+      const mutated = decodeSchedule(chromosome.genes, encoding);
+      expect(mutated.emp1[0]).toBe('P');
+      expect(mutated.emp1[5]).toBe('P');
+      expect(mutated.emp2).toEqual(baselineShifts.emp2);
+    });
+  });
+
+  describe('Employee Wishes', () => {
+    it('should expand preference ranges clipped to the month', () => {
+      const wishes = getMonthWishes([
+        {
+          id: 'emp1',
+          preferences: [
+            { id: 'p1', from: '2024-02-12', shiftId: 'RP', type: 'prefer' },
+            { id: 'p2', from: '2024-01-30', to: '2024-02-02', shiftId: 'N', type: 'avoid' },
+            { id: 'p3', from: '2024-03-01', to: '2024-03-05', shiftId: 'P', type: 'prefer' }
+          ]
+        }
+      ], 2024, 1);
+
+      expect(wishes.emp1).toEqual([
+        { day: 11, shiftId: 'RP', type: 'prefer' },
+        { day: 0, shiftId: 'N', type: 'avoid' },
+        { day: 1, shiftId: 'N', type: 'avoid' }
+      ]);
+    });
+
+    it('should penalize denied wishes and report the granted ratio', () => {
+      const staff = [{ id: 'emp1', contractHours: 0 }];
+      const schedule = { emp1: ['RP', 'N', 'M', 'RP'] };
+      const wishes = {
+        emp1: [
+          { day: 0, shiftId: 'RP', type: 'prefer' }, // granted
+          { day: 1, shiftId: 'N', type: 'avoid' },   // denied
+          { day: 2, shiftId: 'N', type: 'avoid' },   // granted
+          { day: 3, shiftId: 'P', type: 'prefer' }   // denied
+        ]
+      };
+      const context = createFitnessContext({
+        employees: staff,
+        constraints: [],
+        coverageRules: [],
+        baselineShifts: {},
+        daysInMonth: 4
+      });
+
+      const withWishes = evaluateFitness({ schedule }, { ...context, wishes });
+      const withoutWishes = evaluateFitness({ schedule }, context);
+
+      expect(withWishes.components.wishesDenied).toBe(2);
+      expect(withWishes.fitness - withoutWishes.fitness).toBe(2 * WEIGHTS.WISH_DENIED);
+      expect(withWishes.employeeDetails[0]).toMatchObject({ wishesGranted: 2, wishesTotal: 4, wishesRatio: 0.5 });
+      expect(withoutWishes.employeeDetails[0].wishesRatio).toBeNull();
+
+      const custom = evaluateFitness({ schedule }, { ...context, wishes, weights: { WISH_DENIED: 0 } });
+      expect(custom.fitness).toBe(withoutWishes.fitness);
+    });
+  });
+
   describe('Genetic Operators', () => {
 
     it('should perform tournament selection', () => {
@@ -228,20 +1255,23 @@ describe('Workflow 1: Schedule Generation GA', () => {
     });
 
     it('should perform employee-level crossover', () => {
-      const schedule1 = generateSimpleSchedule(employees.slice(0, 4), validShiftSequence);
-      const schedule2 = generateSimpleSchedule(employees.slice(0, 4), ['P', 'M', 'N', 'SN', 'RP', 'P', 'M']);
+      const staff = employees.slice(0, 4);
+      const schedule1 = generateSimpleSchedule(staff, validShiftSequence);
+      const schedule2 = generateSimpleSchedule(staff, ['P', 'M', 'N', 'SN', 'RP', 'P', 'M']);
+      const encoding = createEncoding({ employees: staff, shiftTypes, daysInMonth: 28 });
 
-      const parent1 = { schedule: schedule1 };
-      const parent2 = { schedule: schedule2 };
+      const parent1 = { genes: encodeSchedule(schedule1, encoding) };
+      const parent2 = { genes: encodeSchedule(schedule2, encoding) };
 
-      const child = employeeCrossover(parent1, parent2, employees.slice(0, 4));
+      const child = employeeCrossover(parent1, parent2, encoding);
 
-      expect(child).toHaveProperty('schedule');
-      expect(Object.keys(child.schedule)).toHaveLength(4);
+      expect(child.genes).toBeInstanceOf(Uint8Array);
+      expect(child.genes).toHaveLength(4 * 28);
 
       // Each employee's schedule should come entirely from one parent
-      for (const emp of employees.slice(0, 4)) {
-        const childShifts = child.schedule[emp.id];
+      const childSchedule = decodeSchedule(child.genes, encoding);
+      for (const emp of staff) {
+        const childShifts = childSchedule[emp.id];
         const matchesParent1 = JSON.stringify(childShifts) === JSON.stringify(schedule1[emp.id]);
         const matchesParent2 = JSON.stringify(childShifts) === JSON.stringify(schedule2[emp.id]);
         expect(matchesParent1 || matchesParent2).toBe(true);
@@ -249,45 +1279,352 @@ describe('Workflow 1: Schedule Generation GA', () => {
     });
 
     it('should perform swap mutation', () => {
-      const schedule = generateSimpleSchedule(employees.slice(0, 4));
-      const chromosome = { schedule: { ...schedule } };
-
-      // Store original for comparison
-      const original = JSON.stringify(chromosome.schedule);
+      const staff = employees.slice(0, 4);
+      const encoding = createEncoding({ employees: staff, shiftTypes, daysInMonth: 28 });
+      const chromosome = { genes: encodeSchedule(generateSimpleSchedule(staff), encoding) };
 
       // Apply mutation with high rate to ensure changes
-      swapMutation(chromosome, employees.slice(0, 4), 28, 1.0);
+      swapMutation(chromosome, encoding, 1.0);
 
-      // Note: swap mutation may or may not change the schedule depending on
-      // whether valid swaps are found. We just verify it doesn't crash.
-      expect(chromosome).toHaveProperty('schedule');
+      // Swaps move shifts between employees of the same day: daily counts are unchanged
+      const mutated = decodeSchedule(chromosome.genes, encoding);
+      for (let day = 0; day < 28; day++) {
+        const shiftsOfDay = staff.map(emp => mutated[emp.id][day]).sort();
+        expect(shiftsOfDay).toEqual(staff.map(() => validShiftSequence[day % 7]));
+      }
     });
 
     it('should perform guided mutation toward baseline', () => {
+      const staff = employees.slice(0, 2);
+      const encoding = createEncoding({ employees: staff, shiftTypes, daysInMonth: 28 });
       // Create a schedule that differs from baseline
       const divergentPattern = ['P', 'P', 'P', 'P', 'P', 'P', 'P'];
-      const schedule = generateSimpleSchedule(employees.slice(0, 2), divergentPattern);
-      const chromosome = { schedule };
+      const chromosome = { genes: encodeSchedule(generateSimpleSchedule(staff, divergentPattern), encoding) };
 
-      const baselineShifts = generateSimpleSchedule(employees.slice(0, 2), validShiftSequence);
+      const baselineShifts = generateSimpleSchedule(staff, validShiftSequence);
 
       // Apply guided mutation with high rate and high baseline adherence
       guidedMutation(
         chromosome,
-        employees.slice(0, 2),
-        baselineShifts,
-        28,
+        encoding,
+        encodeSchedule(baselineShifts, encoding),
         1.0,  // 100% mutation rate
         1.0   // 100% baseline adherence
       );
 
       // After guided mutation with 100% adherence, schedule should match baseline
-      for (const emp of employees.slice(0, 2)) {
-        expect(chromosome.schedule[emp.id]).toEqual(baselineShifts[emp.id]);
+      expect(decodeSchedule(chromosome.genes, encoding)).toEqual(baselineShifts);
+    });
+
+    it('should count coverage details like the evaluator', () => {
+      const staff = employees.map((emp, i) => (i < 3 ? { ...emp, skills: ['senior'] } : emp));
+      const rules = [...coverageRules, { id: 'r4', shiftIds: ['M'], min: 1, skill: 'senior' }];
+      const encoding = createEncoding({ employees: staff, shiftTypes, daysInMonth: 28 });
+      const genes = new Uint8Array(staff.length * 28);
+      for (let i = 0; i < genes.length; i++) {
+        genes[i] = encoding.workShifts[Math.floor(Math.random() * encoding.workShifts.length)];
+      }
+      const context = createFitnessContext({ employees: staff, coverageRules: rules, firstDayOfMonth: 2 });
+
+      expect(getCoverageDetails({ genes }, encoding, rules, 2))
+        .toEqual(evaluateFitness({ schedule: decodeSchedule(genes, encoding) }, context).coverageDetails);
+    });
+
+    it('should repair coverage without new constraint errors', () => {
+      // Everybody on afternoons: mornings are short every day, afternoons over
+      const staff = employees.slice(0, 3).map((emp, i) => (i === 0 ? { ...emp, excludedShifts: ['M'] } : emp));
+      const rules = [
+        { id: 'r1', shiftIds: ['M'], min: 1, enabled: true },
+        { id: 'r2', shiftIds: ['P'], min: 1, enabled: true }
+      ];
+      const encoding = createEncoding({
+        employees: staff,
+        shiftTypes,
+        daysInMonth: 28,
+        lockedShifts: { emp2: { 0: 'P' }, emp3: { 0: 'P' } }
+      });
+      const chromosome = { genes: encodeSchedule(generateSimpleSchedule(staff, ['P']), encoding) };
+      const countViolations = () => getCoverageDetails(chromosome, encoding, rules)
+        .reduce((sum, detail) => sum + detail.deviation, 0);
+      const before = countViolations();
+
+      coverageRepairMutation(chromosome, encoding, getCoverageDetails(chromosome, encoding, rules), { constraints, shiftTypes });
+      const repaired = decodeSchedule(chromosome.genes, encoding);
+
+      expect(countViolations()).toBeLessThan(before);
+      expect(repaired.emp1).not.toContain('M');
+      expect(repaired.emp2[0]).toBe('P');
+      expect(repaired.emp3[0]).toBe('P');
+      for (const emp of staff) {
+        expect(validateSequenceWithConstraints(repaired[emp.id], constraints, shiftTypes)).toHaveLength(0);
+      }
+    });
+
+    it('should judge repairs on the whole row', () => {
+      // First weekend worked: the second one must stay free, weekdays can still change
+      const staff = employees.slice(0, 1);
+      const weekendRule = { id: 'w1', type: 'min_free_weekends', count: 1, enabled: true };
+      const rules = [{ id: 'r1', shiftIds: ['M'], min: 1, enabled: true }];
+      const encoding = createEncoding({ employees: staff, shiftTypes, daysInMonth: 14 });
+      const chromosome = { genes: encodeSchedule({ emp1: [...Array(7).fill('P'), ...Array(7).fill('RP')] }, encoding) };
+
+      coverageRepairMutation(chromosome, encoding, getCoverageDetails(chromosome, encoding, rules, 0), {
+        constraints: [weekendRule],
+        shiftTypes,
+        firstDayOfMonth: 0
+      });
+
+      expect(decodeSchedule(chromosome.genes, encoding).emp1).toEqual([...Array(12).fill('M'), 'RP', 'RP']);
+    });
+  });
+
+  describe('Chromosome Encoding', () => {
+    it('should round-trip schedules, including shifts outside the shift types', () => {
+      const schedule = { emp1: ['M', 'N_1', 'SN', 'FE'], emp2: ['P', 'RP', 'M', 'M'] };
+      const encoding = createEncoding({
+        employees: employees.slice(0, 2),
+        shiftTypes,
+        daysInMonth: 4,
+        schedules: [schedule],
+        lockedShifts: { emp1: { 3: 'FE' } }
+      });
+
+      const genes = encodeSchedule(schedule, encoding);
+      expect(genes).toBeInstanceOf(Uint8Array);
+      expect(decodeSchedule(genes, encoding)).toEqual(schedule);
+      expect([...encoding.locked]).toEqual([0, 0, 0, 1, 0, 0, 0, 0]);
+      // Only work shift types are drawn by the mutations
+      expect([...encoding.workShifts].map(g => encoding.shiftIds[g])).toEqual(shiftTypes.map(s => s.id));
+    });
+
+    it('should decode the GA result back to the public format', () => {
+      const staff = employees.slice(0, 4);
+      const result = runGeneticAlgorithm({
+        daysInMonth: 28,
+        employees: staff,
+        shiftTypes,
+        baselineShifts: generateSimpleSchedule(staff),
+        constraints,
+        coverageRules,
+        options: { populationSize: 10, maxGenerations: 5 }
+      });
+
+      expect(Object.keys(result.schedule)).toEqual(staff.map(emp => emp.id));
+      for (const shifts of Object.values(result.schedule)) {
+        expect(shifts).toHaveLength(28);
+        expect(shifts.every(id => shiftTypes.some(s => s.id === id))).toBe(true);
       }
     });
   });
 
+  describe('Incremental Fitness', () => {
+    const skilledEmployees = employees.map((emp, i) => (i < 3 ? { ...emp, skills: ['senior'] } : emp));
+    const encoding = createEncoding({ employees: skilledEmployees, shiftTypes, daysInMonth: 28 });
+    const baseContext = createFitnessContext({
+      employees: skilledEmployees,
+      constraints: [
+        ...constraints,
+        { id: 'x1', type: 'max_together', employees: ['emp1', 'emp2'], shifts: ['N'], count: 1, enabled: true }
+      ],
+      coverageRules: [...coverageRules, { id: 'r4', shiftIds: ['M'], min: 1, skill: 'senior' }],
+      firstDayOfMonth: 3,
+      holidays: [5]
+    });
+    const context = {
+      ...baseContext,
+      encoding,
+      baselineGenes: encodeSchedule(baseContext.baselineShifts, encoding)
+    };
+    const randomChromosome = () => {
+      const genes = new Uint8Array(skilledEmployees.length * 28);
+      for (let i = 0; i < genes.length; i++) {
+        genes[i] = encoding.workShifts[Math.floor(Math.random() * encoding.workShifts.length)];
+      }
+      return { genes };
+    };
+    const expectSameFitness = (actual, chromosome) => {
+      const expected = evaluateFitness({ schedule: decodeSchedule(chromosome.genes, encoding) }, context);
+      expect(actual.fitness).toBe(expected.fitness);
+      expect(actual.components).toEqual(expected.components);
+      expect(actual.employeeDetails).toEqual(expected.employeeDetails);
+      expect(actual.coverageDetails).toEqual(expected.coverageDetails);
+    };
+
+    it('should match full evaluation through crossover and mutation', () => {
+      const { evaluate } = createDeltaEvaluator(context);
+      let population = Array.from({ length: 6 }, randomChromosome);
+      for (const chromosome of population) expectSameFitness(evaluate(chromosome), chromosome);
+
+      for (let gen = 0; gen < 10; gen++) {
+        population = population.map((parent, i) => {
+          const crossoverType = ['employee', 'uniform', 'single'][i % 3];
+          return createOffspring(parent, population[(i + 1) % population.length], context, { crossoverType, mutationRate: 0.3 });
+        });
+        for (const chromosome of population) expectSameFitness(evaluate(chromosome), chromosome);
+      }
+    });
+
+    it('should leave the parent cache untouched', () => {
+      const { evaluate } = createDeltaEvaluator(context);
+      const parent = randomChromosome();
+      const before = evaluate(parent);
+
+      const child = cloneChromosome(parent);
+      child.genes.fill(encoding.shiftIndex.get('N'), 0, 28);
+      expectSameFitness(evaluate(child), child);
+
+      expect(evaluate(cloneChromosome(parent))).toEqual(before);
+    });
+
+  });
+
+  describe('Local Search', () => {
+    it('should fix coverage a swap away from valid', () => {
+      // Two mornings on day 5 and none on day 3: one swap fixes both days
+      const schedule = {
+        a: ['M', 'M', 'M', 'RP', 'M', 'M', 'M'],
+        b: ['P', 'P', 'P', 'P', 'P', 'P', 'P'],
+        c: ['RP', 'RP', 'RP', 'RP', 'RP', 'M', 'RP']
+      };
+      const context = {
+        employees: ['a', 'b', 'c'].map(id => ({ id, name: id, contractHours: 36 })),
+        shiftTypes,
+        constraints: [],
+        coverageRules: [
+          { id: 'r1', shiftIds: ['M'], min: 1, enabled: true },
+          { id: 'r2', shiftIds: ['P'], min: 1, enabled: true }
+        ],
+        baselineShifts: schedule,
+        daysInMonth: 7
+      };
+
+      expect(evaluateFitness({ schedule }, context).isValid).toBe(false);
+      const result = runLocalSearch(schedule, context);
+
+      expect(result.evaluation.isValid).toBe(true);
+      expect(result.moves).toBeGreaterThan(0);
+      expect(result.stopReason).toBe('local_optimum');
+    });
+
+    it('should only keep moves that lower the fitness', () => {
+      const context = createFitnessContext({ firstDayOfMonth: 3, holidays: [5] });
+      const encoding = createEncoding({ employees, shiftTypes, daysInMonth: 28 });
+      const genes = new Uint8Array(employees.length * 28);
+      for (let i = 0; i < genes.length; i++) {
+        genes[i] = encoding.workShifts[Math.floor(Math.random() * encoding.workShifts.length)];
+      }
+      const start = decodeSchedule(genes, encoding);
+      const before = evaluateFitness({ schedule: start }, context);
+      const result = runLocalSearch(start, context, { timeoutMs: 1000 });
+
+      expect(result.fitness).toBeLessThan(before.fitness);
+      expect(result.fitness).toBe(evaluateFitness({ schedule: result.schedule }, context).fitness);
+    });
+
+    it('should never move locked cells', () => {
+      const schedule = {
+        a: ['M', 'M', 'M', 'RP', 'M', 'M', 'M'],
+        c: ['RP', 'RP', 'RP', 'RP', 'RP', 'M', 'RP']
+      };
+      const lockedShifts = { a: { 3: 'RP' }, c: { 5: 'M' } };
+      const result = runLocalSearch(schedule, {
+        employees: [{ id: 'a', name: 'a', contractHours: 36 }, { id: 'c', name: 'c', contractHours: 36 }],
+        shiftTypes,
+        constraints: [],
+        coverageRules: [{ id: 'r1', shiftIds: ['M'], min: 1, enabled: true }],
+        baselineShifts: schedule,
+        daysInMonth: 7,
+        lockedShifts
+      });
+
+      expect(result.schedule.a[3]).toBe('RP');
+      expect(result.schedule.c[5]).toBe('M');
+    });
+  });
+
+  describe('Island Model', () => {
+    // Runs the worker side of islands.js in-process, like worker.js does
+    const createFakeWorker = (log) => {
+      const worker = { terminated: false };
+      const post = (message) => setTimeout(() => {
+        if (!worker.terminated) worker.onmessage({ data: message });
+      });
+      worker.postMessage = ({ type, payload }) => setTimeout(() => {
+        if (worker.terminated) return;
+        log.push({ type, payload });
+        if (type === 'ISLAND_START') {
+          worker.island = createScheduleIsland(payload);
+        } else {
+          worker.island.receiveMigrants(payload.migrants);
+        }
+        runIslandEpoch(worker.island, post);
+      });
+      worker.terminate = () => { worker.terminated = true; };
+      return worker;
+    };
+
+    it('should split the population and vary the operators', () => {
+      const options = { populationSize: 200, eliteCount: 20, mutationRate: 0.1 };
+      const islands = [0, 1, 2, 3].map(index => getIslandOptions(options, index, 4));
+
+      expect(islands.map(o => o.populationSize)).toEqual([50, 50, 50, 50]);
+      expect(islands[0]).toMatchObject({ eliteCount: 5, mutationRate: 0.1, crossoverType: 'employee', guidedMutation: true });
+      expect(new Set(islands.map(o => `${o.crossoverType}/${o.mutationRate}/${o.guidedMutation}`)).size).toBe(4);
+      expect(getIslandOptions({ populationSize: 20 }, 0, 4).populationSize).toBe(20);
+    });
+
+    it('should report the global best', () => {
+      const merged = mergeIslandProgress([
+        { generation: 40, bestFitness: 300, avgFitness: 500, stagnation: 10 },
+        { generation: 35, bestFitness: 120, avgFitness: 300, stagnation: 4 }
+      ]);
+
+      expect(merged).toMatchObject({ generation: 40, bestFitness: 120, avgFitness: 400, stagnation: 4, islands: 2 });
+    });
+
+    it('should pick the best final result, valid schedules first', () => {
+      const failed = { metadata: { failed: true, stats: { fitness: 10 } } };
+      const valid = { metadata: { stats: { fitness: 50 } } };
+      const validAfterLocalSearch = { metadata: { stats: { fitness: 40 } } };
+
+      expect(getBestIslandResult([failed, valid])).toBe(valid);
+      expect(getBestIslandResult([valid, failed, validAfterLocalSearch])).toBe(validAfterLocalSearch);
+      expect(getBestIslandResult([{ metadata: { failed: true, stats: null } }, failed])).toBe(failed);
+    });
+
+    it('should exchange migrants and return the best island result', async () => {
+      const log = [];
+      const progress = [];
+      const result = await new Promise((resolve, reject) => {
+        runIslandPool({
+          payload: {
+            year: 2024,
+            month: 1,
+            employees,
+            shiftTypes,
+            matrices: [],
+            coverageRules,
+            constraints,
+            optimizerOptions: { populationSize: 40, maxGenerations: 30, stagnationLimit: 1000 }
+          },
+          islandCount: 2,
+          createWorker: () => createFakeWorker(log),
+          migrationInterval: 10,
+          onProgress: (stats) => progress.push(stats),
+          onComplete: resolve,
+          onError: reject
+        });
+      });
+
+      expect(log.filter(m => m.type === 'ISLAND_START')).toHaveLength(2);
+      expect(log.some(m => m.type === 'IMMIGRANTS' && m.payload.migrants.length === 3)).toBe(true);
+      expect(progress[progress.length - 1].islands).toBe(2);
+      expect(result.metadata.islands).toBe(2);
+      for (const emp of employees) {
+        expect(result.schedule[emp.id].shifts).toHaveLength(29);
+      }
+    });
+  });
 
   describe('Employee-Matrix Assignment', () => {
 
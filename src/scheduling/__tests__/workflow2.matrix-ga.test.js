@@ -85,6 +85,64 @@ describe('Workflow 2: Matrix Generation GA', () => {
       // This tests the fallback behavior
       expect(Array.isArray(validShifts)).toBe(true);
     });
+
+    it('should honour window count constraints across the cyclic wrap', () => {
+      // Row already has 2 nights per 7-day cycle; max 2 nights in any 7 days
+      const row = ['N', 'SN', 'RP', 'M', 'P', 'N', 'SN'];
+      const windowConstraints = [
+        { id: 'max_n', type: 'max_count_window', shifts: ['N'], count: 2, days: 7, enabled: true }
+      ];
+
+      const validShifts = getValidShiftsForCyclicPosition(row, 3, windowConstraints, shiftTypes);
+      expect(validShifts).not.toContain('N');
+      expect(validShifts).toContain('M');
+    });
+
+    it('should count the candidate on every lap of a window longer than the row', () => {
+      // A 14-day window spans the 7-day row twice: an N at position 0 means 2 nights
+      const row = ['M', 'P', 'RP', 'M', 'P', 'RP', 'RP'];
+      const windowConstraints = [
+        { id: 'max_n', type: 'max_count_window', shifts: ['N'], count: 1, days: 14, enabled: true }
+      ];
+
+      const validShifts = getValidShiftsForCyclicPosition(row, 0, windowConstraints, shiftTypes);
+      expect(validShifts).not.toContain('N');
+      expect(validShifts).toContain('M');
+    });
+
+    it('should force a shift from the set when a window would fall short', () => {
+      // Only one RP per cycle; at least 1 RP in every 7 days
+      const row = ['M', 'P', 'RP', 'M', 'P', 'M', 'P'];
+      const windowConstraints = [
+        { id: 'min_rp', type: 'min_count_window', shifts: ['RP'], count: 1, days: 7, enabled: true }
+      ];
+
+      const validShifts = getValidShiftsForCyclicPosition(row, 2, windowConstraints, shiftTypes);
+      expect(validShifts).toEqual(['RP']);
+    });
+
+    it('should not leave an isolated rest day across the cyclic wrap', () => {
+      // Position 0 (RP) follows position 6: only another RP keeps it in a 2-day block
+      const row = ['RP', 'M', 'M', 'RP', 'RP', 'P', 'P'];
+      const blockConstraints = [
+        { id: 'min_rp', type: 'min_consecutive', shifts: ['RP'], days: 2, enabled: true }
+      ];
+
+      const validShifts = getValidShiftsForCyclicPosition(row, 6, blockConstraints, shiftTypes);
+      expect(validShifts).toEqual(['RP']);
+    });
+
+    it('should reject candidates completing a forbidden pattern across the wrap', () => {
+      // Position 6 sits between N (pos 5) and N (pos 0 of the next cycle)
+      const row = ['N', 'SN', 'RP', 'M', 'P', 'N', 'M'];
+      const patternConstraints = [
+        { id: 'fp', type: 'forbidden_pattern', pattern: ['N', 'RP', 'N'], enabled: true }
+      ];
+
+      const validShifts = getValidShiftsForCyclicPosition(row, 6, patternConstraints, shiftTypes);
+      expect(validShifts).not.toContain('RP');
+      expect(validShifts).toContain('SN');
+    });
   });
 
 
@@ -0,0 +1,301 @@
+/**
+ * Static Conflict Analysis
+ *
+ * Inspects the enabled constraints, shift types and coverage rules before
+ * generation, looking for configurations that no schedule can satisfy
+ * (errors) or that are silently ignored by the validator (warnings).
+ * Nothing here looks at an actual schedule.
+ */
+
+import { expandShiftIds } from './constraints.js';
+
+/**
+ * @typedef {Object} ConstraintIssue
+ * @property {string} severity - 'error' (no schedule can satisfy it) | 'warning'
+ * @property {Array<string>} constraintIds - IDs of the constraints/rules involved
+ * @property {string} message - Human-readable message (Italian, for the UI)
+ */
+
+/**
+ * Shift references of a constraint, by field
+ *
+ * @param {Object} constraint
+ * @returns {Array<string>} Referenced shift/group IDs (pattern wildcards excluded)
+ */
+const getReferencedShiftIds = (constraint) => {
+  const ids = [];
+  if (constraint.shiftA) ids.push(constraint.shiftA);
+  if (constraint.shiftB) ids.push(constraint.shiftB);
+  if (constraint.shift) ids.push(constraint.shift);
+  ids.push(...(constraint.shifts || []));
+  ids.push(...(constraint.pattern || []).filter(token => token !== '*'));
+  return ids;
+};
+
+/**
+ * Find the cycles of a directed graph (each cycle reported once)
+ *
+ * @param {Object<string, Set<string>>} edges - Adjacency lists
+ * @returns {Array<Array<string>>} Cycles as node lists
+ */
+const findCycles = (edges) => {
+  const cycles = [];
+  const seen = new Set();
+  const state = {}; // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (node) => {
+    state[node] = 1;
+    stack.push(node);
+    for (const next of edges[node] || []) {
+      if (state[next] === 1) {
+        const cycle = stack.slice(stack.indexOf(next));
+        const key = [...cycle].sort().join('|');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push(cycle);
+        }
+      } else if (state[next] === undefined) {
+        visit(next);
+      }
+    }
+    stack.pop();
+    state[node] = 2;
+  };
+
+  for (const node of Object.keys(edges)) {
+    if (state[node] === undefined) visit(node);
+  }
+  return cycles;
+};
+
+/**
+ * Analyze the constraint set for contradictions and dangling references
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.constraints - Constraint definitions (only enabled ones are analyzed)
+ * @param {Array<Object>} params.shiftTypes - Shift type definitions
+ * @param {Array<Object>} [params.coverageRules] - Coverage rule definitions
+ * @param {Array<Object>} [params.shiftGroups] - Shift group definitions
+ * @param {Array<Object>} [params.employees] - Employees, to check cross-employee references (optional)
+ * @returns {Array<ConstraintIssue>} Issues found, errors first
+ */
+export const analyzeConstraintSet = ({
+  constraints = [],
+  shiftTypes = [],
+  coverageRules = [],
+  shiftGroups = [],
+  employees
+}) => {
+  const issues = [];
+  const active = constraints.filter(c => c.enabled);
+  const knownIds = new Set([...shiftTypes.map(s => s.id), ...shiftGroups.map(g => g.id)]);
+  const expand = (id) => expandShiftIds([id], shiftTypes, shiftGroups);
+  const overlaps = (a, b) => expand(a).some(id => expand(b).includes(id));
+  const isSubset = (a, b) => {
+    const target = Array.isArray(b) ? b : expand(b);
+    return expand(a).every(id => target.includes(id));
+  };
+  // Constraints with dangling references are ignored by the validator, so
+  // they are only reported as such and left out of the other checks
+  const checked = active.filter(c => getReferencedShiftIds(c).every(id => knownIds.has(id)));
+  const byType = (type) => checked.filter(c => c.type === type);
+
+  // ============================================
+  // DANGLING REFERENCES
+  // ============================================
+
+  for (const c of active) {
+    const unknown = [...new Set(getReferencedShiftIds(c).filter(id => !knownIds.has(id)))];
+    if (unknown.length > 0) {
+      issues.push({
+        severity: 'warning',
+        constraintIds: [c.id],
+        message: `Vincolo con turn${unknown.length === 1 ? 'o inesistente' : 'i inesistenti'} ${unknown.join(', ')}: viene ignorato`
+      });
+    }
+    if (employees && c.employees) {
+      const missing = c.employees.filter(id => !employees.some(emp => emp.id === id));
+      if (missing.length > 0) {
+        issues.push({
+          severity: 'warning',
+          constraintIds: [c.id],
+          message: `Vincolo tra dipendenti con ${missing.length} dipendent${missing.length === 1 ? 'e rimosso' : 'i rimossi'}`
+        });
+      }
+    }
+  }
+
+  for (const rule of coverageRules.filter(r => r.enabled !== false)) {
+    const unknown = (rule.shiftIds || []).filter(id => !knownIds.has(id));
+    if (unknown.length > 0) {
+      issues.push({
+        severity: 'warning',
+        constraintIds: [rule.id],
+        message: `Copertura con turn${unknown.length === 1 ? 'o inesistente' : 'i inesistenti'} ${unknown.join(', ')}`
+      });
+    }
+    if (rule.max !== undefined && rule.max !== null && rule.max < rule.min) {
+      issues.push({
+        severity: 'error',
+        constraintIds: [rule.id],
+        message: `Copertura ${(rule.shiftIds || []).join('/')}: massimo ${rule.max} inferiore al minimo ${rule.min}`
+      });
+    }
+  }
+
+  // ============================================
+  // CONTRADICTORY PAIRS
+  // ============================================
+
+  // A must be followed by B, but A -> B is forbidden (or A must be followed by something disjoint)
+  for (const mf of byType('must_follow')) {
+    for (const cf of byType('cannot_follow')) {
+      if (overlaps(mf.shiftA, cf.shiftA) && isSubset(mf.shiftB, cf.shiftB)) {
+        issues.push({
+          severity: 'error',
+          constraintIds: [mf.id, cf.id],
+          message: `${mf.shiftA} deve essere seguito da ${mf.shiftB}, ma ${cf.shiftB} non può seguire ${cf.shiftA}`
+        });
+      }
+    }
+    for (const other of byType('must_follow')) {
+      if (other.id <= mf.id) continue;
+      if (overlaps(mf.shiftA, other.shiftA) && !overlaps(mf.shiftB, other.shiftB)) {
+        issues.push({
+          severity: 'error',
+          constraintIds: [mf.id, other.id],
+          message: `${mf.shiftA} deve essere seguito sia da ${mf.shiftB} sia da ${other.shiftB}`
+        });
+      }
+    }
+  }
+
+  // B must be preceded by A, but A -> B is forbidden (or B must be preceded by something disjoint)
+  for (const mp of byType('must_precede')) {
+    for (const cp of byType('cannot_precede')) {
+      if (overlaps(mp.shiftB, cp.shiftB) && isSubset(mp.shiftA, cp.shiftA)) {
+        issues.push({
+          severity: 'error',
+          constraintIds: [mp.id, cp.id],
+          message: `${mp.shiftB} deve essere preceduto da ${mp.shiftA}, ma ${cp.shiftA} non può precedere ${cp.shiftB}`
+        });
+      }
+    }
+    for (const other of byType('must_precede')) {
+      if (other.id <= mp.id) continue;
+      if (overlaps(mp.shiftB, other.shiftB) && !overlaps(mp.shiftA, other.shiftA)) {
+        issues.push({
+          severity: 'error',
+          constraintIds: [mp.id, other.id],
+          message: `${mp.shiftB} deve essere preceduto sia da ${mp.shiftA} sia da ${other.shiftA}`
+        });
+      }
+    }
+  }
+
+  // ============================================
+  // MUST_FOLLOW CYCLES
+  // ============================================
+
+  // Only single-shift successors force the next day
+  const forcedNext = {};
+  const edgeConstraint = {};
+  for (const mf of byType('must_follow')) {
+    const next = expand(mf.shiftB);
+    if (next.length !== 1) continue;
+    for (const from of expand(mf.shiftA)) {
+      if (!forcedNext[from]) forcedNext[from] = new Set();
+      forcedNext[from].add(next[0]);
+      edgeConstraint[`${from}>${next[0]}`] = mf.id;
+    }
+  }
+  for (const cycle of findCycles(forcedNext)) {
+    const ids = cycle.map((from, i) => edgeConstraint[`${from}>${cycle[(i + 1) % cycle.length]}`]);
+    issues.push({
+      severity: 'error',
+      constraintIds: [...new Set(ids)],
+      message: `Catena obbligata ciclica ${[...cycle, cycle[0]].join(' → ')}: dopo un ${cycle[0]} il dipendente non esce più dal ciclo`
+    });
+  }
+
+  // ============================================
+  // IMPOSSIBLE VALUES
+  // ============================================
+
+  for (const c of byType('max_consecutive_without')) {
+    if (!Number.isInteger(c.days) || c.days < 0) {
+      issues.push({
+        severity: 'error',
+        constraintIds: [c.id],
+        message: `Giorni consecutivi senza ${c.shift} non validi (${c.days})`
+      });
+      continue;
+    }
+
+    // The shift must appear at least once every days + 1 days
+    const period = c.days + 1;
+    for (const gap of byType('min_gap')) {
+      if (isSubset(gap.shiftA, c.shift) && isSubset(gap.shiftB, c.shift) && gap.days >= period) {
+        issues.push({
+          severity: 'error',
+          constraintIds: [c.id, gap.id],
+          message: `${c.shift} serve almeno ogni ${period} giorni, ma due ${c.shift} devono distare più di ${gap.days} giorni`
+        });
+      }
+    }
+    for (const limit of byType('max_consecutive')) {
+      if (c.days === 0 && isSubset(c.shift, limit.shift)) {
+        issues.push({
+          severity: 'error',
+          constraintIds: [c.id, limit.id],
+          message: `${c.shift} è richiesto tutti i giorni, ma non può ripetersi più di ${limit.days} volte`
+        });
+      }
+    }
+    for (const window of byType('max_count_window')) {
+      // Every occurrence of the shift also counts towards the window's set
+      const windowSet = expandShiftIds(window.shifts, shiftTypes, shiftGroups);
+      const required = Math.floor(window.days / period);
+      if (isSubset(c.shift, windowSet) && window.count < required) {
+        issues.push({
+          severity: 'error',
+          constraintIds: [c.id, window.id],
+          message: `${c.shift} serve almeno ${required} volte in ${window.days} giorni, ma il massimo è ${window.count}`
+        });
+      }
+    }
+  }
+
+  for (const c of byType('max_consecutive')) {
+    if (c.days < 1) {
+      issues.push({
+        severity: 'warning',
+        constraintIds: [c.id],
+        message: `${c.shift} con massimo ${c.days} ripetizioni: il turno non potrà mai essere assegnato`
+      });
+    }
+    for (const block of byType('min_consecutive')) {
+      if ((block.shifts || []).length === 1 && block.shifts[0] === c.shift && block.days > c.days && c.days >= 1) {
+        issues.push({
+          severity: 'error',
+          constraintIds: [c.id, block.id],
+          message: `${c.shift} deve comparire in blocchi di almeno ${block.days} giorni, ma al massimo ${c.days} consecutivi`
+        });
+      }
+    }
+  }
+
+  for (const c of byType('min_count_window')) {
+    if (c.count > c.days) {
+      issues.push({
+        severity: 'error',
+        constraintIds: [c.id],
+        message: `Minimo ${c.count} turni ${(c.shifts || []).join('/')} in ${c.days} giorni: più turni che giorni`
+      });
+    }
+  }
+
+  // Errors first, so callers can show the blocking ones on top
+  return issues.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+};
@@ -2,7 +2,8 @@
  * Constraint validation for shift sequences
  *
  * This module handles validation of shift sequences against configurable constraints.
- * Supports 7 constraint types for controlling shift patterns.
+ * Supports 16 constraint types for controlling shift patterns.
+ * Wherever a constraint accepts a shift ID it also accepts the ID of a shift group.
  */
 
 /**
@@ -13,7 +14,11 @@
  * @property {string} [shiftA] - First shift in pair constraints
  * @property {string} [shiftB] - Second shift in pair constraints
  * @property {string} [shift] - Single shift for consecutive constraints
+ * @property {Array<string>} [shifts] - Shift set for window count constraints
+ * @property {Array<string>} [pattern] - Day-by-day shift sequence for pattern constraints ('*' = any shift)
+ * @property {number} [count] - Maximum/minimum occurrences for window count constraints
  * @property {number} [days] - Number of days for gap/consecutive constraints
+ * @property {number} [hours] - Minimum rest hours (min_rest_hours) or maximum worked hours (max_hours_window)
  */
 
 /**
@@ -21,6 +26,36 @@
  * @property {number} day - Day index where violation occurred
  * @property {string} message - Human-readable error message
  * @property {string} constraintId - ID of violated constraint
+ * @property {number} [windowStart] - First day index of the offending window (window constraints)
+ * @property {number} [windowEnd] - Last day index of the offending window (window constraints)
+ */
+
+/**
+ * @typedef {Object} ShiftGroup
+ * @property {string} id - Group code, usable wherever a shift ID is accepted
+ * @property {string} name - Display name (e.g. 'Notti')
+ * @property {Array<string>} [shiftIds] - Member shift IDs
+ * @property {boolean} [allWorking] - If true, members are all shift types with hours > 0
+ */
+
+/**
+ * @typedef {Object} ValidationOptions
+ * @property {Array<ShiftGroup>} [shiftGroups] - Named shift groups referenced by constraints
+ * @property {number} [firstDayOfMonth] - Weekday of shifts[0] (0 = Monday, 6 = Sunday).
+ *   Calendar constraints (weekends) are skipped when it is not provided.
+ * @property {Array<string>} [previousShifts] - Shifts of the days right before shifts[0]
+ *   (oldest first). Read-only context: runs, windows and patterns crossing the month
+ *   boundary are checked, but only errors on the current days are reported
+ * @property {PreparedValidation} [prepared] - Lookups built once by prepareValidation
+ *   for the same constraints, shift types and groups (built on each call otherwise)
+ */
+
+/**
+ * @typedef {Object} PreparedValidation
+ * @property {Function} matches - (shift, targetId) => boolean, targetId being a shift or group ID
+ * @property {Function} isKnownId - (id) => boolean
+ * @property {Function} isAbsence - (shift) => boolean
+ * @property {number} lookbackDays - Previous-month days that can affect the constraints
  */
 
 /**
@@ -37,31 +72,272 @@ const shiftMatches = (shift, targetId) => {
   return shift === targetId || shift.startsWith(targetId + '_');
 };
 
+/**
+ * Get the member shift IDs of a shift group
+ *
+ * @param {ShiftGroup} group - Group definition
+ * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @returns {Array<string>} Member shift IDs
+ */
+export const getShiftGroupMembers = (group, shiftTypes) => {
+  if (group.allWorking) {
+    return shiftTypes.filter(s => s.hours > 0 && !s.absence).map(s => s.id);
+  }
+  return group.shiftIds || [];
+};
+
+/**
+ * Resolve dynamic groups (allWorking) into explicit member lists
+ * Useful when validation later runs against a subset of the shift types.
+ *
+ * @param {Array<ShiftGroup>} shiftGroups - Group definitions
+ * @param {Array<Object>} shiftTypes - Full list of shift type definitions
+ * @returns {Array<ShiftGroup>} Groups with explicit shiftIds
+ */
+export const resolveShiftGroups = (shiftGroups, shiftTypes) => {
+  return (shiftGroups || []).map(group => ({
+    id: group.id,
+    name: group.name,
+    shiftIds: getShiftGroupMembers(group, shiftTypes)
+  }));
+};
+
+/**
+ * Expand a list of shift and group IDs into concrete shift IDs (deduplicated)
+ *
+ * @param {Array<string>} ids - Shift IDs and/or group IDs
+ * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @param {Array<ShiftGroup>} shiftGroups - Group definitions
+ * @returns {Array<string>} Concrete shift IDs
+ */
+export const expandShiftIds = (ids, shiftTypes, shiftGroups = []) => {
+  const expanded = new Set();
+  for (const id of ids || []) {
+    const group = (shiftGroups || []).find(g => g.id === id);
+    if (group) {
+      getShiftGroupMembers(group, shiftTypes).forEach(member => expanded.add(member));
+    } else {
+      expanded.add(id);
+    }
+  }
+  return Array.from(expanded);
+};
+
+/**
+ * Build a matcher that understands both shift IDs and group IDs as targets
+ *
+ * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @param {Array<ShiftGroup>} shiftGroups - Group definitions
+ * @returns {{matches: Function, isKnownId: Function}}
+ */
+const createShiftMatcher = (shiftTypes, shiftGroups = []) => {
+  const groupMembers = new Map();
+  for (const group of shiftGroups || []) {
+    groupMembers.set(group.id, getShiftGroupMembers(group, shiftTypes));
+  }
+  const knownIds = new Set([...shiftTypes.map(s => s.id), ...groupMembers.keys()]);
+
+  // Without groups every target is a shift ID: skip the group lookup on the hot path
+  return {
+    matches: groupMembers.size === 0 ? shiftMatches : (shift, targetId) => {
+      const members = groupMembers.get(targetId);
+      if (members) return members.some(id => shiftMatches(shift, id));
+      return shiftMatches(shift, targetId);
+    },
+    isKnownId: (id) => knownIds.has(id)
+  };
+};
+
+/**
+ * Constraint types evaluated over sliding windows of `days` days
+ * Their errors carry windowStart/windowEnd instead of a single offending day.
+ */
+const WINDOW_CONSTRAINT_TYPES = ['max_hours_window', 'max_count_window', 'min_count_window'];
+
+/**
+ * Constraint types whose errors span a block of days bounded by its neighbours
+ * A block can be shortened by the shift right outside it, not only inside it.
+ */
+const BLOCK_CONSTRAINT_TYPES = ['min_consecutive'];
+
+/**
+ * Constraint types matching a multi-day sequence of shifts
+ */
+const PATTERN_CONSTRAINT_TYPES = ['forbidden_pattern', 'required_pattern'];
+
+/**
+ * Constraint types that can only be judged on a complete month
+ * A prefix of the month says nothing about them (see wouldViolateConstraints).
+ */
+const MONTH_CONSTRAINT_TYPES = ['min_free_weekends'];
+
+/**
+ * Wildcard token matching any shift in a pattern
+ */
+export const PATTERN_WILDCARD = '*';
+
+/**
+ * Parse a pattern written as space-separated shift codes (e.g. "N N11 SN RP")
+ *
+ * @param {string} text - Pattern text
+ * @returns {Array<string>} Pattern tokens (uppercased, '*' for any shift)
+ */
+export const parseShiftPattern = (text) => {
+  return String(text || '')
+    .trim()
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(token => token.toUpperCase());
+};
+
+/**
+ * Parse an 'HH:MM' time string into minutes from midnight
+ *
+ * @param {string} time - Time string (e.g. '07:30')
+ * @returns {number|null} Minutes from midnight, or null if not a valid time
+ */
+const parseTimeToMinutes = (time) => {
+  if (typeof time !== 'string') return null;
+  const match = time.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get the working window of a shift relative to the start of its day
+ * Shifts whose end is not after their start cross midnight, so the end is
+ * moved to the following day (e.g. 20:00-07:00 -> 1200..1860 minutes).
+ *
+ * @param {string} shift - Shift ID (variants like N_1 resolve to N)
+ * @param {Array<Object>} shiftTypes - Shift type definitions with start/end
+ * @returns {{start: number, end: number}|null} Window in minutes, or null for untimed shifts
+ */
+const getShiftWindow = (shift, shiftTypes) => {
+  const shiftType = shiftTypes.find(s => shiftMatches(shift, s.id));
+  if (!shiftType) return null;
+  const start = parseTimeToMinutes(shiftType.start);
+  const end = parseTimeToMinutes(shiftType.end);
+  if (start === null || end === null) return null;
+  return { start, end: end > start ? end : end + 24 * 60 };
+};
+
+/**
+ * Get the worked hours of a shift
+ *
+ * @param {string} shift - Shift ID (variants like M_1 resolve to M)
+ * @param {Array<Object>} shiftTypes - Shift type definitions with hours
+ * @returns {number} Hours worked, 0 for unknown shifts and absences (credited, not worked)
+ */
+const getShiftHours = (shift, shiftTypes) => {
+  const shiftType = shiftTypes.find(s => shiftMatches(shift, s.id));
+  return shiftType && !shiftType.absence ? shiftType.hours || 0 : 0;
+};
+
+/**
+ * Check whether a day is fully off: no hours and no timed presence
+ * Timed zero-hour shifts (e.g. SN, the tail of a night) still occupy the day.
+ *
+ * @param {string} shift - Shift ID
+ * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @returns {boolean} True if the day is free
+ */
+const isFreeDay = (shift, shiftTypes) => {
+  return getShiftHours(shift, shiftTypes) === 0 && getShiftWindow(shift, shiftTypes) === null;
+};
+
+/**
+ * List the full weekends (Saturday and Sunday both inside the sequence)
+ *
+ * @param {number} length - Sequence length in days
+ * @param {number} firstDayOfMonth - Weekday of day 0 (0 = Monday, 6 = Sunday)
+ * @returns {Array<number>} Day index of each weekend's Saturday
+ */
+const getWeekendSaturdays = (length, firstDayOfMonth) => {
+  const saturdays = [];
+  for (let day = (5 - firstDayOfMonth + 7) % 7; day + 1 < length; day += 7) {
+    saturdays.push(day);
+  }
+  return saturdays;
+};
+
+/**
+ * Number of previous-month days that can affect the constraints
+ * Covers the longest run, window or pattern, and at least a full week
+ * so the previous weekend is known to weekend rules.
+ *
+ * @param {Array<Constraint>} constraints - Active constraints
+ * @returns {number} Look-back length in days
+ */
+const getLookbackDays = (constraints) => {
+  let lookback = 7;
+  for (const c of constraints) {
+    lookback = Math.max(lookback, c.days || 0, (c.pattern || []).length);
+  }
+  return lookback;
+};
+
+/**
+ * Build the lookups of validateSequenceWithConstraints once for a run
+ * Validation runs once per candidate shift and per fitness evaluation: pass
+ * the result as `options.prepared` instead of rebuilding it on every call.
+ *
+ * @param {Array<Constraint>} constraints - Constraint definitions
+ * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @param {Array<ShiftGroup>} [shiftGroups] - Group definitions
+ * @returns {PreparedValidation}
+ */
+export const prepareValidation = (constraints, shiftTypes, shiftGroups = []) => {
+  // Absences (holidays, sick leave...) are locked days off: they count as rest
+  // for runs and do not form pairs with the days around them
+  const absenceIds = shiftTypes.filter(s => s.absence).map(s => s.id);
+  return {
+    ...createShiftMatcher(shiftTypes, shiftGroups),
+    isAbsence: absenceIds.length > 0
+      ? (shift) => absenceIds.some(id => shiftMatches(shift, id))
+      : () => false,
+    lookbackDays: getLookbackDays(constraints.filter(c => c.enabled))
+  };
+};
+
 /**
  * Validate a sequence of shifts against all enabled constraints
  *
  * @param {Array<string>} shifts - Array of shift IDs for the period
  * @param {Array<Constraint>} constraints - Array of constraint definitions
  * @param {Array<Object>} shiftTypes - Array of valid shift type definitions
+ * @param {ValidationOptions} [options] - Extra validation context (shift groups, calendar)
  * @returns {Array<ConstraintError>} Array of constraint violations
  */
-export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes) => {
+export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes, options = {}) => {
   const errors = [];
   const activeConstraints = constraints.filter(c => c.enabled);
-  const validShiftIds = shiftTypes.map(s => s.id);
+  const { matches, isKnownId, isAbsence, lookbackDays } =
+    options.prepared || prepareValidation(constraints, shiftTypes, options.shiftGroups);
+
+  // Prepend the previous month's tail as read-only context: constraints are
+  // checked on the whole sequence, but only errors touching the current days
+  // are reported (with days relative to shifts[0])
+  const offset = Math.min((options.previousShifts || []).length, lookbackDays);
+  const sequence = offset > 0 ? [...options.previousShifts.slice(-offset), ...shifts] : shifts;
+  const dayLabel = (i) => Math.max(i - offset, 0) + 1;
 
   for (const constraint of activeConstraints) {
     switch (constraint.type) {
       case 'must_follow':
         // shiftA must be immediately followed by shiftB
-        if (validShiftIds.includes(constraint.shiftA) && validShiftIds.includes(constraint.shiftB)) {
-          for (let i = 0; i < shifts.length - 1; i++) {
-            const current = shifts[i];
-            const next = shifts[i + 1];
-            if (shiftMatches(current, constraint.shiftA) && !shiftMatches(next, constraint.shiftB)) {
+        if (isKnownId(constraint.shiftA) && isKnownId(constraint.shiftB)) {
+          for (let i = 0; i < sequence.length - 1; i++) {
+            const current = sequence[i];
+            const next = sequence[i + 1];
+            if (isAbsence(next)) continue;
+            if (matches(current, constraint.shiftA) && !matches(next, constraint.shiftB)) {
               errors.push({
-                day: i,
-                message: `${constraint.shiftA} deve essere seguito da ${constraint.shiftB} (giorno ${i + 1})`,
+                // A shiftA on the previous month's last day is broken on day 0
+                day: i === offset - 1 ? offset : i,
+                message: `${constraint.shiftA} deve essere seguito da ${constraint.shiftB} (giorno ${dayLabel(i)})`,
                 constraintId: constraint.id
               });
             }
@@ -71,14 +347,14 @@ export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes)
 
       case 'cannot_follow':
         // shiftA cannot be immediately followed by shiftB
-        if (validShiftIds.includes(constraint.shiftA) && validShiftIds.includes(constraint.shiftB)) {
-          for (let i = 0; i < shifts.length - 1; i++) {
-            const current = shifts[i];
-            const next = shifts[i + 1];
-            if (shiftMatches(current, constraint.shiftA) && shiftMatches(next, constraint.shiftB)) {
+        if (isKnownId(constraint.shiftA) && isKnownId(constraint.shiftB)) {
+          for (let i = 0; i < sequence.length - 1; i++) {
+            const current = sequence[i];
+            const next = sequence[i + 1];
+            if (matches(current, constraint.shiftA) && matches(next, constraint.shiftB)) {
               errors.push({
                 day: i + 1,
-                message: `${constraint.shiftA} non può essere seguito da ${constraint.shiftB} (giorno ${i + 2})`,
+                message: `${constraint.shiftA} non può essere seguito da ${constraint.shiftB} (giorno ${dayLabel(i + 1)})`,
                 constraintId: constraint.id
               });
             }
@@ -88,14 +364,15 @@ export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes)
 
       case 'must_precede':
         // shiftB must be immediately preceded by shiftA
-        if (validShiftIds.includes(constraint.shiftA) && validShiftIds.includes(constraint.shiftB)) {
-          for (let i = 1; i < shifts.length; i++) {
-            const current = shifts[i];
-            const prev = shifts[i - 1];
-            if (shiftMatches(current, constraint.shiftB) && !shiftMatches(prev, constraint.shiftA)) {
+        if (isKnownId(constraint.shiftA) && isKnownId(constraint.shiftB)) {
+          for (let i = 1; i < sequence.length; i++) {
+            const current = sequence[i];
+            const prev = sequence[i - 1];
+            if (isAbsence(prev)) continue;
+            if (matches(current, constraint.shiftB) && !matches(prev, constraint.shiftA)) {
               errors.push({
                 day: i,
-                message: `${constraint.shiftB} deve essere preceduto da ${constraint.shiftA} (giorno ${i + 1})`,
+                message: `${constraint.shiftB} deve essere preceduto da ${constraint.shiftA} (giorno ${dayLabel(i)})`,
                 constraintId: constraint.id
               });
             }
@@ -105,14 +382,14 @@ export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes)
 
       case 'cannot_precede':
         // shiftB cannot be immediately preceded by shiftA
-        if (validShiftIds.includes(constraint.shiftA) && validShiftIds.includes(constraint.shiftB)) {
-          for (let i = 1; i < shifts.length; i++) {
-            const current = shifts[i];
-            const prev = shifts[i - 1];
-            if (shiftMatches(current, constraint.shiftB) && shiftMatches(prev, constraint.shiftA)) {
+        if (isKnownId(constraint.shiftA) && isKnownId(constraint.shiftB)) {
+          for (let i = 1; i < sequence.length; i++) {
+            const current = sequence[i];
+            const prev = sequence[i - 1];
+            if (matches(current, constraint.shiftB) && matches(prev, constraint.shiftA)) {
               errors.push({
                 day: i,
-                message: `${constraint.shiftB} non può essere preceduto da ${constraint.shiftA} (giorno ${i + 1})`,
+                message: `${constraint.shiftB} non può essere preceduto da ${constraint.shiftA} (giorno ${dayLabel(i)})`,
                 constraintId: constraint.id
               });
             }
@@ -122,16 +399,16 @@ export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes)
 
       case 'max_consecutive_without':
         // Maximum N consecutive days without the specified shift
-        if (validShiftIds.includes(constraint.shift)) {
+        if (isKnownId(constraint.shift)) {
           let consecutive = 0;
-          for (let i = 0; i < shifts.length; i++) {
-            const current = shifts[i];
-            if (!shiftMatches(current, constraint.shift)) {
+          for (let i = 0; i < sequence.length; i++) {
+            const current = sequence[i];
+            if (!matches(current, constraint.shift) && !isAbsence(current)) {
               consecutive++;
               if (consecutive > constraint.days) {
                 errors.push({
                   day: i,
-                  message: `Più di ${constraint.days} giorni consecutivi senza ${constraint.shift} (giorno ${i + 1})`,
+                  message: `Più di ${constraint.days} giorni consecutivi senza ${constraint.shift} (giorno ${dayLabel(i)})`,
                   constraintId: constraint.id
                 });
               }
@@ -144,16 +421,16 @@ export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes)
 
       case 'max_consecutive':
         // Shift cannot repeat more than N times consecutively
-        if (validShiftIds.includes(constraint.shift)) {
+        if (isKnownId(constraint.shift)) {
           let consecutive = 0;
-          for (let i = 0; i < shifts.length; i++) {
-            const current = shifts[i];
-            if (shiftMatches(current, constraint.shift)) {
+          for (let i = 0; i < sequence.length; i++) {
+            const current = sequence[i];
+            if (matches(current, constraint.shift)) {
               consecutive++;
               if (consecutive > constraint.days) {
                 errors.push({
                   day: i,
-                  message: `${constraint.shift} ripetuto più di ${constraint.days} volte consecutive (giorno ${i + 1})`,
+                  message: `${constraint.shift} ripetuto più di ${constraint.days} volte consecutive (giorno ${dayLabel(i)})`,
                   constraintId: constraint.id
                 });
               }
@@ -164,19 +441,111 @@ export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes)
         }
         break;
 
+      case 'min_consecutive': {
+        // Every block of shifts from the set must last at least `days` days
+        const shiftSet = (constraint.shifts || []).filter(isKnownId);
+        if (shiftSet.length === 0 || !(constraint.days > 1)) break;
+
+        // Blocks crossing day 0 are measured whole thanks to the previous month's tail
+        const setLabel = shiftSet.join('/');
+
+        let i = 0;
+        while (i < sequence.length) {
+          if (!shiftSet.some(id => matches(sequence[i], id))) {
+            i++;
+            continue;
+          }
+          const start = i;
+          while (i < sequence.length && shiftSet.some(id => matches(sequence[i], id))) i++;
+          const length = i - start;
+
+          // Blocks cut by the edge of the known history may continue beyond it,
+          // blocks cut by an absence were interrupted by it
+          if (start === 0 || i === sequence.length || i <= offset) continue;
+          if (isAbsence(sequence[start - 1]) || isAbsence(sequence[i])) continue;
+
+          if (length < constraint.days) {
+            errors.push({
+              day: start,
+              windowStart: start,
+              windowEnd: i - 1,
+              message: `Blocco di ${length} giorn${length === 1 ? 'o' : 'i'} ${setLabel} (giorni ${dayLabel(start)}-${dayLabel(i - 1)}), minimo ${constraint.days} consecutivi`,
+              constraintId: constraint.id
+            });
+          }
+        }
+        break;
+      }
+
+      case 'forbidden_pattern':
+      case 'required_pattern': {
+        const pattern = constraint.pattern || [];
+        if (pattern.length < 2) break;
+        if (!pattern.every(token => token === PATTERN_WILDCARD || isKnownId(token))) break;
+
+        const patternLabel = pattern.join(' ');
+        const matchesToken = (shift, token) => token === PATTERN_WILDCARD || matches(shift, token);
+
+        if (constraint.type === 'forbidden_pattern') {
+          // The whole sequence must never appear
+          for (let i = 0; i + pattern.length <= sequence.length; i++) {
+            if (pattern.every((token, k) => matchesToken(sequence[i + k], token))) {
+              const end = i + pattern.length - 1;
+              errors.push({
+                day: i,
+                windowStart: i,
+                windowEnd: end,
+                message: `Sequenza vietata ${patternLabel} (giorni ${dayLabel(i)}-${dayLabel(end)})`,
+                constraintId: constraint.id
+              });
+            }
+          }
+          break;
+        }
+
+        // required_pattern: whenever the first shift appears, the rest must follow as a unit
+        if (pattern[0] === PATTERN_WILDCARD) break;
+        let i = 0;
+        while (i < sequence.length) {
+          if (!matchesToken(sequence[i], pattern[0])) {
+            i++;
+            continue;
+          }
+          // Days past the end of the sequence cannot be judged
+          let k = 1;
+          while (k < pattern.length && i + k < sequence.length && matchesToken(sequence[i + k], pattern[k])) k++;
+
+          if (k < pattern.length && i + k < sequence.length && !isAbsence(sequence[i + k])) {
+            const day = i + k;
+            errors.push({
+              day,
+              windowStart: i,
+              windowEnd: day,
+              message: `Sequenza ${patternLabel} interrotta: atteso ${pattern[k]} al giorno ${dayLabel(day)}`,
+              constraintId: constraint.id
+            });
+            i++;
+          } else {
+            // Occurrence complete (or cut by the end): its days are consumed
+            i += pattern.length;
+          }
+        }
+        break;
+      }
+
       case 'min_gap':
         // At least N days must pass between shiftA and shiftB
-        if (validShiftIds.includes(constraint.shiftA) && validShiftIds.includes(constraint.shiftB)) {
-          for (let i = 0; i < shifts.length; i++) {
-            const current = shifts[i];
-            if (shiftMatches(current, constraint.shiftA)) {
+        if (isKnownId(constraint.shiftA) && isKnownId(constraint.shiftB)) {
+          for (let i = 0; i < sequence.length; i++) {
+            const current = sequence[i];
+            if (matches(current, constraint.shiftA)) {
               // Check next N days for shiftB
-              for (let j = 1; j <= constraint.days && i + j < shifts.length; j++) {
-                const future = shifts[i + j];
-                if (shiftMatches(future, constraint.shiftB)) {
+              for (let j = 1; j <= constraint.days && i + j < sequence.length; j++) {
+                const future = sequence[i + j];
+                if (matches(future, constraint.shiftB)) {
                   errors.push({
                     day: i + j,
-                    message: `Meno di ${constraint.days} giorni tra ${constraint.shiftA} e ${constraint.shiftB} (giorno ${i + j + 1})`,
+                    message: `Meno di ${constraint.days} giorni tra ${constraint.shiftA} e ${constraint.shiftB} (giorno ${dayLabel(i + j)})`,
                     constraintId: constraint.id
                   });
                 }
@@ -185,27 +554,187 @@ export const validateSequenceWithConstraints = (shifts, constraints, shiftTypes)
           }
         }
         break;
+
+      case 'min_rest_hours':
+        // At least N hours between the end of one shift and the start of the next day's shift
+        if (constraint.hours > 0) {
+          const minRestMinutes = constraint.hours * 60;
+          for (let i = 0; i < sequence.length - 1; i++) {
+            const current = getShiftWindow(sequence[i], shiftTypes);
+            const next = getShiftWindow(sequence[i + 1], shiftTypes);
+            if (!current || !next) continue;
+
+            // A shift ending at midnight followed by one starting at midnight is
+            // one shift split across days (e.g. N -> SN), not a rest of 0h
+            const rest = (24 * 60 + next.start) - current.end;
+            const midnightSplit = current.end === 24 * 60 && next.start === 0;
+            if (!midnightSplit && rest < minRestMinutes) {
+              errors.push({
+                day: i + 1,
+                message: `Solo ${Math.max(0, rest) / 60}h di riposo tra ${sequence[i]} e ${sequence[i + 1]}, minimo ${constraint.hours}h (giorno ${dayLabel(i + 1)})`,
+                constraintId: constraint.id
+              });
+            }
+          }
+        }
+        break;
+
+      case 'max_hours_window':
+        // At most N hours worked in any window of `days` consecutive days
+        if (constraint.days > 0 && constraint.hours > 0 && sequence.length > 0) {
+          // Sequences shorter than the window are checked as a single partial window
+          const windowSize = Math.min(constraint.days, sequence.length);
+          const hours = sequence.map(shift => getShiftHours(shift, shiftTypes));
+          let windowHours = 0;
+          for (let i = 0; i < sequence.length; i++) {
+            windowHours += hours[i];
+            if (i >= windowSize) windowHours -= hours[i - windowSize];
+            if (i < windowSize - 1) continue;
+
+            if (windowHours > constraint.hours) {
+              const start = i - windowSize + 1;
+              errors.push({
+                day: i,
+                windowStart: start,
+                windowEnd: i,
+                message: `${windowHours}h lavorate nei giorni ${dayLabel(start)}-${dayLabel(i)}, massimo ${constraint.hours}h in ${constraint.days} giorni`,
+                constraintId: constraint.id
+              });
+            }
+          }
+        }
+        break;
+
+      case 'max_count_window':
+      case 'min_count_window': {
+        // At most / at least `count` shifts from the set in any window of `days` days
+        const shiftSet = (constraint.shifts || []).filter(isKnownId);
+        if (shiftSet.length === 0 || !(constraint.days > 0) || !(constraint.count >= 0)) break;
+
+        const isMax = constraint.type === 'max_count_window';
+        // A partial window can prove an excess, but never a shortage
+        if (!isMax && sequence.length < constraint.days) break;
+
+        const windowSize = Math.min(constraint.days, sequence.length);
+        const inSet = sequence.map(shift => shiftSet.some(id => matches(shift, id)) ? 1 : 0);
+        const setLabel = shiftSet.join('/');
+        let windowCount = 0;
+        for (let i = 0; i < sequence.length; i++) {
+          windowCount += inSet[i];
+          if (i >= windowSize) windowCount -= inSet[i - windowSize];
+          if (i < windowSize - 1) continue;
+
+          const violated = isMax ? windowCount > constraint.count : windowCount < constraint.count;
+          if (violated) {
+            const start = i - windowSize + 1;
+            errors.push({
+              day: i,
+              windowStart: start,
+              windowEnd: i,
+              message: isMax
+                ? `${windowCount} turni ${setLabel} nei giorni ${dayLabel(start)}-${dayLabel(i)}, massimo ${constraint.count} in ${constraint.days} giorni`
+                : `${windowCount} turni ${setLabel} nei giorni ${dayLabel(start)}-${dayLabel(i)}, minimo ${constraint.count} in ${constraint.days} giorni`,
+              constraintId: constraint.id
+            });
+          }
+        }
+        break;
+      }
+
+      case 'min_free_weekends':
+      case 'no_consecutive_weekends': {
+        // Weekend rules need the calendar alignment of the sequence
+        if (options.firstDayOfMonth === undefined) break;
+
+        // The previous month's last weekend counts for consecutive weekends only
+        const firstDay = ((options.firstDayOfMonth - offset) % 7 + 7) % 7;
+        const saturdays = getWeekendSaturdays(sequence.length, firstDay);
+        const isFreeWeekend = saturdays.map(sat =>
+          isFreeDay(sequence[sat], shiftTypes) && isFreeDay(sequence[sat + 1], shiftTypes)
+        );
+
+        if (constraint.type === 'min_free_weekends') {
+          // A month with fewer full weekends than requested can only demand all of them
+          const monthWeekends = saturdays.map((sat, w) => sat >= offset ? w : -1).filter(w => w >= 0);
+          const required = Math.min(constraint.count || 0, monthWeekends.length);
+          const freeCount = monthWeekends.filter(w => isFreeWeekend[w]).length;
+          if (freeCount < required) {
+            errors.push({
+              day: sequence.length - 1,
+              windowStart: offset,
+              windowEnd: sequence.length - 1,
+              message: `Solo ${freeCount} weekend liberi nel mese, minimo ${required}`,
+              constraintId: constraint.id
+            });
+          }
+        } else {
+          for (let w = 1; w < saturdays.length; w++) {
+            if (!isFreeWeekend[w - 1] && !isFreeWeekend[w]) {
+              const prev = saturdays[w - 1];
+              const sat = saturdays[w];
+              errors.push({
+                day: sat,
+                windowStart: prev,
+                windowEnd: sat + 1,
+                message: `Due weekend consecutivi lavorati (giorni ${dayLabel(prev)}-${dayLabel(prev + 1)} e ${dayLabel(sat)}-${dayLabel(sat + 1)})`,
+                constraintId: constraint.id
+              });
+            }
+          }
+        }
+        break;
+      }
     }
   }
 
-  return errors;
+  if (offset === 0) return errors;
+
+  // Keep errors ending in the current month, with days relative to shifts[0]
+  const toCurrentDay = (day) => Math.max(day - offset, 0);
+  return errors
+    .filter(error => (error.windowEnd ?? error.day) >= offset)
+    .map(error => {
+      const shifted = { ...error, day: toCurrentDay(error.day) };
+      if (error.windowStart !== undefined) {
+        shifted.windowStart = toCurrentDay(error.windowStart);
+        shifted.windowEnd = toCurrentDay(error.windowEnd);
+      }
+      return shifted;
+    });
 };
 
 /**
  * Check if assigning a specific shift would violate any constraints
- * Used for proactive constraint checking during schedule generation
+ * Used for proactive constraint checking during schedule generation.
+ * Rules judged on the whole month (see MONTH_CONSTRAINT_TYPES) are left out:
+ * the rest of the month can still satisfy them.
  *
  * @param {Array<string>} existingShifts - Shifts already assigned (before the new one)
  * @param {string} newShift - The shift being considered for assignment
  * @param {Array<Constraint>} constraints - Active constraints
  * @param {Array<Object>} shiftTypes - Valid shift types
+ * @param {ValidationOptions} [options] - Extra validation context (shift groups)
  * @returns {boolean} True if assignment would be valid
  */
-export const wouldViolateConstraints = (existingShifts, newShift, constraints, shiftTypes) => {
+export const wouldViolateConstraints = (existingShifts, newShift, constraints, shiftTypes, options = {}) => {
   const testSequence = [...existingShifts, newShift];
-  const errors = validateSequenceWithConstraints(testSequence, constraints, shiftTypes);
-  // Only check errors that involve the newly added shift (last position)
-  return errors.some(e => e.day === testSequence.length - 1 || e.day === testSequence.length - 2);
+  const prefixConstraints = constraints.filter(c => !MONTH_CONSTRAINT_TYPES.includes(c.type));
+  const errors = validateSequenceWithConstraints(testSequence, prefixConstraints, shiftTypes, {
+    ...options,
+    prepared: options.prepared || prepareValidation(constraints, shiftTypes, options.shiftGroups)
+  });
+  const blockConstraintIds = new Set(
+    prefixConstraints.filter(c => BLOCK_CONSTRAINT_TYPES.includes(c.type)).map(c => c.id)
+  );
+
+  // Only check errors that involve the newly added shift (last position):
+  // pairs ending on it, windows and patterns reaching it, blocks it closes
+  const last = testSequence.length - 1;
+  return errors.some(e => {
+    if (e.windowEnd === undefined) return e.day >= last - 1;
+    const margin = blockConstraintIds.has(e.constraintId) ? 1 : 0;
+    return e.windowEnd + margin >= last;
+  });
 };
 
 /**
@@ -214,12 +743,62 @@ export const wouldViolateConstraints = (existingShifts, newShift, constraints, s
  * @param {Array<string>} existingShifts - Shifts already assigned
  * @param {Array<Constraint>} constraints - Active constraints
  * @param {Array<Object>} shiftTypes - Available shift types
+ * @param {ValidationOptions} [options] - Extra validation context (shift groups)
  * @returns {Array<string>} List of valid shift IDs for the next position
  */
-export const getValidShiftsForPosition = (existingShifts, constraints, shiftTypes) => {
+export const getValidShiftsForPosition = (existingShifts, constraints, shiftTypes, options = {}) => {
+  const validationOptions = {
+    ...options,
+    prepared: options.prepared || prepareValidation(constraints, shiftTypes, options.shiftGroups)
+  };
+  return shiftTypes
+    .map(st => st.id)
+    .filter(shiftId => !wouldViolateConstraints(existingShifts, shiftId, constraints, shiftTypes, validationOptions));
+};
+
+/**
+ * Get valid shifts for one day of a complete row (e.g. a month being repaired)
+ *
+ * A candidate is valid when putting it on the day adds no error: the row's
+ * errors are compared before and after the change, so errors it already has
+ * are tolerated. Window errors only count when their window contains the day
+ * (or, for block constraints, borders it); runs and gaps can be broken days
+ * away from the change, so the other errors are all compared.
+ *
+ * @param {Array<string>} row - Complete row, shift IDs by day
+ * @param {number} day - Day being changed (0-indexed)
+ * @param {Array<Constraint>} constraints - Active constraints
+ * @param {Array<Object>} shiftTypes - Available shift types
+ * @param {ValidationOptions} [options] - Extra validation context (shift groups, calendar)
+ * @returns {Array<string>} List of valid shift IDs for the day
+ */
+export const getValidShiftsInRow = (row, day, constraints, shiftTypes, options = {}) => {
+  const blockConstraintIds = new Set(
+    constraints.filter(c => BLOCK_CONSTRAINT_TYPES.includes(c.type)).map(c => c.id)
+  );
+  const validationOptions = {
+    ...options,
+    prepared: options.prepared || prepareValidation(constraints, shiftTypes, options.shiftGroups)
+  };
+  const getErrorKeys = (sequence) => new Set(
+    validateSequenceWithConstraints(sequence, constraints, shiftTypes, validationOptions)
+      .filter(e => {
+        if (e.windowStart === undefined) return true;
+        const margin = blockConstraintIds.has(e.constraintId) ? 1 : 0;
+        return e.windowStart - margin <= day && day <= e.windowEnd + margin;
+      })
+      .map(e => `${e.constraintId}|${e.message}`)
+  );
+  const before = getErrorKeys(row);
+
   return shiftTypes
     .map(st => st.id)
-    .filter(shiftId => !wouldViolateConstraints(existingShifts, shiftId, constraints, shiftTypes));
+    .filter(shiftId => {
+      if (shiftId === row[day]) return true;
+      const changed = [...row];
+      changed[day] = shiftId;
+      return [...getErrorKeys(changed)].every(key => before.has(key));
+    });
 };
 
 /**
@@ -233,37 +812,57 @@ export const getValidShiftsForPosition = (existingShifts, constraints, shiftType
  * @param {number} pos - Position being mutated (0-indexed)
  * @param {Array<Constraint>} constraints - Active constraints
  * @param {Array<Object>} shiftTypes - Available shift types
+ * @param {ValidationOptions} [options] - Extra validation context (shift groups)
  * @returns {Array<string>} List of valid shift IDs for this position
  */
-export const getValidShiftsForCyclicPosition = (row, pos, constraints, shiftTypes) => {
+export const getValidShiftsForCyclicPosition = (row, pos, constraints, shiftTypes, options = {}) => {
   const colCount = row.length;
   // Window size capped for performance - 2*colCount covers full wrap-around, max 14
   const windowSize = Math.min(colCount * 2, 14);
-  const halfWindow = Math.floor(windowSize / 2);
+  // Window constraints need every N-day window containing the candidate in view
+  const longestWindow = constraints
+    .filter(c => c.enabled && WINDOW_CONSTRAINT_TYPES.includes(c.type))
+    .reduce((max, c) => Math.max(max, c.days || 0), 0);
+  // Short blocks must be seen whole, with a closing neighbour on both sides
+  const longestBlock = constraints
+    .filter(c => c.enabled && BLOCK_CONSTRAINT_TYPES.includes(c.type))
+    .reduce((max, c) => Math.max(max, (c.days || 0) + 1), 0);
+  // Patterns touching the candidate start up to length - 1 days away; one more
+  // day keeps a cut occurrence at the edge of the test sequence clear of it
+  const longestPattern = constraints
+    .filter(c => c.enabled && PATTERN_CONSTRAINT_TYPES.includes(c.type))
+    .reduce((max, c) => Math.max(max, (c.pattern || []).length), 0);
+  const halfWindow = Math.max(Math.floor(windowSize / 2), longestWindow - 1, longestBlock, longestPattern);
+  const blockConstraintIds = new Set(
+    constraints.filter(c => BLOCK_CONSTRAINT_TYPES.includes(c.type)).map(c => c.id)
+  );
+  const validationOptions = {
+    ...options,
+    prepared: options.prepared || prepareValidation(constraints, shiftTypes, options.shiftGroups)
+  };
 
   return shiftTypes
     .map(st => st.id)
     .filter(candidateShift => {
-      // Build test sequence with candidate at center, respecting cyclic wrap
+      // Build test sequence with candidate at center, respecting cyclic wrap;
+      // windows longer than the row see the position again on its other laps,
+      // which hold the candidate too
       const testSequence = [];
-
-      // Add shifts before the position (wrapping from end if needed)
-      for (let i = halfWindow; i > 0; i--) {
-        testSequence.push(row[(pos - i + colCount) % colCount]);
-      }
-
-      // Add the candidate shift at center
-      testSequence.push(candidateShift);
-
-      // Add shifts after the position (wrapping to beginning if needed)
-      for (let i = 1; i <= halfWindow; i++) {
-        testSequence.push(row[(pos + i) % colCount]);
+      for (let i = -halfWindow; i <= halfWindow; i++) {
+        const col = (((pos + i) % colCount) + colCount) % colCount;
+        testSequence.push(col === pos ? candidateShift : row[col]);
       }
 
-      const errors = validateSequenceWithConstraints(testSequence, constraints, shiftTypes);
+      const errors = validateSequenceWithConstraints(testSequence, constraints, shiftTypes, validationOptions);
       const candidatePos = halfWindow;
 
       // Only reject if errors involve positions near the candidate
-      return !errors.some(e => Math.abs(e.day - candidatePos) <= 1);
+      // (or, for window constraints, windows that contain it; for block
+      // constraints, blocks that contain or border it)
+      return !errors.some(e => {
+        if (e.windowStart === undefined) return Math.abs(e.day - candidatePos) <= 1;
+        const margin = blockConstraintIds.has(e.constraintId) ? 1 : 0;
+        return e.windowStart - margin <= candidatePos && candidatePos <= e.windowEnd + margin;
+      });
     });
 };
@@ -0,0 +1,190 @@
+/**
+ * Infeasibility Diagnosis
+ *
+ * When the GA ends with hard violations we only know how many there are.
+ * The diagnosis looks for the smallest group of coverage rules and
+ * constraints whose removal lets a short GA run reach a valid schedule:
+ * the rules violated by the failed schedule are relaxed one at a time,
+ * then in pairs, and so on, within a budget of runs.
+ */
+
+import { solveWithGA } from './optimizer.js';
+import { validateSequenceWithConstraints } from './constraints.js';
+import { checkDayCoverage, getPairingErrors, resolveCoverageRules, getEmployeeSkills } from './evaluator.js';
+import { getFirstDayOfMonth } from '../utils/dates.js';
+
+/**
+ * Default diagnosis parameters (short GA runs)
+ */
+export const DEFAULT_DIAGNOSIS_CONFIG = {
+  POPULATION_SIZE: 40,
+  MAX_GENERATIONS: 300,
+  STAGNATION_LIMIT: 100,
+  TIMEOUT_MS: 20000,
+  LOCAL_SEARCH_TIMEOUT_MS: 2000,
+  MAX_SUBSET_SIZE: 3,
+  MAX_CANDIDATES: 8,
+  MAX_RUNS: 40
+};
+
+/**
+ * @typedef {Object} RelaxedRule
+ * @property {string} kind - 'coverage' | 'constraint'
+ * @property {string} id - Coverage rule or constraint ID
+ * @property {number} violations - Violations of the rule in the failed schedule
+ */
+
+/**
+ * @typedef {Object} DiagnosisResult
+ * @property {boolean} found - A group of rules explaining the failure was found
+ * @property {boolean} feasibleAsIs - The short run already found a valid schedule
+ * @property {Array<RelaxedRule>} relaxed - Smallest group whose removal makes the instance feasible
+ * @property {Array<RelaxedRule>} candidates - Rules violated by the failed schedule, most violated first
+ * @property {number} runs - Solver runs performed
+ */
+
+/**
+ * Count the violations of each coverage rule and constraint in a schedule
+ *
+ * @param {Object<string, Array<string>>} scheduleByEmployee - { empId: shifts[] }
+ * @param {Object} params - Solver params (see solveWithGA)
+ * @returns {Array<RelaxedRule>} Violated rules, most violated first
+ */
+export const getViolatedRules = (scheduleByEmployee, params) => {
+  const {
+    employees,
+    shiftTypes,
+    constraints = [],
+    coverageRules = [],
+    shiftGroups = [],
+    daysInMonth,
+    firstDayOfMonth,
+    holidays = [],
+    previousMonthSchedule
+  } = params;
+  const counts = new Map();
+  const add = (kind, id) => {
+    const key = `${kind}:${id}`;
+    const entry = counts.get(key) || { kind, id, violations: 0 };
+    entry.violations++;
+    counts.set(key, entry);
+  };
+
+  for (const emp of employees) {
+    const shifts = scheduleByEmployee[emp.id];
+    if (!shifts) continue;
+    const errors = validateSequenceWithConstraints(shifts, constraints, shiftTypes, {
+      shiftGroups,
+      firstDayOfMonth,
+      previousShifts: previousMonthSchedule?.[emp.id]
+    });
+    for (const error of errors) add('constraint', error.constraintId);
+  }
+
+  for (const error of getPairingErrors(scheduleByEmployee, constraints, shiftTypes, daysInMonth, { shiftGroups })) {
+    add('constraint', error.constraintId);
+  }
+
+  const resolvedRules = resolveCoverageRules(coverageRules, shiftTypes, shiftGroups);
+  const employeeSkills = getEmployeeSkills(employees);
+  for (let day = 0; day < daysInMonth; day++) {
+    const coverage = checkDayCoverage(scheduleByEmployee, day, resolvedRules, employeeSkills, firstDayOfMonth, holidays);
+    for (const detail of coverage.details) add('coverage', detail.ruleId);
+  }
+
+  return [...counts.values()].sort((a, b) => b.violations - a.violations);
+};
+
+/**
+ * All subsets of a given size, in order of the input
+ *
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+const combinations = (items, size) => {
+  if (size === 0) return [[]];
+  const result = [];
+  items.forEach((item, i) => {
+    for (const rest of combinations(items.slice(i + 1), size - 1)) {
+      result.push([item, ...rest]);
+    }
+  });
+  return result;
+};
+
+/**
+ * Find the smallest group of rules whose removal makes the instance feasible
+ *
+ * @param {Object} params - Solver params, as passed to solveWithGA
+ * @param {Object} [options]
+ * @param {number} [options.populationSize] - GA population of each run
+ * @param {number} [options.maxGenerations] - GA generations of each run
+ * @param {number} [options.stagnationLimit] - GA stagnation limit of each run
+ * @param {number} [options.timeoutMs] - Time limit of each run
+ * @param {number} [options.localSearchTimeoutMs] - Local search budget of each run
+ * @param {number} [options.maxSubsetSize] - Largest group of rules tried
+ * @param {number} [options.maxCandidates] - Most violated rules considered
+ * @param {number} [options.maxRuns] - Total solver runs allowed
+ * @param {Object} [options.weights] - Fitness weights, as in the failed run
+ * @param {Function} [options.onProgress] - Called with { run, maxRuns, subsetSize }
+ * @param {Function} [options.solver] - Runs the solver on the relaxed params (solveWithGA)
+ * @returns {DiagnosisResult}
+ */
+export const diagnoseInfeasibility = (params, options = {}) => {
+  const {
+    populationSize = DEFAULT_DIAGNOSIS_CONFIG.POPULATION_SIZE,
+    maxGenerations = DEFAULT_DIAGNOSIS_CONFIG.MAX_GENERATIONS,
+    stagnationLimit = DEFAULT_DIAGNOSIS_CONFIG.STAGNATION_LIMIT,
+    timeoutMs = DEFAULT_DIAGNOSIS_CONFIG.TIMEOUT_MS,
+    localSearchTimeoutMs = DEFAULT_DIAGNOSIS_CONFIG.LOCAL_SEARCH_TIMEOUT_MS,
+    maxSubsetSize = DEFAULT_DIAGNOSIS_CONFIG.MAX_SUBSET_SIZE,
+    maxCandidates = DEFAULT_DIAGNOSIS_CONFIG.MAX_CANDIDATES,
+    maxRuns = DEFAULT_DIAGNOSIS_CONFIG.MAX_RUNS,
+    weights,
+    onProgress,
+    solver = solveWithGA
+  } = options;
+  const constraints = params.constraints || [];
+  const coverageRules = params.coverageRules || [];
+  let runs = 0;
+
+  const solve = (relaxed) => {
+    runs++;
+    if (onProgress) onProgress({ run: runs, maxRuns, subsetSize: relaxed.length });
+    const isRelaxed = (kind, id) => relaxed.some(rule => rule.kind === kind && rule.id === id);
+    return solver({
+      ...params,
+      constraints: constraints.map(c => (isRelaxed('constraint', c.id) ? { ...c, enabled: false } : c)),
+      coverageRules: coverageRules.filter(rule => !isRelaxed('coverage', rule.id)),
+      options: { populationSize, maxGenerations, stagnationLimit, timeoutMs, localSearchTimeoutMs, weights }
+    });
+  };
+
+  // Short run on the full instance: its best schedule tells which rules to suspect
+  const baseline = solve([]);
+  if (baseline.success) {
+    return { found: true, feasibleAsIs: true, relaxed: [], candidates: [], runs };
+  }
+  const scheduleByEmployee = {};
+  for (const [empId, entry] of Object.entries(baseline.schedule || {})) {
+    scheduleByEmployee[empId] = entry.shifts;
+  }
+  const candidates = getViolatedRules(scheduleByEmployee, {
+    ...params,
+    firstDayOfMonth: getFirstDayOfMonth(params.year, params.month)
+  }).slice(0, maxCandidates);
+
+  for (let size = 1; size <= Math.min(maxSubsetSize, candidates.length); size++) {
+    for (const subset of combinations(candidates, size)) {
+      if (runs >= maxRuns) {
+        return { found: false, feasibleAsIs: false, relaxed: [], candidates, runs };
+      }
+      if (solve(subset).success) {
+        return { found: true, feasibleAsIs: false, relaxed: subset, candidates, runs };
+      }
+    }
+  }
+
+  return { found: false, feasibleAsIs: false, relaxed: [], candidates, runs };
+};
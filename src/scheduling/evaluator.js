@@ -10,7 +10,7 @@
  * The GA fitness.js module delegates to this for validation and applies weights.
  */
 
-import { validateSequenceWithConstraints } from './constraints.js';
+import { validateSequenceWithConstraints, expandShiftIds, prepareValidation } from './constraints.js';
 
 // ============================================
 // TYPE DEFINITIONS
@@ -18,20 +18,21 @@ import { validateSequenceWithConstraints } from './constraints.js';
 
 /**
  * @typedef {Object} ScheduleWarning
- * @property {string} type - 'constraint' | 'coverage' | 'exclusion'
+ * @property {string} type - 'constraint' | 'coverage' | 'exclusion' | 'pairing'
  * @property {string} severity - 'error'
  * @property {number} day - Day number (1-indexed)
  * @property {string|null} employeeId - Employee ID (null for coverage warnings)
  * @property {string|null} employeeName - Employee full name
  * @property {string} constraintId - ID of the violated constraint/rule
  * @property {string} message - Human-readable message
+ * @property {{from: number, to: number}} [range] - Day range (1-indexed) for window constraints
  */
 
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} isValid - True if no hard constraint violations
  * @property {Object} violations - Counts of each violation type
- * @property {Object} metrics - Soft metrics (hours, matrix deviations)
+ * @property {Object} metrics - Soft metrics (hours, matrix deviations, coverage surplus, denied wishes)
  * @property {Array} byEmployee - Per-employee breakdown
  * @property {Array} coverageDetails - Day-by-day coverage details
  */
@@ -52,6 +53,20 @@ const shiftMatches = (shift, targetId) => {
   return shift === targetId || shift.startsWith(targetId + '_');
 };
 
+/**
+ * Build the skill lookup used by skill-aware coverage rules
+ *
+ * @param {Array<Object>} employees - Employee list (with optional skills[])
+ * @returns {Object<string, Array<string>>} { empId: skills[] }
+ */
+export const getEmployeeSkills = (employees) => {
+  const skills = {};
+  for (const emp of employees || []) {
+    skills[emp.id] = emp.skills || [];
+  }
+  return skills;
+};
+
 /**
  * Normalize schedule to consistent format: { empId: shifts[] }
  *
@@ -82,10 +97,11 @@ const normalizeSchedule = (schedule) => {
  * @param {Array<string>} shifts - Employee's shifts for the period
  * @param {Array<Object>} constraints - Constraint definitions
  * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @param {Object} [options] - Validation options (shiftGroups)
  * @returns {number} Number of violations
  */
-export const countConstraintViolations = (shifts, constraints, shiftTypes) => {
-  const errors = validateSequenceWithConstraints(shifts, constraints, shiftTypes);
+export const countConstraintViolations = (shifts, constraints, shiftTypes, options = {}) => {
+  const errors = validateSequenceWithConstraints(shifts, constraints, shiftTypes, options);
   return errors.length;
 };
 
@@ -95,10 +111,11 @@ export const countConstraintViolations = (shifts, constraints, shiftTypes) => {
  * @param {Array<string>} shifts - Employee's shifts
  * @param {Array<Object>} constraints - Constraint definitions
  * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @param {Object} [options] - Validation options (shiftGroups)
  * @returns {Array<{day: number, constraintId: string, message: string}>}
  */
-export const getConstraintErrors = (shifts, constraints, shiftTypes) => {
-  return validateSequenceWithConstraints(shifts, constraints, shiftTypes);
+export const getConstraintErrors = (shifts, constraints, shiftTypes, options = {}) => {
+  return validateSequenceWithConstraints(shifts, constraints, shiftTypes, options);
 };
 
 /**
@@ -117,31 +134,206 @@ export const countExclusionViolations = (shifts, excludedShifts) => {
 };
 
 /**
- * Check coverage for a single day (EXACT constraint - penalizes under AND over)
+ * Expand shift group references in coverage rules into concrete shift IDs
  *
- * @param {Object<string, Array<string>>} scheduleByEmployee - { empId: shifts[] }
- * @param {number} day - Day index (0-based)
  * @param {Array<Object>} coverageRules - Coverage rule definitions
- * @returns {{violations: number, details: Array}}
+ * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @param {Array<Object>} shiftGroups - Shift group definitions
+ * @returns {Array<Object>} Coverage rules with concrete shiftIds
  */
-export const checkDayCoverage = (scheduleByEmployee, day, coverageRules) => {
-  if (!coverageRules || !Array.isArray(coverageRules)) {
-    return { violations: 0, details: [] };
+export const resolveCoverageRules = (coverageRules, shiftTypes, shiftGroups) => {
+  if (!coverageRules || !Array.isArray(coverageRules)) return [];
+  if (!shiftGroups || shiftGroups.length === 0) return coverageRules;
+  return coverageRules.map(rule => ({
+    ...rule,
+    shiftIds: expandShiftIds(rule.shiftIds, shiftTypes, shiftGroups)
+  }));
+};
+
+/**
+ * Check whether a coverage rule applies to a given day.
+ * Rules may be scoped to weekdays (`weekdays`, 0 = Monday) and to specific
+ * days of the month (`days` / `exceptDays`, 0-based, see applyCoverageOverrides).
+ * Weekday-scoped rules are skipped when the calendar is unknown.
+ * Holidays count as Sundays, so they get Sunday-level staffing.
+ *
+ * @param {Object} rule - Coverage rule
+ * @param {number} day - Day index (0-based)
+ * @param {number} [firstDayOfMonth] - Weekday of day 0 (0 = Monday)
+ * @param {Array<number>} [holidays] - Holiday day indices (0-based)
+ * @returns {boolean}
+ */
+export const isCoverageRuleActive = (rule, day, firstDayOfMonth, holidays = []) => {
+  if (rule.days && !rule.days.includes(day)) return false;
+  if (rule.exceptDays && rule.exceptDays.includes(day)) return false;
+  if (rule.weekdays && rule.weekdays.length > 0) {
+    if (firstDayOfMonth === undefined || firstDayOfMonth === null) return false;
+    const weekday = holidays.includes(day) ? 6 : (firstDayOfMonth + day) % 7;
+    return rule.weekdays.includes(weekday);
   }
+  return true;
+};
 
-  // Count shifts for this day
+/**
+ * Apply per-date coverage overrides for a given month.
+ * Each override ({ date: 'YYYY-MM-DD', shiftIds, min, max?, skill? }) becomes a rule
+ * scoped to that day; regular rules on the same shifts (and skill) are suspended
+ * on that day, so an override replaces them instead of adding up.
+ *
+ * @param {Array<Object>} coverageRules - Facility coverage rules
+ * @param {Array<Object>} coverageOverrides - Date-specific overrides
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {Array<Object>} Coverage rules for the month
+ */
+export const applyCoverageOverrides = (coverageRules, coverageOverrides, year, month) => {
+  const rules = coverageRules || [];
+  if (!coverageOverrides || coverageOverrides.length === 0) return rules;
+
+  const shiftKey = (rule) => `${[...rule.shiftIds].sort().join(',')}|${rule.skill || ''}`;
+  const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}-`;
+  const exceptDays = {};
+  const overrideRules = [];
+
+  for (const override of coverageOverrides) {
+    if (override.enabled === false || !override.date?.startsWith(monthPrefix)) continue;
+    const day = parseInt(override.date.slice(monthPrefix.length), 10) - 1;
+    if (Number.isNaN(day) || day < 0) continue;
+
+    const key = shiftKey(override);
+    exceptDays[key] = [...(exceptDays[key] || []), day];
+    const { date, ...rule } = override;
+    overrideRules.push({ ...rule, days: [day] });
+  }
+
+  return [
+    ...rules.map(rule => {
+      const days = exceptDays[shiftKey(rule)];
+      return days ? { ...rule, exceptDays: [...(rule.exceptDays || []), ...days] } : rule;
+    }),
+    ...overrideRules
+  ];
+};
+
+/**
+ * Get the accepted staffing range of a coverage rule.
+ * Rules without `max` are exact (legacy behavior), `max: null` means no upper bound.
+ *
+ * @param {Object} rule - Coverage rule
+ * @returns {{min: number, max: number}}
+ */
+export const getCoverageRange = (rule) => {
+  const min = rule.min || 0;
+  if (rule.max === undefined) return { min, max: min };
+  if (rule.max === null) return { min, max: Infinity };
+  return { min, max: Math.max(min, rule.max) };
+};
+
+/**
+ * Format a coverage range for messages (e.g. "2", "2-3", "2+")
+ *
+ * @param {{min: number, max: number}} range
+ * @returns {string}
+ */
+export const formatCoverageRange = ({ min, max }) => {
+  if (max === min) return `${min}`;
+  if (max === Infinity) return `${min}+`;
+  return `${min}-${max}`;
+};
+
+/**
+ * Count the shifts worked on a day, overall and by skill
+ *
+ * @param {Object<string, Array<string>>} scheduleByEmployee - { empId: shifts[] }
+ * @param {number} day - Day index (0-based)
+ * @param {Object<string, Array<string>>} [employeeSkills] - { empId: skills[] }
+ * @returns {{counts: Object<string, number>, skillCounts: Object<string, Object<string, number>>}}
+ *   counts[shiftId] and skillCounts[skill][shiftId]
+ */
+export const countDayShifts = (scheduleByEmployee, day, employeeSkills = {}) => {
   const counts = {};
-  for (const shifts of Object.values(scheduleByEmployee)) {
+  const skillCounts = {};
+  for (const [empId, shifts] of Object.entries(scheduleByEmployee)) {
     const shift = shifts[day];
     if (!shift) continue;
     counts[shift] = (counts[shift] || 0) + 1;
+    for (const skill of employeeSkills[empId] || []) {
+      if (!skillCounts[skill]) skillCounts[skill] = {};
+      skillCounts[skill][shift] = (skillCounts[skill][shift] || 0) + 1;
+    }
+  }
+  return { counts, skillCounts };
+};
+
+/**
+ * Check coverage for a single day
+ * Only rules active on that day are checked (see isCoverageRuleActive).
+ * Staffing below `min` or above `max` is a violation (see getCoverageRange);
+ * staff above `min` but within `max` is counted as surplus, a soft cost.
+ * Rules must reference concrete shift IDs (see resolveCoverageRules).
+ * Rules with a `skill` only count employees holding that skill and are
+ * minimums on top of headcount: only shortages are penalized.
+ *
+ * @param {Object<string, Array<string>>} scheduleByEmployee - { empId: shifts[] }
+ * @param {number} day - Day index (0-based)
+ * @param {Array<Object>} coverageRules - Coverage rule definitions
+ * @param {Object<string, Array<string>>} [employeeSkills] - { empId: skills[] }
+ * @param {number} [firstDayOfMonth] - Weekday of day 0 (0 = Monday), for weekday-scoped rules
+ * @param {Array<number>} [holidays] - Holiday day indices (0-based)
+ * @returns {{violations: number, surplus: number, details: Array}}
+ */
+export const checkDayCoverage = (scheduleByEmployee, day, coverageRules, employeeSkills = {}, firstDayOfMonth, holidays = []) => {
+  const { counts, skillCounts } = countDayShifts(scheduleByEmployee, day, employeeSkills);
+  return checkCoverageCounts(counts, skillCounts, day, coverageRules, firstDayOfMonth, holidays);
+};
+
+/**
+ * Check coverage for a single day from its shift counts (see countDayShifts)
+ * Same rules as checkDayCoverage, for callers that keep the counts up to date.
+ *
+ * @param {Object<string, number>} counts - Shifts worked by shift ID
+ * @param {Object<string, Object<string, number>>} skillCounts - Shifts worked by skill and shift ID
+ * @param {number} day - Day index (0-based)
+ * @param {Array<Object>} coverageRules - Coverage rule definitions
+ * @param {number} [firstDayOfMonth] - Weekday of day 0 (0 = Monday)
+ * @param {Array<number>} [holidays] - Holiday day indices (0-based)
+ * @returns {{violations: number, surplus: number, details: Array}}
+ */
+export const checkCoverageCounts = (counts, skillCounts, day, coverageRules, firstDayOfMonth, holidays = []) => {
+  if (!coverageRules || !Array.isArray(coverageRules)) {
+    return { violations: 0, surplus: 0, details: [] };
   }
 
   let violations = 0;
+  let surplus = 0;
   const details = [];
 
   for (const rule of coverageRules) {
     if (rule.enabled === false || rule.min <= 0) continue;
+    if (!isCoverageRuleActive(rule, day, firstDayOfMonth, holidays)) continue;
+
+    if (rule.skill) {
+      const qualified = skillCounts[rule.skill] || {};
+      let actual = 0;
+      for (const shiftId of rule.shiftIds) {
+        actual += (qualified[shiftId] || 0);
+      }
+      if (actual < rule.min) {
+        const deviation = rule.min - actual;
+        violations += deviation;
+        details.push({
+          day,
+          ruleId: rule.id,
+          shiftIds: rule.shiftIds,
+          skill: rule.skill,
+          required: rule.min,
+          actual,
+          deviation,
+          type: 'under'
+        });
+      }
+      continue;
+    }
 
     // Sum counts for all allowed shifts in this rule
     let actual = 0;
@@ -149,23 +341,27 @@ export const checkDayCoverage = (scheduleByEmployee, day, coverageRules) => {
       actual += (counts[shiftId] || 0);
     }
 
-    // Exact constraint: penalize both under-coverage and over-coverage
-    if (actual !== rule.min) {
-      const deviation = Math.abs(rule.min - actual);
+    const range = getCoverageRange(rule);
+    if (actual < range.min || actual > range.max) {
+      const deviation = actual < range.min ? range.min - actual : actual - range.max;
       violations += deviation;
       details.push({
         day,
         ruleId: rule.id,
         shiftIds: rule.shiftIds,
-        required: rule.min,
+        required: formatCoverageRange(range),
+        min: range.min,
+        max: range.max,
         actual,
         deviation,
-        type: actual < rule.min ? 'under' : 'over'
+        type: actual < range.min ? 'under' : 'over'
       });
+    } else {
+      surplus += actual - range.min;
     }
   }
 
-  return { violations, details };
+  return { violations, surplus, details };
 };
 
 /**
@@ -179,7 +375,7 @@ export const checkDayCoverage = (scheduleByEmployee, day, coverageRules) => {
  * @returns {{worked: number, expected: number, deviation: number, penalty: number}}
  */
 export const calculateHoursDeviation = (shifts, employee, shiftTypes, daysInMonth, weights = {}) => {
-  // Calculate actual worked hours
+  // Calculate actual worked hours (absence types in shiftTypes credit their hours)
   const worked = shifts.reduce((total, shiftId) => {
     const shiftType = shiftTypes.find(s => s.id === shiftId || shiftMatches(shiftId, s.id));
     return total + (shiftType?.hours || 0);
@@ -204,6 +400,46 @@ export const calculateHoursDeviation = (shifts, employee, shiftTypes, daysInMont
   return { worked, expected, deviation, penalty };
 };
 
+/**
+ * Count the granted wishes of an employee
+ * A 'prefer' wish is granted when the day has that shift, an 'avoid'
+ * wish when it does not.
+ *
+ * @param {Array<string>} shifts - Employee's shifts
+ * @param {Array<{day: number, shiftId: string, type: string}>} wishes - Employee's month wishes
+ * @returns {{granted: number, total: number}}
+ */
+export const countWishesGranted = (shifts, wishes = []) => {
+  let granted = 0;
+  let total = 0;
+
+  for (const wish of wishes) {
+    if (wish.day >= shifts.length) continue;
+    const matches = shiftMatches(shifts[wish.day], wish.shiftId);
+    if (wish.type === 'avoid' ? !matches : matches) granted++;
+    total++;
+  }
+
+  return { granted, total };
+};
+
+/**
+ * Count worked shifts (hours > 0) falling on holidays
+ *
+ * @param {Array<string>} shifts - Employee's shifts
+ * @param {Array<Object>} shiftTypes - Shift definitions with hours
+ * @param {Array<number>} holidays - Holiday day indices (0-based)
+ * @returns {number}
+ */
+export const countHolidaysWorked = (shifts, shiftTypes, holidays = []) => {
+  let count = 0;
+  for (const day of holidays) {
+    const shiftType = shiftTypes.find(s => s.id === shifts[day] || shiftMatches(shifts[day], s.id));
+    if (shiftType?.hours > 0 && !shiftType.absence) count++;
+  }
+  return count;
+};
+
 /**
  * Count deviations from the base matrix pattern
  *
@@ -226,6 +462,96 @@ export const countMatrixDeviations = (shifts, baselineShifts) => {
   return deviations;
 };
 
+// ============================================
+// CROSS-EMPLOYEE (PAIRING) CONSTRAINTS
+// ============================================
+
+/**
+ * Constraint types relating several employees on the same day
+ * They live in the constraints list but are ignored by the per-sequence validator.
+ */
+export const PAIRING_CONSTRAINT_TYPES = ['max_together', 'always_together'];
+
+/**
+ * Resolve a shift (or variant like N_1) to the ID of its shift type
+ *
+ * @param {string} shift - Shift ID
+ * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @returns {string} Base shift type ID, or the shift itself if unknown
+ */
+const getBaseShiftId = (shift, shiftTypes) => {
+  return shiftTypes.find(s => shiftMatches(shift, s.id))?.id || shift;
+};
+
+/**
+ * Validate constraints relating several employees on the same day
+ *
+ * - max_together: at most `count` of `employees` work a shift from `shifts`
+ * - always_together: when `employees[0]` works a shift from `shifts`, at least
+ *   one of the other employees works the same shift that day
+ *
+ * @param {Object<string, Array<string>>} scheduleByEmployee - { empId: shifts[] }
+ * @param {Array<Object>} constraints - Constraint definitions (non-pairing types are skipped)
+ * @param {Array<Object>} shiftTypes - Shift type definitions
+ * @param {number} daysInMonth - Days in the period
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.shiftGroups] - Shift groups referenced by the constraints
+ * @param {Object<string, string>} [options.employeeNames] - Display names for messages
+ * @returns {Array<{day: number, constraintId: string, employeeIds: Array<string>, message: string}>}
+ */
+export const getPairingErrors = (scheduleByEmployee, constraints, shiftTypes, daysInMonth, options = {}) => {
+  const { shiftGroups = [], employeeNames = {} } = options;
+  const nameOf = (id) => employeeNames[id] || id;
+  const errors = [];
+
+  for (const constraint of constraints) {
+    if (!constraint.enabled || !PAIRING_CONSTRAINT_TYPES.includes(constraint.type)) continue;
+
+    const shiftSet = expandShiftIds(constraint.shifts, shiftTypes, shiftGroups);
+    if (shiftSet.length === 0) continue;
+    const inSet = (shift) => shiftSet.some(id => shiftMatches(shift, id));
+    const setLabel = (constraint.shifts || []).join('/');
+
+    if (constraint.type === 'max_together') {
+      const employeeIds = (constraint.employees || []).filter(id => scheduleByEmployee[id]);
+      const maxCount = constraint.count ?? 1;
+      if (employeeIds.length <= maxCount) continue;
+
+      for (let day = 0; day < daysInMonth; day++) {
+        const together = employeeIds.filter(id => inSet(scheduleByEmployee[id][day]));
+        if (together.length > maxCount) {
+          errors.push({
+            day,
+            constraintId: constraint.id,
+            employeeIds: together,
+            message: `Giorno ${day + 1}: ${together.map(nameOf).join(', ')} insieme in ${setLabel}, massimo ${maxCount}`
+          });
+        }
+      }
+    } else {
+      const [traineeId, ...others] = constraint.employees || [];
+      const mentorIds = others.filter(id => scheduleByEmployee[id]);
+      if (!scheduleByEmployee[traineeId] || mentorIds.length === 0) continue;
+
+      for (let day = 0; day < daysInMonth; day++) {
+        const shift = scheduleByEmployee[traineeId][day];
+        if (!inSet(shift)) continue;
+        const baseId = getBaseShiftId(shift, shiftTypes);
+        if (!mentorIds.some(id => shiftMatches(scheduleByEmployee[id][day], baseId))) {
+          errors.push({
+            day,
+            constraintId: constraint.id,
+            employeeIds: [traineeId],
+            message: `Giorno ${day + 1}: ${nameOf(traineeId)} in ${baseId} senza ${mentorIds.map(nameOf).join(' o ')}`
+          });
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
 // ============================================
 // UNIFIED VALIDATION
 // ============================================
@@ -242,9 +568,16 @@ export const countMatrixDeviations = (shifts, baselineShifts) => {
  * @param {Array<Object>} context.shiftTypes - Shift type definitions
  * @param {Array<Object>} context.constraints - Constraint definitions
  * @param {Array<Object>} context.coverageRules - Coverage rule definitions
+ * @param {Array<Object>} context.shiftGroups - Shift groups referenced by constraints/rules (optional)
  * @param {Object<string, Array<string>>} context.baselineShifts - Matrix-derived baseline (optional)
  * @param {number} context.daysInMonth - Number of days in the period
+ * @param {number} context.firstDayOfMonth - Weekday of day 0 (0 = Monday), enables weekend rules (optional)
+ * @param {Object<string, Array<string>>} context.previousMonthSchedule - Previous month shifts by employee (optional)
+ * @param {Array<number>} context.holidays - Holiday day indices, 0-based (optional)
+ * @param {Object} context.wishes - Month wishes by employee ID, see preferences.js (optional)
  * @param {Object} context.weights - Optional penalty weights for hours calculation
+ * @param {Object} context.preparedValidation - Result of prepareValidation for these
+ *   constraints, shift types and groups (optional, built once per call otherwise)
  * @returns {ValidationResult}
  */
 export const validateSchedule = (schedule, context) => {
@@ -253,66 +586,131 @@ export const validateSchedule = (schedule, context) => {
     shiftTypes = [],
     constraints = [],
     coverageRules = [],
-    baselineShifts = {},
+    shiftGroups = [],
     daysInMonth = 28,
-    weights = {}
+    firstDayOfMonth,
+    holidays = []
   } = context;
 
   // Normalize schedule to consistent format
   const normalizedSchedule = normalizeSchedule(schedule);
+  const resolvedCoverageRules = resolveCoverageRules(coverageRules, shiftTypes, shiftGroups);
+  const employeeSkills = getEmployeeSkills(employees);
 
+  const employeeContext = context.preparedValidation
+    ? context
+    : { ...context, preparedValidation: prepareValidation(constraints, shiftTypes, shiftGroups) };
+  const byEmployee = [];
+  for (const emp of employees) {
+    const shifts = normalizedSchedule[emp.id];
+    if (!shifts || shifts.length === 0) continue;
+    byEmployee.push(evaluateEmployeeSchedule(emp, shifts, employeeContext));
+  }
+
+  const dayCoverages = [];
+  for (let day = 0; day < daysInMonth; day++) {
+    dayCoverages.push(checkDayCoverage(
+      normalizedSchedule, day, resolvedCoverageRules, employeeSkills, firstDayOfMonth, holidays
+    ));
+  }
+
+  const pairingViolations = getPairingErrors(
+    normalizedSchedule, constraints, shiftTypes, daysInMonth, { shiftGroups }
+  ).length;
+
+  return buildValidationResult(byEmployee, dayCoverages, pairingViolations);
+};
+
+/**
+ * Validate one employee's row (the per-employee part of validateSchedule)
+ *
+ * @param {Object} emp - Employee
+ * @param {Array<string>} shifts - Employee's shifts for the month
+ * @param {Object} context - Same context as validateSchedule
+ * @returns {Object} Entry of ValidationResult.byEmployee
+ */
+export const evaluateEmployeeSchedule = (emp, shifts, context) => {
+  const {
+    shiftTypes = [],
+    constraints = [],
+    shiftGroups = [],
+    baselineShifts = {},
+    daysInMonth = 28,
+    firstDayOfMonth,
+    previousMonthSchedule = null,
+    holidays = [],
+    wishes = {},
+    weights = {},
+    preparedValidation
+  } = context;
+
+  const constraintViolations = countConstraintViolations(shifts, constraints, shiftTypes, {
+    shiftGroups,
+    firstDayOfMonth,
+    previousShifts: previousMonthSchedule?.[emp.id],
+    prepared: preparedValidation
+  });
+  const hoursResult = calculateHoursDeviation(shifts, emp, shiftTypes, daysInMonth, weights);
+  const wishResult = countWishesGranted(shifts, wishes[emp.id]);
+
+  return {
+    employeeId: emp.id,
+    name: `${emp.surname || ''} ${emp.name || ''}`.trim() || emp.id,
+    constraintViolations,
+    exclusionViolations: countExclusionViolations(shifts, emp.excludedShifts),
+    hoursWorked: hoursResult.worked,
+    hoursExpected: hoursResult.expected,
+    hoursDeviation: hoursResult.deviation,
+    hoursPenalty: hoursResult.penalty,
+    matrixDeviations: baselineShifts[emp.id]
+      ? countMatrixDeviations(shifts, baselineShifts[emp.id])
+      : 0,
+    holidaysWorked: countHolidaysWorked(shifts, shiftTypes, holidays),
+    wishesGranted: wishResult.granted,
+    wishesTotal: wishResult.total
+  };
+};
+
+/**
+ * Sum per-employee and per-day results into a ValidationResult
+ *
+ * @param {Array<Object>} byEmployee - evaluateEmployeeSchedule results
+ * @param {Array<{violations: number, surplus: number, details: Array}>} dayCoverages - Coverage of each day
+ * @param {number} pairingViolations - Cross-employee violations
+ * @returns {ValidationResult}
+ */
+export const buildValidationResult = (byEmployee, dayCoverages, pairingViolations) => {
   const result = {
     isValid: true,
     violations: {
       constraint: 0,
       coverage: 0,
-      exclusion: 0
+      exclusion: 0,
+      pairing: pairingViolations
     },
     metrics: {
       hoursDeviation: 0,
       hoursPenalty: 0,
-      matrixDeviations: 0
+      matrixDeviations: 0,
+      coverageSurplus: 0,
+      wishesDenied: 0
     },
-    byEmployee: [],
+    byEmployee,
     coverageDetails: []
   };
 
-  // Per-employee validation
-  for (const emp of employees) {
-    const shifts = normalizedSchedule[emp.id];
-    if (!shifts || shifts.length === 0) continue;
-
-    const constraintViolations = countConstraintViolations(shifts, constraints, shiftTypes);
-    const exclusionViolations = countExclusionViolations(shifts, emp.excludedShifts);
-    const hoursResult = calculateHoursDeviation(shifts, emp, shiftTypes, daysInMonth, weights);
-    const matrixDevs = baselineShifts[emp.id]
-      ? countMatrixDeviations(shifts, baselineShifts[emp.id])
-      : 0;
-
-    const empResult = {
-      employeeId: emp.id,
-      name: `${emp.surname || ''} ${emp.name || ''}`.trim() || emp.id,
-      constraintViolations,
-      exclusionViolations,
-      hoursWorked: hoursResult.worked,
-      hoursExpected: hoursResult.expected,
-      hoursDeviation: hoursResult.deviation,
-      hoursPenalty: hoursResult.penalty,
-      matrixDeviations: matrixDevs
-    };
-
-    result.violations.constraint += constraintViolations;
-    result.violations.exclusion += exclusionViolations;
-    result.metrics.hoursDeviation += Math.abs(hoursResult.deviation);
-    result.metrics.hoursPenalty += hoursResult.penalty;
-    result.metrics.matrixDeviations += matrixDevs;
-    result.byEmployee.push(empResult);
+  for (const empResult of byEmployee) {
+    result.violations.constraint += empResult.constraintViolations;
+    result.violations.exclusion += empResult.exclusionViolations;
+    result.metrics.hoursDeviation += Math.abs(empResult.hoursDeviation);
+    result.metrics.hoursPenalty += empResult.hoursPenalty;
+    result.metrics.matrixDeviations += empResult.matrixDeviations;
+    result.metrics.wishesDenied += empResult.wishesTotal - empResult.wishesGranted;
   }
 
-  // Coverage validation
-  for (let day = 0; day < daysInMonth; day++) {
-    const coverage = checkDayCoverage(normalizedSchedule, day, coverageRules);
+  for (const coverage of dayCoverages) {
     result.violations.coverage += coverage.violations;
+    result.metrics.coverageSurplus += coverage.surplus;
     if (coverage.violations > 0) {
       result.coverageDetails.push(...coverage.details);
     }
@@ -322,7 +720,8 @@ export const validateSchedule = (schedule, context) => {
   result.isValid = (
     result.violations.constraint === 0 &&
     result.violations.coverage === 0 &&
-    result.violations.exclusion === 0
+    result.violations.exclusion === 0 &&
+    result.violations.pairing === 0
   );
 
   return result;
@@ -344,7 +743,11 @@ export const validateSchedule = (schedule, context) => {
  * @param {Array} params.shiftTypes - Shift type definitions
  * @param {Array} params.constraints - Constraint definitions
  * @param {Array} params.coverageRules - Coverage rule definitions
+ * @param {Array} [params.shiftGroups] - Shift group definitions
  * @param {number} params.daysInMonth - Number of days in the month
+ * @param {number} [params.firstDayOfMonth] - Weekday of day 0 (0 = Monday)
+ * @param {Object} [params.previousMonthSchedule] - Previous month shifts by employee
+ * @param {Array<number>} [params.holidays] - Holiday day indices (0-based)
  * @returns {{warnings: Array<ScheduleWarning>, summary: Object}}
  */
 export const evaluateSchedule = ({
@@ -353,7 +756,11 @@ export const evaluateSchedule = ({
   shiftTypes,
   constraints,
   coverageRules,
-  daysInMonth
+  shiftGroups = [],
+  daysInMonth,
+  firstDayOfMonth,
+  previousMonthSchedule = null,
+  holidays = []
 }) => {
   if (!schedule || Object.keys(schedule).length === 0) {
     return { warnings: [], summary: { totalWarnings: 0, isValid: true } };
@@ -365,11 +772,16 @@ export const evaluateSchedule = ({
     shiftTypes,
     constraints,
     coverageRules,
-    daysInMonth
+    shiftGroups,
+    daysInMonth,
+    firstDayOfMonth,
+    previousMonthSchedule,
+    holidays
   });
 
   const warnings = [];
   const normalizedSchedule = normalizeSchedule(schedule);
+  const prepared = prepareValidation(constraints, shiftTypes, shiftGroups);
 
   // Format constraint violations as warnings
   for (const emp of employees) {
@@ -379,9 +791,14 @@ export const evaluateSchedule = ({
     const empName = `${emp.surname || ''} ${emp.name || ''}`.trim() || emp.id;
 
     // Constraint warnings (get detailed errors for messages)
-    const errors = getConstraintErrors(shifts, constraints, shiftTypes);
+    const errors = getConstraintErrors(shifts, constraints, shiftTypes, {
+      shiftGroups,
+      firstDayOfMonth,
+      previousShifts: previousMonthSchedule?.[emp.id],
+      prepared
+    });
     for (const error of errors) {
-      warnings.push({
+      const warning = {
         type: 'constraint',
         severity: 'error',
         day: error.day + 1, // Convert to 1-indexed
@@ -389,7 +806,11 @@ export const evaluateSchedule = ({
         employeeName: empName,
         constraintId: error.constraintId,
         message: `${empName}: ${error.message}`
-      });
+      };
+      if (error.windowStart !== undefined) {
+        warning.range = { from: error.windowStart + 1, to: error.windowEnd + 1 };
+      }
+      warnings.push(warning);
     }
 
     // Exclusion warnings
@@ -415,7 +836,9 @@ export const evaluateSchedule = ({
   // Coverage warnings
   for (const detail of validation.coverageDetails) {
     const shiftsStr = detail.shiftIds.join(' o ');
-    const message = detail.type === 'under'
+    const message = detail.skill
+      ? `Giorno ${detail.day + 1}: manca${detail.deviation > 1 ? 'no' : ''} ${detail.deviation} ${detail.skill} in ${shiftsStr} (richiesti: ${detail.required}, presenti: ${detail.actual})`
+      : detail.type === 'under'
       ? `Giorno ${detail.day + 1}: mancano ${detail.deviation} coperture per ${shiftsStr} (richiesti: ${detail.required}, presenti: ${detail.actual})`
       : `Giorno ${detail.day + 1}: ${detail.deviation} coperture in eccesso per ${shiftsStr} (richiesti: ${detail.required}, presenti: ${detail.actual})`;
 
@@ -430,10 +853,30 @@ export const evaluateSchedule = ({
     });
   }
 
+  // Pairing warnings
+  const employeeNames = {};
+  for (const emp of employees) {
+    employeeNames[emp.id] = `${emp.surname || ''} ${emp.name || ''}`.trim() || emp.id;
+  }
+  const pairingErrors = getPairingErrors(
+    normalizedSchedule, constraints, shiftTypes, daysInMonth, { shiftGroups, employeeNames }
+  );
+  for (const error of pairingErrors) {
+    warnings.push({
+      type: 'pairing',
+      severity: 'error',
+      day: error.day + 1,
+      employeeId: error.employeeIds[0] || null,
+      employeeName: employeeNames[error.employeeIds[0]] || null,
+      constraintId: error.constraintId,
+      message: error.message
+    });
+  }
+
   // Sort warnings by day, then by type
   warnings.sort((a, b) => {
     if (a.day !== b.day) return a.day - b.day;
-    const typeOrder = { exclusion: 0, constraint: 1, coverage: 2 };
+    const typeOrder = { exclusion: 0, constraint: 1, pairing: 2, coverage: 3 };
     return (typeOrder[a.type] || 0) - (typeOrder[b.type] || 0);
   });
 
@@ -444,6 +887,10 @@ export const evaluateSchedule = ({
       constraintViolations: validation.violations.constraint,
       coverageViolations: validation.violations.coverage,
       exclusionViolations: validation.violations.exclusion,
+      pairingViolations: validation.violations.pairing,
+      holidaysWorked: Object.fromEntries(
+        validation.byEmployee.map(emp => [emp.employeeId, emp.holidaysWorked])
+      ),
       isValid: validation.isValid
     }
   };
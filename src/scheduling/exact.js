@@ -0,0 +1,194 @@
+/**
+ * Exact Schedule Search
+ *
+ * Complete backtracking search for small wards (up to about 15 employees).
+ * Days are filled in order and, within a day, employees with the fewest
+ * valid shifts go first. Each employee's domain comes from
+ * getValidShiftsForPosition on its own prefix (plus exclusions and locked
+ * cells); after every assignment the day's coverage is forward checked
+ * against the domains still open. The search either finds a schedule with
+ * no hard violations or exhausts the space, which proves none exists.
+ *
+ * Soft objectives (hours, matrix, wishes) are not optimized: the baseline
+ * shift is only tried first, so solutions stay close to the matrix.
+ */
+
+import {
+  getValidShiftsForPosition,
+  wouldViolateConstraints,
+  validateSequenceWithConstraints,
+  prepareValidation
+} from './constraints.js';
+import {
+  resolveCoverageRules,
+  getEmployeeSkills,
+  getCoverageRange,
+  isCoverageRuleActive,
+  getPairingErrors
+} from './evaluator.js';
+
+/**
+ * Default exact search parameters
+ */
+export const DEFAULT_EXACT_CONFIG = {
+  MAX_EMPLOYEES: 15,
+  TIMEOUT_MS: 60000
+};
+
+// Thrown to unwind the recursion when the time limit is hit
+const TIMEOUT = Symbol('timeout');
+
+const isExcluded = (shiftId, excludedShifts = []) =>
+  excludedShifts.some(excluded => shiftId === excluded || shiftId.startsWith(excluded + '_'));
+
+/**
+ * @typedef {Object} ExactSearchResult
+ * @property {string} status - 'solved' | 'infeasible' (search space exhausted) | 'timeout'
+ * @property {Object<string, Array<string>>|null} schedule - { empId: shifts[] } when solved
+ * @property {number} nodes - Assignments tried
+ * @property {number} timeMs
+ */
+
+/**
+ * Search a schedule with zero hard violations
+ *
+ * @param {Object} context
+ * @param {number} context.daysInMonth
+ * @param {number} [context.firstDayOfMonth] - Weekday of day 0 (0 = Monday)
+ * @param {Array<Object>} context.employees
+ * @param {Array<Object>} context.shiftTypes - Shift types (absence types only appear through locks)
+ * @param {Array<Object>} context.constraints
+ * @param {Array<Object>} context.coverageRules
+ * @param {Array<Object>} [context.shiftGroups]
+ * @param {Array<number>} [context.holidays] - Holiday day indices (0-based)
+ * @param {Object} [context.lockedShifts] - Cells that keep their value, { empId: { day: shiftId } }
+ * @param {Object} [context.previousMonthSchedule] - Previous month shifts by employee
+ * @param {Object<string, Array<string>>} [context.baselineShifts] - Shift tried first for each cell
+ * @param {number} [context.timeoutMs]
+ * @returns {ExactSearchResult}
+ */
+export const searchExactSchedule = ({
+  daysInMonth,
+  firstDayOfMonth,
+  employees,
+  shiftTypes,
+  constraints,
+  coverageRules,
+  shiftGroups = [],
+  holidays = [],
+  lockedShifts = {},
+  previousMonthSchedule = null,
+  baselineShifts = {},
+  timeoutMs = DEFAULT_EXACT_CONFIG.TIMEOUT_MS
+}) => {
+  const startTime = Date.now();
+  const absenceIds = new Set(shiftTypes.filter(s => s.absence).map(s => s.id));
+  const employeeSkills = getEmployeeSkills(employees);
+  const rules = resolveCoverageRules(coverageRules, shiftTypes, shiftGroups)
+    .filter(rule => rule.enabled !== false && rule.min > 0);
+  const dayRules = Array.from({ length: daysInMonth }, (_, day) => rules
+    .filter(rule => isCoverageRuleActive(rule, day, firstDayOfMonth, holidays))
+    // Skill rules are minimums on top of headcount (see checkCoverageCounts)
+    .map(rule => ({ ...rule, range: rule.skill ? { min: rule.min, max: Infinity } : getCoverageRange(rule) })));
+
+  const schedule = {};
+  const validationOptions = {};
+  const prepared = prepareValidation(constraints, shiftTypes, shiftGroups);
+  for (const emp of employees) {
+    schedule[emp.id] = [];
+    validationOptions[emp.id] = {
+      shiftGroups,
+      firstDayOfMonth,
+      previousShifts: previousMonthSchedule?.[emp.id],
+      prepared
+    };
+  }
+  let nodes = 0;
+
+  // Valid shifts for an employee on a day, given its own prefix
+  const domainOf = (emp, day) => {
+    const prefix = schedule[emp.id];
+    const options = validationOptions[emp.id];
+    const locked = lockedShifts[emp.id]?.[day];
+    let domain = locked !== undefined
+      ? [locked].filter(id => !wouldViolateConstraints(prefix, id, constraints, shiftTypes, options))
+      : getValidShiftsForPosition(prefix, constraints, shiftTypes, options)
+        .filter(id => !absenceIds.has(id) && !isExcluded(id, emp.excludedShifts));
+
+    // The last day closes the row: month-level rules are checked on the whole of it
+    if (day === daysInMonth - 1) {
+      domain = domain.filter(id =>
+        validateSequenceWithConstraints([...prefix, id], constraints, shiftTypes, options).length === 0
+      );
+    }
+
+    const preferred = baselineShifts[emp.id]?.[day];
+    return domain.includes(preferred) ? [preferred, ...domain.filter(id => id !== preferred)] : domain;
+  };
+
+  // Forward check: can every rule of the day still end up within its range?
+  const coverageFeasible = (day, order, domains, assignedCount) => {
+    for (const rule of dayRules[day]) {
+      let assigned = 0;
+      let forced = 0;
+      let open = 0;
+      order.forEach((emp, i) => {
+        if (rule.skill && !(employeeSkills[emp.id] || []).includes(rule.skill)) return;
+        if (i < assignedCount) {
+          if (rule.shiftIds.includes(schedule[emp.id][day])) assigned++;
+        } else if (domains[i].some(id => rule.shiftIds.includes(id))) {
+          open++;
+          if (domains[i].every(id => rule.shiftIds.includes(id))) forced++;
+        }
+      });
+      if (assigned + forced > rule.range.max || assigned + open < rule.range.min) return false;
+    }
+    return true;
+  };
+
+  const assignDay = (day, order, domains, index) => {
+    if (index === order.length) {
+      const pairingErrors = getPairingErrors(schedule, constraints, shiftTypes, day + 1, { shiftGroups });
+      return !pairingErrors.some(error => error.day === day) && searchDay(day + 1);
+    }
+
+    const row = schedule[order[index].id];
+    for (const shiftId of domains[index]) {
+      nodes++;
+      if (Date.now() - startTime > timeoutMs) throw TIMEOUT;
+      row.push(shiftId);
+      if (coverageFeasible(day, order, domains, index + 1) && assignDay(day, order, domains, index + 1)) {
+        return true;
+      }
+      row.pop();
+    }
+    return false;
+  };
+
+  const searchDay = (day) => {
+    if (day === daysInMonth) return true;
+
+    // Most constrained employees first
+    const entries = employees
+      .map(emp => ({ emp, domain: domainOf(emp, day) }))
+      .sort((a, b) => a.domain.length - b.domain.length);
+    if (entries.length > 0 && entries[0].domain.length === 0) return false;
+
+    const order = entries.map(entry => entry.emp);
+    const domains = entries.map(entry => entry.domain);
+    return coverageFeasible(day, order, domains, 0) && assignDay(day, order, domains, 0);
+  };
+
+  try {
+    const solved = searchDay(0);
+    return {
+      status: solved ? 'solved' : 'infeasible',
+      schedule: solved ? schedule : null,
+      nodes,
+      timeMs: Date.now() - startTime
+    };
+  } catch (error) {
+    if (error !== TIMEOUT) throw error;
+    return { status: 'timeout', schedule: null, nodes, timeMs: Date.now() - startTime };
+  }
+};
@@ -0,0 +1,226 @@
+/**
+ * Coverage Feasibility Pre-check
+ *
+ * Plain arithmetic on the month before any search starts: can the staff on
+ * hand, with their contract hours, excluded shifts, absences and pinned
+ * cells, cover the minimum staffing of every coverage rule?
+ *
+ * Headcount checks are exact lower bounds (a shortage there means no
+ * schedule can meet coverage), hours checks compare against the contracts
+ * (a shortage there means overtime, reported in FTE).
+ */
+
+import { expandShiftIds } from './constraints.js';
+import { isCoverageRuleActive } from './evaluator.js';
+
+/**
+ * Weekly hours of one full-time equivalent (same as a new employee's default contract)
+ */
+export const FULL_TIME_WEEKLY_HOURS = 38;
+
+/**
+ * @typedef {Object} RuleFeasibility
+ * @property {string} ruleId
+ * @property {string} label - Shifts (and skill) of the rule, for messages
+ * @property {number} requiredShifts - Minimum shifts to staff over the month
+ * @property {number} requiredHours - Hours of those shifts (cheapest shift of the rule)
+ * @property {number} eligibleEmployees - Employees who can work the rule at all
+ * @property {number} capacityHours - Contract hours of the eligible employees
+ * @property {number} balanceHours - capacityHours - requiredHours (negative = shortfall)
+ * @property {number} balanceFte - balanceHours in full-time equivalents
+ * @property {Array<number>} shortDays - Days (0-based) with fewer eligible employees than the minimum
+ */
+
+/**
+ * @typedef {Object} FeasibilityReport
+ * @property {number} requiredHours - Hours needed by the minimum coverage
+ * @property {number} availableHours - Contract hours of the staff, net of absences
+ * @property {number} balanceHours - availableHours - requiredHours (negative = shortfall)
+ * @property {number} balanceFte - balanceHours in full-time equivalents
+ * @property {Array<RuleFeasibility>} byRule - Per-rule breakdown
+ * @property {Array<{day: number, required: number, available: number}>} understaffedDays
+ * @property {Array<{severity: string, constraintIds: Array<string>, message: string}>} issues
+ *   Same shape as analyzeConstraintSet issues, errors first
+ */
+
+const matchesShift = (shift, targetId) => shift === targetId || shift.startsWith(targetId + '_');
+
+const formatDays = (days) => days.map(day => day + 1).join(', ');
+
+/**
+ * Check whether the staff can cover the month's minimum coverage
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.employees - Employees (contractHours, excludedShifts, skills)
+ * @param {Array<Object>} params.shiftTypes - Shift types, absence types included
+ * @param {Array<Object>} params.coverageRules - Coverage rules for the month (overrides applied)
+ * @param {Array<Object>} [params.shiftGroups] - Shift groups referenced by the rules
+ * @param {number} params.daysInMonth
+ * @param {number} [params.firstDayOfMonth] - Weekday of day 0 (0 = Monday)
+ * @param {Array<number>} [params.holidays] - Holiday day indices (0-based)
+ * @param {Object} [params.lockedShifts] - Absences and pinned cells, { empId: { day: shiftId } }
+ * @returns {FeasibilityReport}
+ */
+export const checkCoverageFeasibility = ({
+  employees = [],
+  shiftTypes = [],
+  coverageRules = [],
+  shiftGroups = [],
+  daysInMonth,
+  firstDayOfMonth,
+  holidays = [],
+  lockedShifts = {}
+}) => {
+  const fteHours = FULL_TIME_WEEKLY_HOURS * daysInMonth / 7;
+  const toFte = (hours) => hours / fteHours;
+  const hoursOf = (shiftId) => shiftTypes.find(s => s.id === shiftId)?.hours || 0;
+
+  const rules = coverageRules
+    .filter(rule => rule.enabled !== false && rule.min > 0)
+    .map(rule => {
+      const shiftIds = expandShiftIds(rule.shiftIds || [], shiftTypes, shiftGroups);
+      const workedHours = shiftIds.map(hoursOf).filter(hours => hours > 0);
+      return {
+        rule,
+        shiftIds,
+        label: `${(rule.shiftIds || []).join('/')}${rule.skill ? ` (${rule.skill})` : ''}`,
+        // The cheapest shift of the rule is enough to meet its minimum
+        shiftHours: workedHours.length > 0 ? Math.min(...workedHours) : 0
+      };
+    });
+
+  // Employees who may ever work one of the rule's shifts
+  const canWork = (emp, entry) => {
+    if (entry.rule.skill && !(emp.skills || []).includes(entry.rule.skill)) return false;
+    const excluded = emp.excludedShifts || [];
+    return entry.shiftIds.some(shift => !excluded.some(id => matchesShift(shift, id)));
+  };
+  // ...and on a given day, where absences and pins leave no choice
+  const canWorkOn = (emp, entry, day) => {
+    const locked = lockedShifts[emp.id]?.[day];
+    if (locked !== undefined) {
+      return entry.shiftIds.includes(locked) && (!entry.rule.skill || (emp.skills || []).includes(entry.rule.skill));
+    }
+    return canWork(emp, entry);
+  };
+
+  // Contract hours still to be worked, once absences have credited theirs
+  const availableByEmployee = {};
+  for (const emp of employees) {
+    const expected = (emp.contractHours || 0) * daysInMonth / 7;
+    let credited = 0;
+    for (const shiftId of Object.values(lockedShifts[emp.id] || {})) {
+      const type = shiftTypes.find(s => s.id === shiftId);
+      if (type?.absence) credited += type.hours || 0;
+    }
+    availableByEmployee[emp.id] = Math.max(0, expected - credited);
+  }
+  const availableHours = employees.reduce((sum, emp) => sum + availableByEmployee[emp.id], 0);
+
+  // ============================================
+  // PER RULE
+  // ============================================
+
+  const byRule = rules.map(entry => {
+    const eligible = employees.filter(emp => canWork(emp, entry));
+    let requiredShifts = 0;
+    const shortDays = [];
+    for (let day = 0; day < daysInMonth; day++) {
+      if (!isCoverageRuleActive(entry.rule, day, firstDayOfMonth, holidays)) continue;
+      requiredShifts += entry.rule.min;
+      const available = employees.filter(emp => canWorkOn(emp, entry, day)).length;
+      if (available < entry.rule.min) shortDays.push(day);
+    }
+    const requiredHours = requiredShifts * entry.shiftHours;
+    const capacityHours = eligible.reduce((sum, emp) => sum + availableByEmployee[emp.id], 0);
+    return {
+      ruleId: entry.rule.id,
+      label: entry.label,
+      requiredShifts,
+      requiredHours,
+      eligibleEmployees: eligible.length,
+      capacityHours,
+      balanceHours: capacityHours - requiredHours,
+      balanceFte: toFte(capacityHours - requiredHours),
+      shortDays
+    };
+  });
+
+  // ============================================
+  // PER DAY (ALL RULES TOGETHER)
+  // ============================================
+
+  // Rules on disjoint shifts need distinct people; overlapping ones may share
+  // them, so only a disjoint subset (largest minimums first) is added up.
+  // Skill rules overlap the plain ones on the same people and are left out.
+  let requiredHours = 0;
+  const understaffedDays = [];
+  for (let day = 0; day < daysInMonth; day++) {
+    const selected = [];
+    const active = rules
+      .filter(entry => !entry.rule.skill && isCoverageRuleActive(entry.rule, day, firstDayOfMonth, holidays))
+      .sort((a, b) => b.rule.min - a.rule.min);
+    for (const entry of active) {
+      if (selected.every(other => !other.shiftIds.some(id => entry.shiftIds.includes(id)))) {
+        selected.push(entry);
+      }
+    }
+
+    const required = selected.reduce((sum, entry) => sum + entry.rule.min, 0);
+    requiredHours += selected.reduce((sum, entry) => sum + entry.rule.min * entry.shiftHours, 0);
+    const available = employees.filter(emp => selected.some(entry => canWorkOn(emp, entry, day))).length;
+    if (required > available) understaffedDays.push({ day, required, available });
+  }
+
+  const balanceHours = availableHours - requiredHours;
+
+  // ============================================
+  // ISSUES
+  // ============================================
+
+  const issues = [];
+  for (const result of byRule) {
+    if (result.shortDays.length > 0) {
+      const rule = rules.find(entry => entry.rule.id === result.ruleId).rule;
+      issues.push({
+        severity: 'error',
+        constraintIds: [result.ruleId],
+        message: `Copertura ${result.label}: nei giorni ${formatDays(result.shortDays)} i dipendenti disponibili sono meno dei ${rule.min} richiesti`
+      });
+    }
+  }
+  if (understaffedDays.length > 0) {
+    const worst = understaffedDays.reduce((a, b) => (b.required - b.available > a.required - a.available ? b : a));
+    issues.push({
+      severity: 'error',
+      constraintIds: [],
+      message: `Personale insufficiente nei giorni ${formatDays(understaffedDays.map(d => d.day))}: il giorno ${worst.day + 1} servono ${worst.required} persone in turno, disponibili ${worst.available}`
+    });
+  }
+  for (const result of byRule) {
+    if (result.balanceHours < 0) {
+      issues.push({
+        severity: 'warning',
+        constraintIds: [result.ruleId],
+        message: `Copertura ${result.label}: servono ${toFte(-result.balanceHours).toFixed(1)} FTE in più (${Math.round(result.requiredHours)}h richieste, ${Math.round(result.capacityHours)}h a contratto tra ${result.eligibleEmployees} dipendenti abilitati)`
+      });
+    }
+  }
+  if (balanceHours < 0) {
+    issues.push({
+      severity: 'warning',
+      constraintIds: [],
+      message: `Ore a contratto insufficienti: la copertura minima richiede ${Math.round(requiredHours)}h, i contratti ne coprono ${Math.round(availableHours)}h (servono ${toFte(-balanceHours).toFixed(1)} FTE in più)`
+    });
+  }
+
+  return {
+    requiredHours,
+    availableHours,
+    balanceHours,
+    balanceFte: toFte(balanceHours),
+    byRule,
+    understaffedDays,
+    issues
+  };
+};
@@ -0,0 +1,198 @@
+/**
+ * Incremental (Delta) Fitness Evaluation
+ *
+ * Crossover and mutation change a few rows and cells of a parent, yet
+ * evaluateFitness re-validates every employee and every day. Here each
+ * evaluated chromosome keeps a cache of its per-employee results and its
+ * per-day shift counts; a child starts from its first parent's cache and
+ * only recomputes what differs:
+ * - rows that changed are re-validated, unless they equal the second
+ *   parent's row (employee crossover), whose result is reused
+ * - only the days where a cell changed get their coverage re-checked
+ * - pairing constraints are re-checked when any cell changed
+ *
+ * The result is the same as evaluateFitness: the per-employee and per-day
+ * checks are the ones of evaluator.js, summed by buildValidationResult and
+ * weighted by scoreValidation.
+ */
+
+import {
+  evaluateEmployeeSchedule,
+  countDayShifts,
+  checkCoverageCounts,
+  buildValidationResult,
+  getPairingErrors,
+  resolveCoverageRules,
+  getEmployeeSkills,
+  PAIRING_CONSTRAINT_TYPES
+} from '../evaluator.js';
+import { scoreValidation, WEIGHTS } from './fitness.js';
+import { decodeRow, decodeSchedule } from './encoding.js';
+import { prepareValidation } from '../constraints.js';
+
+/**
+ * @typedef {Object} FitnessCache
+ * @property {Uint8Array} genes - Snapshot of the evaluated genes (never mutated)
+ * @property {Array<Object>} employeeResults - evaluateEmployeeSchedule result by employee index
+ * @property {Array<Object<string, number>>} dayCounts - Shifts worked by shift ID, per day
+ * @property {Array<Object<string, Object<string, number>>>} daySkillCounts - Shifts worked by skill and shift ID, per day
+ * @property {Array<Object>} dayCoverages - checkCoverageCounts result, per day
+ * @property {number} pairingViolations
+ */
+
+const sameRow = (a, b, offset, length) => {
+  for (let i = offset; i < offset + length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+};
+
+/**
+ * Create an incremental fitness evaluator for one GA run
+ *
+ * The evaluator reads `chromosome.cache` (the cache of the chromosome it was
+ * derived from, see createOffspring) and `chromosome.donorCaches` (caches
+ * whose rows may be reused), then stores the chromosome's own cache in
+ * `chromosome.cache`. Chromosomes without a cache are evaluated in full.
+ *
+ * @param {Object} context - Same context as evaluateFitness, plus the run's `encoding`
+ * @returns {{evaluate: Function}} evaluate(chromosome) returns the evaluateFitness result
+ */
+export const createDeltaEvaluator = (context) => {
+  const {
+    encoding,
+    shiftTypes = [],
+    constraints = [],
+    coverageRules = [],
+    shiftGroups = [],
+    firstDayOfMonth,
+    holidays = []
+  } = context;
+  const { employees, daysInMonth, shiftIds } = encoding;
+  const weights = { ...WEIGHTS, ...(context.weights || {}) };
+  const validationContext = {
+    ...context,
+    daysInMonth,
+    weights,
+    preparedValidation: context.preparedValidation || prepareValidation(constraints, shiftTypes, shiftGroups)
+  };
+  const resolvedCoverageRules = resolveCoverageRules(coverageRules, shiftTypes, shiftGroups);
+  const employeeSkills = getEmployeeSkills(employees);
+  const hasPairing = constraints.some(c => c.enabled && PAIRING_CONSTRAINT_TYPES.includes(c.type));
+
+  const checkDay = (counts, skillCounts, day) =>
+    checkCoverageCounts(counts, skillCounts, day, resolvedCoverageRules, firstDayOfMonth, holidays);
+
+  const countPairing = (genes) => (hasPairing
+    ? getPairingErrors(decodeSchedule(genes, encoding), constraints, shiftTypes, daysInMonth, { shiftGroups }).length
+    : 0);
+
+  const finish = (cache) => {
+    const validation = buildValidationResult(cache.employeeResults, cache.dayCoverages, cache.pairingViolations);
+    return scoreValidation(validation, weights);
+  };
+
+  const evaluateFull = (genes) => {
+    const schedule = decodeSchedule(genes, encoding);
+    const employeeResults = employees.map(emp =>
+      evaluateEmployeeSchedule(emp, schedule[emp.id], validationContext)
+    );
+
+    const dayCounts = [];
+    const daySkillCounts = [];
+    const dayCoverages = [];
+    for (let day = 0; day < daysInMonth; day++) {
+      const { counts, skillCounts } = countDayShifts(schedule, day, employeeSkills);
+      dayCounts.push(counts);
+      daySkillCounts.push(skillCounts);
+      dayCoverages.push(checkDay(counts, skillCounts, day));
+    }
+
+    return {
+      genes: genes.slice(),
+      employeeResults,
+      dayCounts,
+      daySkillCounts,
+      dayCoverages,
+      pairingViolations: countPairing(genes)
+    };
+  };
+
+  const evaluateDelta = (genes, base, donors) => {
+    const employeeResults = [...base.employeeResults];
+    const dayCounts = [...base.dayCounts];
+    const daySkillCounts = [...base.daySkillCounts];
+    const dirtyDays = new Set();
+
+    // Counts are shared with the base cache: copy a day before its first change
+    const touchDay = (day) => {
+      if (dirtyDays.has(day)) return;
+      dirtyDays.add(day);
+      dayCounts[day] = { ...dayCounts[day] };
+      const skillCounts = {};
+      for (const [skill, counts] of Object.entries(daySkillCounts[day])) {
+        skillCounts[skill] = { ...counts };
+      }
+      daySkillCounts[day] = skillCounts;
+    };
+    const addShift = (empId, gene, day, delta) => {
+      const shift = shiftIds[gene];
+      if (!shift) return;
+      dayCounts[day][shift] = (dayCounts[day][shift] || 0) + delta;
+      for (const skill of employeeSkills[empId] || []) {
+        if (!daySkillCounts[day][skill]) daySkillCounts[day][skill] = {};
+        daySkillCounts[day][skill][shift] = (daySkillCounts[day][skill][shift] || 0) + delta;
+      }
+    };
+
+    employees.forEach((emp, e) => {
+      const offset = e * daysInMonth;
+      if (sameRow(base.genes, genes, offset, daysInMonth)) return;
+
+      for (let day = 0; day < daysInMonth; day++) {
+        const oldGene = base.genes[offset + day];
+        const newGene = genes[offset + day];
+        if (oldGene === newGene) continue;
+        touchDay(day);
+        addShift(emp.id, oldGene, day, -1);
+        addShift(emp.id, newGene, day, 1);
+      }
+
+      const donor = donors.find(cache => sameRow(cache.genes, genes, offset, daysInMonth));
+      employeeResults[e] = donor
+        ? donor.employeeResults[e]
+        : evaluateEmployeeSchedule(emp, decodeRow(genes, encoding, e), validationContext);
+    });
+
+    const dayCoverages = [...base.dayCoverages];
+    for (const day of dirtyDays) {
+      dayCoverages[day] = checkDay(dayCounts[day], daySkillCounts[day], day);
+    }
+
+    return {
+      genes: genes.slice(),
+      employeeResults,
+      dayCounts,
+      daySkillCounts,
+      dayCoverages,
+      pairingViolations: dirtyDays.size > 0 ? countPairing(genes) : base.pairingViolations
+    };
+  };
+
+  /**
+   * Evaluate a chromosome, reusing the caches it carries
+   *
+   * @param {Object} chromosome - { genes, cache?, donorCaches? }
+   * @returns {Object} Same result as evaluateFitness
+   */
+  const evaluate = (chromosome) => {
+    const cache = chromosome.cache
+      ? evaluateDelta(chromosome.genes, chromosome.cache, chromosome.donorCaches || [])
+      : evaluateFull(chromosome.genes);
+    chromosome.cache = cache;
+    delete chromosome.donorCaches;
+    return finish(cache);
+  };
+
+  return { evaluate };
+};
@@ -0,0 +1,151 @@
+/**
+ * Compact Chromosome Encoding
+ *
+ * Inside the GA a schedule is a flat Uint8Array of shift indices, employee
+ * after employee: the cell of employee `e` on day `d` is genes[e * daysInMonth + d].
+ * Index 0 is an empty cell; the other indices point into `shiftIds`.
+ * Conversion to and from the public { empId: shifts[] } format happens only
+ * when a run starts (baseline) and ends (best schedule).
+ *
+ * The encoding also carries the per-run lookup tables the operators need,
+ * so that they never touch shift ID strings.
+ */
+
+/**
+ * Gene value of an empty cell
+ */
+export const EMPTY_GENE = 0;
+
+// Gene values are stored in a Uint8Array
+const MAX_SHIFT_IDS = 255;
+
+/**
+ * @typedef {Object} ScheduleEncoding
+ * @property {Array<Object>} employees - Employees, in gene order
+ * @property {Map<string, number>} employeeIndex - Employee ID -> row index
+ * @property {number} daysInMonth - Row length
+ * @property {Array<string|undefined>} shiftIds - Gene value -> shift ID (index 0 is empty)
+ * @property {Map<string, number>} shiftIndex - Shift ID -> gene value
+ * @property {Uint8Array} workShifts - Gene values of non-absence shift types (for generated cells)
+ * @property {Array<Uint8Array>} excluded - Per employee, 1 for each gene value in excludedShifts
+ * @property {Uint8Array} locked - 1 for each locked cell (absences, pinned cells)
+ */
+
+/**
+ * Build the lookup tables for a GA run
+ *
+ * Shift IDs come from the shift types, then from any other value found in
+ * the given schedules and locks (e.g. variants like N_1 in the baseline).
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.employees
+ * @param {Array<Object>} params.shiftTypes - Shift types, absence types included
+ * @param {number} params.daysInMonth
+ * @param {Array<Object<string, Array<string>>>} [params.schedules] - Schedules that will be encoded
+ * @param {Object} [params.lockedShifts] - Locked cells, { empId: { day: shiftId } }
+ * @returns {ScheduleEncoding}
+ */
+export const createEncoding = ({ employees, shiftTypes, daysInMonth, schedules = [], lockedShifts = {} }) => {
+  const shiftIds = [undefined];
+  const shiftIndex = new Map();
+  const addShift = (shiftId) => {
+    if (!shiftId || shiftIndex.has(shiftId)) return;
+    if (shiftIds.length > MAX_SHIFT_IDS) {
+      throw new Error(`Too many distinct shifts for the GA encoding (max ${MAX_SHIFT_IDS})`);
+    }
+    shiftIndex.set(shiftId, shiftIds.length);
+    shiftIds.push(shiftId);
+  };
+
+  for (const type of shiftTypes) addShift(type.id);
+  for (const schedule of schedules) {
+    for (const shifts of Object.values(schedule || {})) {
+      for (const shiftId of shifts) addShift(shiftId);
+    }
+  }
+  for (const days of Object.values(lockedShifts || {})) {
+    for (const shiftId of Object.values(days)) addShift(shiftId);
+  }
+
+  const employeeIndex = new Map(employees.map((emp, e) => [emp.id, e]));
+
+  const excluded = employees.map(emp => {
+    const flags = new Uint8Array(shiftIds.length);
+    for (const shiftId of emp.excludedShifts || []) {
+      if (shiftIndex.has(shiftId)) flags[shiftIndex.get(shiftId)] = 1;
+    }
+    return flags;
+  });
+
+  const locked = new Uint8Array(employees.length * daysInMonth);
+  for (const [empId, days] of Object.entries(lockedShifts || {})) {
+    if (!employeeIndex.has(empId)) continue;
+    const offset = employeeIndex.get(empId) * daysInMonth;
+    for (const [day, shiftId] of Object.entries(days)) {
+      if (shiftId !== undefined && day < daysInMonth) locked[offset + Number(day)] = 1;
+    }
+  }
+
+  return {
+    employees,
+    employeeIndex,
+    daysInMonth,
+    shiftIds,
+    shiftIndex,
+    workShifts: Uint8Array.from(shiftTypes.filter(s => !s.absence).map(s => shiftIndex.get(s.id))),
+    excluded,
+    locked
+  };
+};
+
+/**
+ * Encode a schedule into genes
+ * Employees without a row, and days past the end of a row, are empty.
+ *
+ * @param {Object<string, Array<string>>} schedule - { empId: shifts[] }
+ * @param {ScheduleEncoding} encoding
+ * @returns {Uint8Array} Genes
+ */
+export const encodeSchedule = (schedule, encoding) => {
+  const { employees, daysInMonth, shiftIndex } = encoding;
+  const genes = new Uint8Array(employees.length * daysInMonth);
+  employees.forEach((emp, e) => {
+    const shifts = schedule[emp.id] || [];
+    for (let day = 0; day < daysInMonth && day < shifts.length; day++) {
+      genes[e * daysInMonth + day] = shiftIndex.get(shifts[day]) || EMPTY_GENE;
+    }
+  });
+  return genes;
+};
+
+/**
+ * Decode one employee's row
+ *
+ * @param {Uint8Array} genes
+ * @param {ScheduleEncoding} encoding
+ * @param {number} e - Employee (row) index
+ * @returns {Array<string>} Shifts of the employee
+ */
+export const decodeRow = (genes, encoding, e) => {
+  const { daysInMonth, shiftIds } = encoding;
+  const shifts = new Array(daysInMonth);
+  for (let day = 0; day < daysInMonth; day++) {
+    shifts[day] = shiftIds[genes[e * daysInMonth + day]];
+  }
+  return shifts;
+};
+
+/**
+ * Decode genes into a schedule
+ *
+ * @param {Uint8Array} genes
+ * @param {ScheduleEncoding} encoding
+ * @returns {Object<string, Array<string>>} { empId: shifts[] }
+ */
+export const decodeSchedule = (genes, encoding) => {
+  const schedule = {};
+  encoding.employees.forEach((emp, e) => {
+    schedule[emp.id] = decodeRow(genes, encoding, e);
+  });
+  return schedule;
+};
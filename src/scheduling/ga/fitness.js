@@ -12,53 +12,86 @@ import {
   countMatrixDeviations,
   checkDayCoverage
 } from '../evaluator.js';
+import { decodeSchedule } from './encoding.js';
 
 // Fitness weights - lower total score is better
 const WEIGHTS = {
   CONSTRAINT_VIOLATION: 10000,  // Per violation - makes constraints effectively "hard"
-  COVERAGE_VIOLATION: 10000,    // Per missing shift in coverage
+  COVERAGE_VIOLATION: 10000,    // Per person below min or above max of a coverage rule
+  COVERAGE_SURPLUS: 10,         // Per person above min but within max (soft)
   EXCLUSION_VIOLATION: 10000,   // Per excluded shift assigned to employee
+  PAIRING_VIOLATION: 10000,     // Per day breaking a cross-employee constraint
   HOURS_UNDER: 15,              // Per hour under contract (asymmetric - worse)
   HOURS_OVER: 8,                // Per hour over contract
-  MATRIX_CHANGE: 3              // Per shift different from matrix
+  MATRIX_CHANGE: 3,             // Per shift different from matrix
+  WISH_DENIED: 5                // Per employee wish (desiderata) not granted
 };
 
 /**
  * Evaluate fitness of a schedule for GA optimization
  *
- * @param {Object} chromosome - { schedule: { empId: shifts[] } }
+ * @param {Object} chromosome - { schedule: { empId: shifts[] } }, or { genes } with context.encoding
  * @param {Object} context - Evaluation context
  * @param {Array<Object>} context.employees
  * @param {Array<Object>} context.shiftTypes
  * @param {Array<Object>} context.constraints
  * @param {Array<Object>} context.coverageRules
+ * @param {Array<Object>} context.shiftGroups - Shift groups (optional)
  * @param {Object<string, Array<string>>} context.baselineShifts - Matrix-derived baseline
  * @param {number} context.daysInMonth
+ * @param {number} context.firstDayOfMonth - Weekday of day 0 (0 = Monday), optional
+ * @param {Object<string, Array<string>>} context.previousMonthSchedule - Previous month shifts (optional)
+ * @param {Array<number>} context.holidays - Holiday day indices, 0-based (optional)
+ * @param {Object} context.wishes - Month wishes by employee ID (optional)
  * @param {Object} context.weights - Custom weights (optional)
+ * @param {ScheduleEncoding} context.encoding - Lookup tables for GA chromosomes (optional)
  * @returns {Object} Fitness evaluation result
  */
 export const evaluateFitness = (chromosome, context) => {
   const weights = { ...WEIGHTS, ...(context.weights || {}) };
 
   // Delegate validation to evaluator.js (single source of truth)
-  const validation = validateSchedule(chromosome.schedule, {
+  const schedule = chromosome.genes ? decodeSchedule(chromosome.genes, context.encoding) : chromosome.schedule;
+  const validation = validateSchedule(schedule, {
     employees: context.employees,
     shiftTypes: context.shiftTypes,
     constraints: context.constraints,
     coverageRules: context.coverageRules,
+    shiftGroups: context.shiftGroups,
     baselineShifts: context.baselineShifts,
     daysInMonth: context.daysInMonth,
+    firstDayOfMonth: context.firstDayOfMonth,
+    previousMonthSchedule: context.previousMonthSchedule,
+    holidays: context.holidays,
+    wishes: context.wishes,
+    preparedValidation: context.preparedValidation,
     weights // Pass weights for hours penalty calculation
   });
 
+  return scoreValidation(validation, weights);
+};
+
+/**
+ * Apply fitness weights to a validation result
+ * Shared by evaluateFitness and the incremental evaluator (see delta.js).
+ *
+ * @param {ValidationResult} validation - Result of validateSchedule
+ * @param {Object} weights - Full weights (WEIGHTS merged with custom ones)
+ * @returns {Object} Fitness evaluation result
+ */
+export const scoreValidation = (validation, weights) => {
   // Apply weights to calculate fitness score
   const constraintPenalty = validation.violations.constraint * weights.CONSTRAINT_VIOLATION;
   const coveragePenalty = validation.violations.coverage * weights.COVERAGE_VIOLATION;
   const exclusionPenalty = validation.violations.exclusion * weights.EXCLUSION_VIOLATION;
+  const pairingPenalty = validation.violations.pairing * weights.PAIRING_VIOLATION;
   const hoursPenalty = validation.metrics.hoursPenalty;
   const matrixPenalty = validation.metrics.matrixDeviations * weights.MATRIX_CHANGE;
+  const surplusPenalty = validation.metrics.coverageSurplus * weights.COVERAGE_SURPLUS;
+  const wishPenalty = validation.metrics.wishesDenied * weights.WISH_DENIED;
 
-  const totalFitness = constraintPenalty + coveragePenalty + exclusionPenalty + hoursPenalty + matrixPenalty;
+  const totalFitness = constraintPenalty + coveragePenalty + exclusionPenalty + pairingPenalty +
+    hoursPenalty + matrixPenalty + surplusPenalty + wishPenalty;
 
   // Map byEmployee to employeeDetails format expected by existing code
   const employeeDetails = validation.byEmployee.map(emp => ({
@@ -69,7 +102,11 @@ export const evaluateFitness = (chromosome, context) => {
     hoursWorked: emp.hoursWorked,
     hoursExpected: emp.hoursExpected,
     hoursDeviation: emp.hoursDeviation,
-    matrixDeviations: emp.matrixDeviations
+    matrixDeviations: emp.matrixDeviations,
+    wishesGranted: emp.wishesGranted,
+    wishesTotal: emp.wishesTotal,
+    // Share of granted wishes, null when the employee made none
+    wishesRatio: emp.wishesTotal > 0 ? emp.wishesGranted / emp.wishesTotal : null
   }));
 
   return {
@@ -82,9 +119,15 @@ export const evaluateFitness = (chromosome, context) => {
       coveragePenalty,
       exclusionViolations: validation.violations.exclusion,
       exclusionPenalty,
+      pairingViolations: validation.violations.pairing,
+      pairingPenalty,
       hoursPenalty,
       matrixDeviations: validation.metrics.matrixDeviations,
-      matrixPenalty
+      matrixPenalty,
+      coverageSurplus: validation.metrics.coverageSurplus,
+      surplusPenalty,
+      wishesDenied: validation.metrics.wishesDenied,
+      wishPenalty
     },
     employeeDetails,
     coverageDetails: validation.coverageDetails
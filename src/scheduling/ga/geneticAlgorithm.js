@@ -5,8 +5,12 @@
  * that minimize constraint violations and optimize soft objectives.
  */
 
-import { evaluateFitness } from './fitness.js';
+import { createDeltaEvaluator } from './delta.js';
 import { tournamentSelect, createOffspring, cloneChromosome } from './operators.js';
+import { createEncoding, encodeSchedule, decodeSchedule } from './encoding.js';
+import { resolveCoverageRules } from '../evaluator.js';
+import { prepareValidation } from '../constraints.js';
+import { applyLockedShifts } from '../locks.js';
 
 /**
  * Default GA parameters
@@ -18,6 +22,7 @@ export const DEFAULT_SCHEDULE_GA_CONFIG = {
   CROSSOVER_RATE: 0.8,
   MUTATION_RATE: 0.08,
   ELITE_COUNT: 20,
+  COVERAGE_REPAIR_RATE: 0.1,
   STAGNATION_LIMIT: 1000,
   TARGET_FITNESS: 0,
   TIMEOUT_MS: 3000000
@@ -26,49 +31,38 @@ export const DEFAULT_SCHEDULE_GA_CONFIG = {
 /**
  * Create initial population
  *
- * @param {Object} baselineSchedule
+ * @param {Uint8Array} startGenes - Baseline with the locked cells applied
  * @param {number} populationSize
- * @param {Object} context
+ * @param {ScheduleEncoding} encoding
  * @returns {Array<Object>} Initial population of chromosomes
  */
-const initializePopulation = (baselineSchedule, populationSize, context) => {
-  const { employees, shiftTypes, daysInMonth } = context;
+const initializePopulation = (startGenes, populationSize, encoding) => {
+  const { employees, daysInMonth, workShifts, excluded, locked } = encoding;
   const population = [];
 
   // First individual is the exact baseline (greedy solution)
-  population.push({
-    schedule: JSON.parse(JSON.stringify(baselineSchedule))
-  });
+  population.push({ genes: startGenes.slice() });
 
-  // Rest are variations of the baseline
-  const shiftIds = shiftTypes.map(s => s.id);
+  // Rest are variations of the baseline (absences are never generated)
+  const validShifts = employees.map((_, e) => workShifts.filter(shift => !excluded[e][shift]));
 
   for (let i = 1; i < populationSize; i++) {
-    const schedule = {};
-
-    for (const emp of employees) {
-      const baseShifts = baselineSchedule[emp.id];
-      const newShifts = [...baseShifts];
-
-      // Get valid shifts for this employee
-      let validShifts = shiftIds;
-      if (emp.excludedShifts && Array.isArray(emp.excludedShifts)) {
-        validShifts = shiftIds.filter(s => !emp.excludedShifts.includes(s));
-      }
+    const genes = startGenes.slice();
 
-      // Apply random perturbations (more perturbation for later individuals)
-      const perturbRate = 0.02 + (i / populationSize) * 0.15;
+    // Apply random perturbations (more perturbation for later individuals)
+    const perturbRate = 0.02 + (i / populationSize) * 0.15;
 
+    for (let e = 0; e < employees.length; e++) {
       for (let day = 0; day < daysInMonth; day++) {
+        const cell = e * daysInMonth + day;
+        if (locked[cell] || validShifts[e].length === 0) continue;
         if (Math.random() < perturbRate) {
-          newShifts[day] = validShifts[Math.floor(Math.random() * validShifts.length)];
+          genes[cell] = validShifts[e][Math.floor(Math.random() * validShifts[e].length)];
         }
       }
-
-      schedule[emp.id] = newShifts;
     }
 
-    population.push({ schedule });
+    population.push({ genes });
   }
 
   return population;
@@ -78,11 +72,11 @@ const initializePopulation = (baselineSchedule, populationSize, context) => {
  * Evaluate fitness for entire population
  *
  * @param {Array<Object>} population
- * @param {Object} context
+ * @param {Function} evaluate - Fitness function, see createDeltaEvaluator
  */
-const evaluatePopulation = (population, context) => {
+const evaluatePopulation = (population, evaluate) => {
   for (const chromosome of population) {
-    const evaluation = evaluateFitness(chromosome, context);
+    const evaluation = evaluate(chromosome);
     chromosome.fitness = evaluation.fitness;
     chromosome.evaluation = evaluation;
   }
@@ -92,29 +86,38 @@ const evaluatePopulation = (population, context) => {
 };
 
 /**
- * Run the genetic algorithm
+ * @typedef {Object} ScheduleGA
+ * @property {Function} step - Evolve one generation
+ * @property {Function} getStopReason - 'timeout' | 'stagnation' | 'target' | 'max_generations', or null to go on
+ * @property {Function} getProgress - Progress stats, as passed to onProgress
+ * @property {Function} getMigrants - Best `count` schedules, { empId: shifts[] }
+ * @property {Function} receiveMigrants - Replace the worst individuals with the given schedules
+ * @property {Function} getResult - Result with the best schedule (see runGeneticAlgorithm)
+ */
+
+/**
+ * Create a GA that evolves one generation at a time
+ * runGeneticAlgorithm drives it to the end; island workers (see islands.js)
+ * stop every few generations to exchange migrants.
  *
- * @param {Object} params
- * @param {number} params.daysInMonth
- * @param {Array<Object>} params.employees
- * @param {Array<Object>} params.shiftTypes
- * @param {Object} params.baselineShifts - Pre-generated baseline schedule by employee ID
- * @param {Array<Object>} params.constraints
- * @param {Array<Object>} params.coverageRules
- * @param {Object} params.options - GA options
- * @param {Function} params.onProgress - Progress callback
- * @returns {Object} Result with best schedule
+ * @param {Object} params - Same as runGeneticAlgorithm (onProgress is not used)
+ * @returns {ScheduleGA}
  */
-export const runGeneticAlgorithm = (params) => {
+export const createScheduleGA = (params) => {
   const {
     daysInMonth,
+    firstDayOfMonth,
+    previousMonthSchedule,
+    holidays = [],
+    lockedShifts = {},
+    wishes = {},
     employees,
     shiftTypes,
     baselineShifts,  // Now received directly from caller
     constraints,
     coverageRules,
-    options = {},
-    onProgress
+    shiftGroups = [],
+    options = {}
   } = params;
 
   // Normalize options to lowercase for internal usage, merged with uppercase defaults
@@ -129,6 +132,10 @@ export const runGeneticAlgorithm = (params) => {
     targetFitness: options.targetFitness || DEFAULT_SCHEDULE_GA_CONFIG.TARGET_FITNESS,
     timeoutMs: options.timeoutMs || options.gaTimeoutMs || DEFAULT_SCHEDULE_GA_CONFIG.TIMEOUT_MS,
     baselineAdherence: options.baselineAdherence,
+    // Operator mix (islands use different ones, see islands.js)
+    crossoverType: options.crossoverType || 'employee',
+    guidedMutation: options.guidedMutation !== false,
+    coverageRepairRate: options.coverageRepairRate ?? DEFAULT_SCHEDULE_GA_CONFIG.COVERAGE_REPAIR_RATE,
     weights: options.weights
   };
 
@@ -140,48 +147,83 @@ export const runGeneticAlgorithm = (params) => {
   });
   const startTime = Date.now();
 
+  // Schedules are encoded once here and decoded once at the end (see encoding.js)
+  const encoding = createEncoding({
+    employees,
+    shiftTypes,
+    daysInMonth,
+    schedules: [baselineShifts],
+    lockedShifts
+  });
+  const baselineGenes = encodeSchedule(baselineShifts, encoding);
+
+  // Locked cells (absences, pinned shifts) always start from their locked value
+  const startSchedule = {};
+  for (const [empId, shifts] of Object.entries(baselineShifts)) {
+    startSchedule[empId] = [...shifts];
+  }
+  const startGenes = encodeSchedule(applyLockedShifts(startSchedule, lockedShifts), encoding);
+
+  const resolvedCoverageRules = resolveCoverageRules(coverageRules || [], shiftTypes, shiftGroups);
+
   // Context for fitness evaluation
   const context = {
     employees,
     shiftTypes,
     constraints,
     coverageRules,
+    shiftGroups,
     baselineShifts,
     daysInMonth,
-    weights: opts.weights
+    firstDayOfMonth,
+    previousMonthSchedule,
+    holidays,
+    lockedShifts,
+    wishes,
+    weights: opts.weights,
+    encoding,
+    baselineGenes,
+    // Constraint lookups shared by every evaluation and repair of the run
+    preparedValidation: prepareValidation(constraints, shiftTypes, shiftGroups),
+    // Coverage rules drive the repair mutations in createOffspring
+    resolvedCoverageRules,
+    skillCoverageRules: resolvedCoverageRules
+      .filter(rule => rule.skill && rule.enabled !== false && rule.min > 0)
   };
 
+  // Children are scored from their parents' cached results (see delta.js)
+  const { evaluate } = createDeltaEvaluator(context);
+
   // Initialize population
-  let population = initializePopulation(baselineShifts, opts.populationSize, context);
+  let population = initializePopulation(startGenes, opts.populationSize, encoding);
 
   // Evaluate initial population
-  evaluatePopulation(population, context);
+  evaluatePopulation(population, evaluate);
 
   let bestFitness = population[0].fitness;
   let bestChromosome = cloneChromosome(population[0]);
   bestChromosome.evaluation = population[0].evaluation;
   let stagnationCount = 0;
+  let generation = 0;
 
-  // Evolution loop
-  for (let gen = 0; gen < opts.maxGenerations; gen++) {
-    // Check timeout
-    if (Date.now() - startTime > opts.timeoutMs) {
-      console.log('[GA] Terminated: timeout at gen', gen);
-      break;
-    }
-
-    // Check stagnation
-    if (stagnationCount >= opts.stagnationLimit) {
-      console.log('[GA] Terminated: stagnation at gen', gen, 'stagnationCount:', stagnationCount);
-      break;
-    }
+  const offspringOptions = {
+    crossoverType: opts.crossoverType,
+    usedGuidedMutation: opts.guidedMutation,
+    baselineAdherence: opts.baselineAdherence,
+    coverageRepairRate: opts.coverageRepairRate
+  };
 
-    // Check if target fitness achieved
-    if (bestFitness <= opts.targetFitness) {
-      console.log('[GA] Terminated: target fitness achieved at gen', gen);
-      break;
+  const trackBest = () => {
+    if (population[0].fitness < bestFitness) {
+      bestFitness = population[0].fitness;
+      bestChromosome = cloneChromosome(population[0]);
+      bestChromosome.evaluation = population[0].evaluation;
+      return true;
     }
+    return false;
+  };
 
+  const step = () => {
     // Create new generation
     const newPopulation = [];
 
@@ -198,9 +240,8 @@ export const runGeneticAlgorithm = (params) => {
         const parent2 = tournamentSelect(population, opts.tournamentSize);
 
         const child = createOffspring(parent1, parent2, context, {
-          mutationRate: opts.mutationRate,
-          usedGuidedMutation: true,
-          baselineAdherence: opts.baselineAdherence
+          ...offspringOptions,
+          mutationRate: opts.mutationRate
         });
 
         newPopulation.push(child);
@@ -211,9 +252,8 @@ export const runGeneticAlgorithm = (params) => {
 
         // Apply mutation
         createOffspring(child, child, context, {
-          mutationRate: opts.mutationRate * 2,
-          usedGuidedMutation: true,
-          baselineAdherence: opts.baselineAdherence
+          ...offspringOptions,
+          mutationRate: opts.mutationRate * 2
         });
 
         newPopulation.push(child);
@@ -223,61 +263,115 @@ export const runGeneticAlgorithm = (params) => {
     population = newPopulation;
 
     // Evaluate new generation
-    evaluatePopulation(population, context);
+    evaluatePopulation(population, evaluate);
 
     // Track improvement
-    if (population[0].fitness < bestFitness) {
-      bestFitness = population[0].fitness;
-      bestChromosome = cloneChromosome(population[0]);
-      bestChromosome.evaluation = population[0].evaluation;
+    if (trackBest()) {
       stagnationCount = 0;
     } else {
       stagnationCount++;
     }
+    generation++;
+  };
+
+  const getStopReason = () => {
+    if (Date.now() - startTime > opts.timeoutMs) return 'timeout';
+    if (stagnationCount >= opts.stagnationLimit) return 'stagnation';
+    if (bestFitness <= opts.targetFitness) return 'target';
+    if (generation >= opts.maxGenerations) return 'max_generations';
+    return null;
+  };
+
+  const getProgress = (complete = false) => ({
+    generation: complete ? opts.maxGenerations : generation,
+    maxGenerations: opts.maxGenerations,
+    bestFitness: bestFitness,
+    avgFitness: population.reduce((sum, c) => sum + c.fitness, 0) / population.length,
+    isValid: bestChromosome.evaluation?.isValid || false,
+    constraintViolations: bestChromosome.evaluation?.components?.constraintViolations || 0,
+    coverageViolations: bestChromosome.evaluation?.components?.coverageViolations || 0,
+    hoursDeviation: bestChromosome.evaluation?.components?.hoursPenalty || 0,
+    matrixChanges: bestChromosome.evaluation?.components?.matrixDeviations || 0,
+    stagnation: stagnationCount,
+    timeMs: Date.now() - startTime,
+    ...(complete ? { complete: true } : {})
+  });
+
+  const getMigrants = (count) => population
+    .slice(0, count)
+    .map(chromosome => decodeSchedule(chromosome.genes, encoding));
+
+  // Migrants come from islands built from the same params, so they already
+  // respect the locked cells; they are scored in full (no cache to start from)
+  const receiveMigrants = (schedules) => {
+    const migrants = schedules
+      .slice(0, Math.max(0, population.length - opts.eliteCount))
+      .map(schedule => ({ genes: encodeSchedule(schedule, encoding) }));
+    if (migrants.length === 0) return;
+
+    population.splice(population.length - migrants.length, migrants.length, ...migrants);
+    evaluatePopulation(migrants, evaluate);
+    population.sort((a, b) => a.fitness - b.fitness);
+    if (trackBest()) stagnationCount = 0;
+  };
+
+  const getResult = () => ({
+    success: true,
+    schedule: decodeSchedule(bestChromosome.genes, encoding),
+    fitness: bestFitness,
+    evaluation: bestChromosome.evaluation,
+    generations: Math.min(opts.maxGenerations, stagnationCount > 0 ? opts.maxGenerations - opts.stagnationLimit + stagnationCount : opts.maxGenerations),
+    timeMs: Date.now() - startTime,
+    method: 'ga'
+  });
+
+  return { step, getStopReason, getProgress, getMigrants, receiveMigrants, getResult };
+};
+
+/**
+ * Run the genetic algorithm
+ *
+ * @param {Object} params
+ * @param {number} params.daysInMonth
+ * @param {number} params.firstDayOfMonth - Weekday of day 0 (0 = Monday), for weekend rules
+ * @param {Object} params.previousMonthSchedule - Previous month shifts by employee (optional)
+ * @param {Array<number>} params.holidays - Holiday day indices, 0-based (optional)
+ * @param {Object} params.lockedShifts - Cells never changed by the operators, { empId: { day: shiftId } } (optional)
+ * @param {Object} params.wishes - Employee wishes (soft), { empId: [{ day, shiftId, type }] } (optional)
+ * @param {Array<Object>} params.employees
+ * @param {Array<Object>} params.shiftTypes
+ * @param {Object} params.baselineShifts - Pre-generated baseline schedule by employee ID
+ * @param {Array<Object>} params.constraints
+ * @param {Array<Object>} params.coverageRules
+ * @param {Array<Object>} params.shiftGroups - Shift groups referenced by constraints/rules
+ * @param {Object} params.options - GA options
+ * @param {Function} params.onProgress - Progress callback
+ * @returns {Object} Result with best schedule
+ */
+export const runGeneticAlgorithm = (params) => {
+  const { onProgress } = params;
+  const ga = createScheduleGA(params);
+
+  // Evolution loop
+  for (let gen = 0; ; gen++) {
+    const stopReason = ga.getStopReason();
+    if (stopReason) {
+      console.log('[GA] Terminated:', stopReason, 'at gen', gen);
+      break;
+    }
+
+    ga.step();
 
     // Report progress
     if (onProgress && gen % 5 === 0) {
-      onProgress({
-        generation: gen,
-        maxGenerations: opts.maxGenerations,
-        bestFitness: bestFitness,
-        avgFitness: population.reduce((sum, c) => sum + c.fitness, 0) / population.length,
-        isValid: bestChromosome.evaluation?.isValid || false,
-        constraintViolations: bestChromosome.evaluation?.components?.constraintViolations || 0,
-        coverageViolations: bestChromosome.evaluation?.components?.coverageViolations || 0,
-        hoursDeviation: bestChromosome.evaluation?.components?.hoursPenalty || 0,
-        matrixChanges: bestChromosome.evaluation?.components?.matrixDeviations || 0,
-        stagnation: stagnationCount,
-        timeMs: Date.now() - startTime
-      });
+      onProgress({ ...ga.getProgress(), generation: gen });
     }
   }
 
   // Final progress report
   if (onProgress) {
-    onProgress({
-      generation: opts.maxGenerations,
-      maxGenerations: opts.maxGenerations,
-      bestFitness: bestFitness,
-      avgFitness: population.reduce((sum, c) => sum + c.fitness, 0) / population.length,
-      isValid: bestChromosome.evaluation?.isValid || false,
-      constraintViolations: bestChromosome.evaluation?.components?.constraintViolations || 0,
-      coverageViolations: bestChromosome.evaluation?.components?.coverageViolations || 0,
-      hoursDeviation: bestChromosome.evaluation?.components?.hoursPenalty || 0,
-      matrixChanges: bestChromosome.evaluation?.components?.matrixDeviations || 0,
-      stagnation: stagnationCount,
-      timeMs: Date.now() - startTime,
-      complete: true
-    });
+    onProgress(ga.getProgress(true));
   }
 
-  return {
-    success: true,
-    schedule: bestChromosome.schedule,
-    fitness: bestFitness,
-    evaluation: bestChromosome.evaluation,
-    generations: Math.min(opts.maxGenerations, stagnationCount > 0 ? opts.maxGenerations - opts.stagnationLimit + stagnationCount : opts.maxGenerations),
-    timeMs: Date.now() - startTime,
-    method: 'ga'
-  };
-};
\ No newline at end of file
+  return ga.getResult();
+};
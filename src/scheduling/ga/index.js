@@ -6,11 +6,13 @@
 
 export {
   runGeneticAlgorithm,
+  createScheduleGA,
   DEFAULT_SCHEDULE_GA_CONFIG
 } from './geneticAlgorithm.js';
 
 export {
   evaluateFitness,
+  scoreValidation,
   quickFitness,
   countConstraintViolations,
   calculateHoursDeviation,
@@ -19,6 +21,18 @@ export {
   WEIGHTS
 } from './fitness.js';
 
+export { createDeltaEvaluator } from './delta.js';
+
+export { runLocalSearch, DEFAULT_LOCAL_SEARCH_CONFIG } from './localSearch.js';
+
+export {
+  createEncoding,
+  encodeSchedule,
+  decodeSchedule,
+  decodeRow,
+  EMPTY_GENE
+} from './encoding.js';
+
 export {
   tournamentSelect,
   singlePointCrossover,
@@ -27,6 +41,9 @@ export {
   swapMutation,
   pointMutation,
   guidedMutation,
+  skillRepairMutation,
+  getCoverageDetails,
+  coverageRepairMutation,
   cloneChromosome,
   createOffspring
 } from './operators.js';
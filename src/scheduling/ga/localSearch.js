@@ -0,0 +1,147 @@
+/**
+ * Local Search (memetic phase)
+ *
+ * The GA often stagnates a few swaps away from a valid schedule (e.g. one
+ * day short on mornings and another one over). This first-improvement
+ * descent starts from the GA's best schedule and tries, in turn:
+ * - inter-employee swaps: two employees exchange their shifts on a day
+ * - intra-employee swaps: an employee exchanges two of its days
+ * - block moves: two employees exchange a run of 2+ consecutive days
+ * Days with a coverage violation are scanned first. A move is kept only if
+ * it lowers the fitness (scored incrementally, see delta.js, with the same
+ * result as evaluateFitness). The search ends at a local optimum (a full
+ * scan without improvement) or at its time limit.
+ */
+
+import { createDeltaEvaluator } from './delta.js';
+import { createEncoding, encodeSchedule, decodeSchedule } from './encoding.js';
+
+/**
+ * Default local search parameters
+ */
+export const DEFAULT_LOCAL_SEARCH_CONFIG = {
+  TIMEOUT_MS: 10000,
+  SWAP_WINDOW: 7,
+  MAX_BLOCK_LENGTH: 4
+};
+
+/**
+ * @typedef {Object} LocalSearchResult
+ * @property {Object<string, Array<string>>} schedule - Improved schedule, { empId: shifts[] }
+ * @property {number} fitness
+ * @property {Object} evaluation - Same as evaluateFitness
+ * @property {number} moves - Moves kept
+ * @property {string} stopReason - 'local_optimum' | 'timeout'
+ * @property {number} timeMs
+ */
+
+/**
+ * Improve a schedule with a local search
+ *
+ * @param {Object<string, Array<string>>} schedule - Starting schedule (the GA's best)
+ * @param {Object} context - Same context as evaluateFitness (lockedShifts are never moved)
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.swapWindow] - Max distance of the days of an intra-employee swap
+ * @param {number} [options.maxBlockLength] - Longest block move
+ * @returns {LocalSearchResult}
+ */
+export const runLocalSearch = (schedule, context, options = {}) => {
+  const {
+    timeoutMs = DEFAULT_LOCAL_SEARCH_CONFIG.TIMEOUT_MS,
+    swapWindow = DEFAULT_LOCAL_SEARCH_CONFIG.SWAP_WINDOW,
+    maxBlockLength = DEFAULT_LOCAL_SEARCH_CONFIG.MAX_BLOCK_LENGTH
+  } = options;
+  const startTime = Date.now();
+
+  const encoding = createEncoding({
+    employees: context.employees,
+    shiftTypes: context.shiftTypes,
+    daysInMonth: context.daysInMonth,
+    schedules: [context.baselineShifts, schedule],
+    lockedShifts: context.lockedShifts
+  });
+  const { employees, daysInMonth, excluded, locked } = encoding;
+  const { evaluate } = createDeltaEvaluator({ ...context, encoding });
+
+  let current = { genes: encodeSchedule(schedule, encoding) };
+  current.evaluation = evaluate(current);
+  let moves = 0;
+
+  // A move swaps the values of pairs of cells, [cellA, empA, cellB, empB];
+  // it is kept only if the fitness drops
+  const tryMove = (pairs) => {
+    const genes = current.genes.slice();
+    let changed = false;
+    for (const [a, ea, b, eb] of pairs) {
+      if (genes[a] === genes[b]) continue;
+      if (locked[a] || locked[b] || excluded[ea][genes[b]] || excluded[eb][genes[a]]) return false;
+      const gene = genes[a];
+      genes[a] = genes[b];
+      genes[b] = gene;
+      changed = true;
+    }
+    if (!changed) return false;
+
+    const candidate = { genes, cache: current.cache };
+    const evaluation = evaluate(candidate);
+    if (evaluation.fitness >= current.evaluation.fitness) return false;
+
+    candidate.evaluation = evaluation;
+    current = candidate;
+    moves++;
+    return true;
+  };
+
+  // Days short or over on coverage first
+  const getDayOrder = () => {
+    const days = Array.from({ length: daysInMonth }, (_, day) => day);
+    const violated = days.filter(day => current.cache.dayCoverages[day].violations > 0);
+    return [...violated, ...days.filter(day => !violated.includes(day))];
+  };
+
+  function* neighbourhood(dayOrder) {
+    const cell = (e, day) => e * daysInMonth + day;
+    for (const day of dayOrder) {
+      for (let e1 = 0; e1 < employees.length; e1++) {
+        for (let e2 = e1 + 1; e2 < employees.length; e2++) {
+          yield [[cell(e1, day), e1, cell(e2, day), e2]];
+        }
+      }
+      for (let e = 0; e < employees.length; e++) {
+        for (let other = day + 1; other <= day + swapWindow && other < daysInMonth; other++) {
+          yield [[cell(e, day), e, cell(e, other), e]];
+        }
+      }
+      for (let length = 2; length <= maxBlockLength && day + length <= daysInMonth; length++) {
+        for (let e1 = 0; e1 < employees.length; e1++) {
+          for (let e2 = e1 + 1; e2 < employees.length; e2++) {
+            yield Array.from({ length }, (_, i) => [cell(e1, day + i), e1, cell(e2, day + i), e2]);
+          }
+        }
+      }
+    }
+  }
+
+  let timedOut = false;
+  let improved = true;
+  while (improved && !timedOut && current.evaluation.fitness > 0) {
+    improved = false;
+    for (const move of neighbourhood(getDayOrder())) {
+      if (Date.now() - startTime > timeoutMs) {
+        timedOut = true;
+        break;
+      }
+      if (tryMove(move)) improved = true;
+    }
+  }
+
+  return {
+    schedule: decodeSchedule(current.genes, encoding),
+    fitness: current.evaluation.fitness,
+    evaluation: current.evaluation,
+    moves,
+    stopReason: timedOut ? 'timeout' : 'local_optimum',
+    timeMs: Date.now() - startTime
+  };
+};
@@ -3,8 +3,25 @@
  *
  * Implements selection, crossover, and mutation operators
  * for schedule optimization.
+ *
+ * Chromosomes are { genes: Uint8Array } (see encoding.js): the cell of
+ * employee `e` on day `d` is genes[e * daysInMonth + d].
  */
 
+import { isCoverageRuleActive, checkDayCoverage, getEmployeeSkills } from '../evaluator.js';
+import { getValidShiftsInRow, prepareValidation } from '../constraints.js';
+import { decodeRow, decodeSchedule } from './encoding.js';
+
+// Fisher-Yates shuffle of a copy
+const shuffled = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
 /**
  * Tournament selection - select best individual from random subset
  *
@@ -31,32 +48,22 @@ export const tournamentSelect = (population, tournamentSize = 5) => {
  *
  * @param {Object} parent1 - First parent chromosome
  * @param {Object} parent2 - Second parent chromosome
- * @param {Array<Object>} employees - Employee list for iteration
- * @param {number} daysInMonth - Number of days
+ * @param {ScheduleEncoding} encoding - Lookup tables of the run
  * @returns {Object} Child chromosome
  */
-export const singlePointCrossover = (parent1, parent2, employees, daysInMonth) => {
+export const singlePointCrossover = (parent1, parent2, encoding) => {
+  const { employees, daysInMonth } = encoding;
   // Random crossover point (day)
   const crossPoint = Math.floor(Math.random() * daysInMonth);
 
-  const childSchedule = {};
-
-  for (const emp of employees) {
-    const p1Shifts = parent1.schedule[emp.id];
-    const p2Shifts = parent2.schedule[emp.id];
-
-    if (!p1Shifts || !p2Shifts) continue;
-
-    // Take days 0..crossPoint from parent1, rest from parent2
-    const childShifts = [
-      ...p1Shifts.slice(0, crossPoint),
-      ...p2Shifts.slice(crossPoint)
-    ];
-
-    childSchedule[emp.id] = childShifts;
+  // Take days 0..crossPoint from parent1, rest from parent2
+  const genes = parent2.genes.slice();
+  for (let e = 0; e < employees.length; e++) {
+    const offset = e * daysInMonth;
+    genes.set(parent1.genes.subarray(offset, offset + crossPoint), offset);
   }
 
-  return { schedule: childSchedule };
+  return { genes };
 };
 
 /**
@@ -64,29 +71,16 @@ export const singlePointCrossover = (parent1, parent2, employees, daysInMonth) =
  *
  * @param {Object} parent1 - First parent chromosome
  * @param {Object} parent2 - Second parent chromosome
- * @param {Array<Object>} employees - Employee list
- * @param {number} daysInMonth - Number of days
  * @returns {Object} Child chromosome
  */
-export const uniformCrossover = (parent1, parent2, employees, daysInMonth) => {
-  const childSchedule = {};
-
-  for (const emp of employees) {
-    const p1Shifts = parent1.schedule[emp.id];
-    const p2Shifts = parent2.schedule[emp.id];
-
-    if (!p1Shifts || !p2Shifts) continue;
-
-    const childShifts = [];
-    for (let day = 0; day < daysInMonth; day++) {
-      // Randomly pick from either parent
-      childShifts.push(Math.random() < 0.5 ? p1Shifts[day] : p2Shifts[day]);
-    }
-
-    childSchedule[emp.id] = childShifts;
+export const uniformCrossover = (parent1, parent2) => {
+  const genes = parent1.genes.slice();
+  for (let i = 0; i < genes.length; i++) {
+    // Randomly pick from either parent
+    if (Math.random() < 0.5) genes[i] = parent2.genes[i];
   }
 
-  return { schedule: childSchedule };
+  return { genes };
 };
 
 /**
@@ -95,31 +89,37 @@ export const uniformCrossover = (parent1, parent2, employees, daysInMonth) => {
  *
  * @param {Object} parent1
  * @param {Object} parent2
- * @param {Array<Object>} employees
+ * @param {ScheduleEncoding} encoding
  * @returns {Object} Child chromosome
  */
-export const employeeCrossover = (parent1, parent2, employees) => {
-  const childSchedule = {};
+export const employeeCrossover = (parent1, parent2, encoding) => {
+  const { employees, daysInMonth } = encoding;
+  const genes = parent1.genes.slice();
 
-  for (const emp of employees) {
+  for (let e = 0; e < employees.length; e++) {
     // Randomly pick entire schedule from either parent
-    const source = Math.random() < 0.5 ? parent1 : parent2;
-    childSchedule[emp.id] = [...source.schedule[emp.id]];
+    if (Math.random() < 0.5) {
+      const offset = e * daysInMonth;
+      genes.set(parent2.genes.subarray(offset, offset + daysInMonth), offset);
+    }
   }
 
-  return { schedule: childSchedule };
+  return { genes };
 };
 
 /**
  * Swap mutation - swap shifts between two employees on the same day
  * This preserves coverage requirements but must respect employee exclusions
+ * Locked cells (absences, pinned shifts) are never swapped.
  *
  * @param {Object} chromosome - Chromosome to mutate (modified in place)
- * @param {Array<Object>} employees - Employee list
- * @param {number} daysInMonth - Number of days
+ * @param {ScheduleEncoding} encoding
  * @param {number} mutationRate - Probability of mutation per gene
  */
-export const swapMutation = (chromosome, employees, daysInMonth, mutationRate = 0.05) => {
+export const swapMutation = (chromosome, encoding, mutationRate = 0.05) => {
+  const { employees, daysInMonth, excluded, locked } = encoding;
+  const { genes } = chromosome;
+
   for (let day = 0; day < daysInMonth; day++) {
     if (Math.random() > mutationRate) continue;
 
@@ -130,61 +130,47 @@ export const swapMutation = (chromosome, employees, daysInMonth, mutationRate =
       idx2 = Math.floor(Math.random() * employees.length);
     }
 
-    const emp1 = employees[idx1];
-    const emp2 = employees[idx2];
-
-    const shifts1 = chromosome.schedule[emp1.id];
-    const shifts2 = chromosome.schedule[emp2.id];
-
-    if (shifts1 && shifts2) {
-      const s1 = shifts1[day];
-      const s2 = shifts2[day];
-
-      if (s1 === s2) continue;
+    const cell1 = idx1 * daysInMonth + day;
+    const cell2 = idx2 * daysInMonth + day;
+    if (locked[cell1] || locked[cell2]) continue;
 
-      // Check if emp1 can do s2 and emp2 can do s1
-      const emp1CanDo = !emp1.excludedShifts || !emp1.excludedShifts.includes(s2);
-      const emp2CanDo = !emp2.excludedShifts || !emp2.excludedShifts.includes(s1);
+    const s1 = genes[cell1];
+    const s2 = genes[cell2];
+    if (s1 === s2) continue;
 
-      if (emp1CanDo && emp2CanDo) {
-        shifts1[day] = s2;
-        shifts2[day] = s1;
-      }
+    // Check if emp1 can do s2 and emp2 can do s1
+    if (!excluded[idx1][s2] && !excluded[idx2][s1]) {
+      genes[cell1] = s2;
+      genes[cell2] = s1;
     }
   }
 };
 
 /**
  * Point mutation - change a single shift to another valid option
+ * Absences only come from the employees' calendars, so only work shifts are drawn.
  *
  * @param {Object} chromosome - Chromosome to mutate (modified in place)
- * @param {Array<Object>} employees - Employee list
- * @param {Array<Object>} shiftTypes - Available shift types
- * @param {number} daysInMonth - Number of days
+ * @param {ScheduleEncoding} encoding
  * @param {number} mutationRate - Probability of mutation per gene
  */
-export const pointMutation = (chromosome, employees, shiftTypes, daysInMonth, mutationRate = 0.02) => {
-  const shiftIds = shiftTypes.map(s => s.id);
-
-  for (const emp of employees) {
-    const shifts = chromosome.schedule[emp.id];
-    if (!shifts) continue;
+export const pointMutation = (chromosome, encoding, mutationRate = 0.02) => {
+  const { employees, daysInMonth, workShifts, excluded, locked } = encoding;
+  const { genes } = chromosome;
 
+  for (let e = 0; e < employees.length; e++) {
     // Get valid shifts for this employee
-    let validShifts = shiftIds;
-    if (emp.excludedShifts && Array.isArray(emp.excludedShifts)) {
-      validShifts = shiftIds.filter(s => !emp.excludedShifts.includes(s));
-    }
+    const validShifts = workShifts.filter(shift => !excluded[e][shift]);
 
     for (let day = 0; day < daysInMonth; day++) {
       if (Math.random() > mutationRate) continue;
+      const cell = e * daysInMonth + day;
+      if (locked[cell]) continue;
 
       // Pick a random different shift
-      const currentShift = shifts[day];
-      const otherShifts = validShifts.filter(s => s !== currentShift);
-
+      const otherShifts = validShifts.filter(shift => shift !== genes[cell]);
       if (otherShifts.length > 0) {
-        shifts[day] = otherShifts[Math.floor(Math.random() * otherShifts.length)];
+        genes[cell] = otherShifts[Math.floor(Math.random() * otherShifts.length)];
       }
     }
   }
@@ -194,44 +180,196 @@ export const pointMutation = (chromosome, employees, shiftTypes, daysInMonth, mu
  * Guided mutation - prefer changes that move toward matrix pattern
  *
  * @param {Object} chromosome
- * @param {Array<Object>} employees
- * @param {Object<string, Array<string>>} baselineShifts - Matrix-derived baseline
- * @param {number} daysInMonth
+ * @param {ScheduleEncoding} encoding
+ * @param {Uint8Array} baselineGenes - Matrix-derived baseline, encoded
  * @param {number} mutationRate
+ * @param {number} baselineAdherence - Probability of reverting a differing gene to baseline
  */
-export const guidedMutation = (chromosome, employees, baselineShifts, daysInMonth, mutationRate = 0.03, baselineAdherence = 0.7) => {
-  for (const emp of employees) {
-    const shifts = chromosome.schedule[emp.id];
-    const baseline = baselineShifts[emp.id];
+export const guidedMutation = (chromosome, encoding, baselineGenes, mutationRate = 0.03, baselineAdherence = 0.7) => {
+  const { locked } = encoding;
+  const { genes } = chromosome;
 
-    if (!shifts || !baseline) continue;
+  for (let cell = 0; cell < genes.length; cell++) {
+    if (Math.random() > mutationRate) continue;
+    if (locked[cell] || !baselineGenes[cell]) continue;
 
-    for (let day = 0; day < daysInMonth; day++) {
-      if (Math.random() > mutationRate) continue;
+    // If current differs from baseline, prefer moving toward baseline
+    // Use parametrized probability (default 70%) to revert to baseline
+    if (genes[cell] !== baselineGenes[cell] && Math.random() < baselineAdherence) {
+      genes[cell] = baselineGenes[cell];
+    }
+  }
+};
+
+/**
+ * Skill repair mutation - fix days where a skill-aware coverage rule is short
+ * by swapping a qualified employee onto the rule's shift with an unqualified
+ * colleague. Headcount per shift is unchanged by the swap.
+ *
+ * @param {Object} chromosome - Chromosome to mutate (modified in place)
+ * @param {ScheduleEncoding} encoding - Employees carry their optional skills[]
+ * @param {Array<Object>} skillRules - Resolved coverage rules that have a skill
+ * @param {number} repairRate - Probability of repairing each shortage
+ * @param {number} [firstDayOfMonth] - Weekday of day 0 (0 = Monday), for weekday-scoped rules
+ * @param {Array<number>} [holidays] - Holiday day indices (0-based)
+ */
+export const skillRepairMutation = (chromosome, encoding, skillRules, repairRate = 0.5, firstDayOfMonth, holidays = []) => {
+  const { employees, daysInMonth, shiftIndex, excluded, locked } = encoding;
+  const { genes } = chromosome;
+  const indices = employees.map((_, e) => e);
 
-      // If current differs from baseline, prefer moving toward baseline
-      if (shifts[day] !== baseline[day]) {
-        // Use parametrized probability (default 70%) to revert to baseline
-        if (Math.random() < baselineAdherence) {
-          shifts[day] = baseline[day];
+  for (const rule of skillRules) {
+    const ruleShifts = new Set(rule.shiftIds.map(id => shiftIndex.get(id)));
+    const qualified = employees.map(emp => (emp.skills || []).includes(rule.skill));
+
+    for (let day = 0; day < daysInMonth; day++) {
+      if (!isCoverageRuleActive(rule, day, firstDayOfMonth, holidays)) continue;
+      const cellOf = (e) => e * daysInMonth + day;
+      const onRule = (e) => ruleShifts.has(genes[cellOf(e)]);
+      let shortage = rule.min - indices.filter(e => onRule(e) && qualified[e]).length;
+
+      while (shortage > 0 && Math.random() < repairRate) {
+        const donors = indices.filter(e => qualified[e] && !onRule(e) && !locked[cellOf(e)]);
+        const receivers = indices.filter(e => !qualified[e] && onRule(e) && !locked[cellOf(e)]);
+
+        const pairs = [];
+        for (const donor of donors) {
+          for (const receiver of receivers) {
+            if (!excluded[donor][genes[cellOf(receiver)]] && !excluded[receiver][genes[cellOf(donor)]]) {
+              pairs.push([donor, receiver]);
+            }
+          }
         }
+        if (pairs.length === 0) break;
+
+        const [donor, receiver] = pairs[Math.floor(Math.random() * pairs.length)];
+        const donorShift = genes[cellOf(donor)];
+        genes[cellOf(donor)] = genes[cellOf(receiver)];
+        genes[cellOf(receiver)] = donorShift;
+        shortage--;
       }
     }
   }
 };
 
 /**
- * Clone a chromosome (deep copy of schedule)
+ * Coverage details of a chromosome, counted by the evaluator (see checkDayCoverage)
+ * Offspring are mutated before they are evaluated, so their coverage is not
+ * known yet: the entries are the ones of evaluateFitness's coverageDetails.
+ *
+ * @param {Object} chromosome
+ * @param {ScheduleEncoding} encoding - Employees carry their optional skills[]
+ * @param {Array<Object>} coverageRules - Resolved coverage rules (see resolveCoverageRules)
+ * @param {number} [firstDayOfMonth] - Weekday of day 0 (0 = Monday), for weekday-scoped rules
+ * @param {Array<number>} [holidays] - Holiday day indices (0-based)
+ * @returns {Array<Object>} Under- and over-covered rules by day
+ */
+export const getCoverageDetails = (chromosome, encoding, coverageRules, firstDayOfMonth, holidays = []) => {
+  const scheduleByEmployee = decodeSchedule(chromosome.genes, encoding);
+  const employeeSkills = getEmployeeSkills(encoding.employees);
+  const details = [];
+  for (let day = 0; day < encoding.daysInMonth; day++) {
+    details.push(...checkDayCoverage(scheduleByEmployee, day, coverageRules, employeeSkills, firstDayOfMonth, holidays).details);
+  }
+  return details;
+};
+
+/**
+ * Coverage repair mutation - for each under- or over-covered day, move one
+ * employee onto (or off) the rule's shifts. The new shift must not add
+ * constraint errors to the employee's row (see getValidShiftsInRow), must
+ * not be excluded for the employee, and locked cells are never moved.
+ * Employees on an over-covered shift are moved first, preferably onto an
+ * under-covered one.
+ *
+ * @param {Object} chromosome - Chromosome to mutate (modified in place)
+ * @param {ScheduleEncoding} encoding
+ * @param {Array<Object>} coverageDetails - Coverage details of the chromosome (see getCoverageDetails)
+ * @param {Object} validation - { constraints, shiftTypes, shiftGroups, firstDayOfMonth, previousMonthSchedule,
+ *   preparedValidation }
+ */
+export const coverageRepairMutation = (chromosome, encoding, coverageDetails, validation) => {
+  const { employees, daysInMonth, shiftIds, shiftIndex, workShifts, excluded, locked } = encoding;
+  const {
+    constraints = [],
+    shiftTypes = [],
+    shiftGroups = [],
+    firstDayOfMonth,
+    previousMonthSchedule,
+    preparedValidation = prepareValidation(constraints, shiftTypes, shiftGroups)
+  } = validation;
+  const { genes } = chromosome;
+
+  // Work shifts employee e can take on a day without new errors in its row
+  const getValidShifts = (e, day) => {
+    const row = decodeRow(genes, encoding, e);
+    const options = {
+      shiftGroups,
+      firstDayOfMonth,
+      previousShifts: previousMonthSchedule?.[employees[e].id],
+      prepared: preparedValidation
+    };
+    return getValidShiftsInRow(row, day, constraints, shiftTypes, options).filter(shiftId => {
+      const gene = shiftIndex.get(shiftId);
+      return workShifts.includes(gene) && !excluded[e][gene];
+    });
+  };
+
+  const shiftOf = (e, day) => shiftIds[genes[e * daysInMonth + day]];
+  const qualified = (e, detail) => !detail.skill || (employees[e].skills || []).includes(detail.skill);
+
+  // Details are counted before any repair: check them against the current genes
+  const isViolated = (detail) => {
+    let actual = 0;
+    for (let e = 0; e < employees.length; e++) {
+      if (detail.shiftIds.includes(shiftOf(e, detail.day)) && qualified(e, detail)) actual++;
+    }
+    return detail.type === 'under' ? actual < (detail.min ?? detail.required) : actual > detail.max;
+  };
+
+  for (const detail of coverageDetails) {
+    if (!isViolated(detail)) continue;
+    const { day } = detail;
+    const ruleShifts = new Set(detail.shiftIds);
+    const sameDay = coverageDetails.filter(other => other.day === day && other !== detail && isViolated(other));
+    const overShifts = new Set(sameDay.filter(other => other.type === 'over').flatMap(other => other.shiftIds));
+    const underShifts = new Set(sameDay.filter(other => other.type === 'under').flatMap(other => other.shiftIds));
+
+    const cellOf = (e) => e * daysInMonth + day;
+    const movable = employees
+      .map((_, e) => e)
+      .filter(e => !locked[cellOf(e)] && (detail.type === 'under'
+        ? !ruleShifts.has(shiftOf(e, day)) && qualified(e, detail)
+        : ruleShifts.has(shiftOf(e, day))));
+
+    // Under: take someone from an over-covered shift first
+    const candidates = detail.type === 'under'
+      ? shuffled(movable).sort((a, b) => overShifts.has(shiftOf(b, day)) - overShifts.has(shiftOf(a, day)))
+      : shuffled(movable);
+
+    for (const e of candidates) {
+      const targets = getValidShifts(e, day).filter(shiftId => ruleShifts.has(shiftId) === (detail.type === 'under'));
+      if (targets.length === 0) continue;
+
+      // Over: send the employee to an under-covered shift if possible
+      const preferred = targets.filter(shiftId => underShifts.has(shiftId));
+      const pool = preferred.length > 0 ? preferred : targets;
+      genes[cellOf(e)] = shiftIndex.get(pool[Math.floor(Math.random() * pool.length)]);
+      break;
+    }
+  }
+};
+
+/**
+ * Clone a chromosome (copy of its genes)
+ * The fitness cache is immutable and shared with the clone (see delta.js).
  *
  * @param {Object} chromosome
  * @returns {Object} Cloned chromosome
  */
 export const cloneChromosome = (chromosome) => {
-  const newSchedule = {};
-  for (const [empId, shifts] of Object.entries(chromosome.schedule)) {
-    newSchedule[empId] = [...shifts];
-  }
-  return { schedule: newSchedule };
+  const genes = chromosome.genes.slice();
+  return chromosome.cache ? { genes, cache: chromosome.cache } : { genes };
 };
 
 /**
@@ -239,41 +377,57 @@ export const cloneChromosome = (chromosome) => {
  *
  * @param {Object} parent1
  * @param {Object} parent2
- * @param {Object} context
+ * @param {Object} context - GA context, with `encoding` and `baselineGenes`
+ *   (`resolvedCoverageRules` enables the coverage repair)
  * @param {Object} options
+ * @param {number} [options.coverageRepairRate] - Probability of a coverage repair on the child
  * @returns {Object} Child chromosome
  */
 export const createOffspring = (parent1, parent2, context, options = {}) => {
-  const { employees, shiftTypes, baselineShifts, daysInMonth } = context;
+  const { encoding, baselineGenes, firstDayOfMonth, holidays, skillCoverageRules, resolvedCoverageRules } = context;
   const {
     crossoverType = 'employee',
     mutationRate = 0.05,
     usedGuidedMutation = true,
-    baselineAdherence = 0.7
+    baselineAdherence = 0.7,
+    coverageRepairRate = 0.1
   } = options;
 
   // Crossover
   let child;
   switch (crossoverType) {
     case 'single':
-      child = singlePointCrossover(parent1, parent2, employees, daysInMonth);
+      child = singlePointCrossover(parent1, parent2, encoding);
       break;
     case 'uniform':
-      child = uniformCrossover(parent1, parent2, employees, daysInMonth);
+      child = uniformCrossover(parent1, parent2);
       break;
     case 'employee':
     default:
-      child = employeeCrossover(parent1, parent2, employees);
+      child = employeeCrossover(parent1, parent2, encoding);
       break;
   }
 
+  // Incremental fitness starts from parent1 and reuses parent2's rows
+  if (parent1.cache) child.cache = parent1.cache;
+  if (parent2 !== parent1 && parent2.cache) child.donorCaches = [parent2.cache];
+
   // Apply mutations
-  swapMutation(child, employees, daysInMonth, mutationRate);
+  swapMutation(child, encoding, mutationRate);
 
-  if (usedGuidedMutation && baselineShifts) {
-    guidedMutation(child, employees, baselineShifts, daysInMonth, mutationRate * 0.5, baselineAdherence);
+  if (usedGuidedMutation && baselineGenes) {
+    guidedMutation(child, encoding, baselineGenes, mutationRate * 0.5, baselineAdherence);
   } else {
-    pointMutation(child, employees, shiftTypes, daysInMonth, mutationRate * 0.3);
+    pointMutation(child, encoding, mutationRate * 0.3);
+  }
+
+  if (resolvedCoverageRules && Math.random() < coverageRepairRate) {
+    const coverageDetails = getCoverageDetails(child, encoding, resolvedCoverageRules, firstDayOfMonth, holidays);
+    coverageRepairMutation(child, encoding, coverageDetails, context);
+  }
+
+  if (skillCoverageRules && skillCoverageRules.length > 0) {
+    skillRepairMutation(child, encoding, skillCoverageRules, 0.5, firstDayOfMonth, holidays);
   }
 
   return child;
@@ -10,10 +10,16 @@
  * - Coverage requirements checking
  */
 
-import { getDaysInMonth, calculateMonthlyHours } from '../utils/dates';
+import { getDaysInMonth, getFirstDayOfMonth, calculateMonthlyHours } from '../utils/dates';
 import { validateSequenceWithConstraints } from './constraints';
+import { getAbsenceLocks, mergeLockedShifts } from './locks';
+import { getMonthWishes } from './preferences';
+import { checkCoverageFeasibility } from './feasibility';
+import { diagnoseInfeasibility } from './diagnosis';
+import { getIslandOptions } from './islands';
 import {
   optimizeSchedule,
+  createGAIsland,
   calculateWorkerHours,
   generateDefaultMatrix
 } from './optimizer';
@@ -61,28 +67,12 @@ const applyExclusionConstraints = (shifts, employee, replacement = 'P') => {
 };
 
 /**
- * Generate a complete monthly schedule using optimization
- *
- * Process:
- * 1. Run optimizer (GA or greedy fallback)
- * 2. Calculate hours for each employee
+ * Build the optimizer params for a month (locks, wishes, matrix lookup)
  *
- * Note: Constraint validation and warnings are now handled by the
- * centralized evaluator (evaluateSchedule) in App.jsx after generation.
- *
- * @param {Object} params
- * @param {number} params.year
- * @param {number} params.month
- * @param {Array<Object>} params.employees
- * @param {Array<Object>} params.shiftTypes
- * @param {Array<Object>} params.matrices - Array of { id, name, rows } objects
- * @param {Array<Object>} params.coverageRules
- * @param {Array<Object>} params.constraints
- * @param {Object|null} params.previousMonthSchedule
- * @param {Object} params.optimizerOptions - Options for the optimizer
- * @returns {GenerationResult}
+ * @param {Object} params - Same as generateMonthlySchedule, without optimizerOptions
+ * @returns {Object} Params for optimizeSchedule / solveWithGA
  */
-export const generateMonthlySchedule = ({
+const buildOptimizerParams = ({
   year,
   month,
   employees,
@@ -90,11 +80,20 @@ export const generateMonthlySchedule = ({
   matrices,
   coverageRules,
   constraints,
-  previousMonthSchedule,
-  optimizerOptions = {}
+  shiftGroups = [],
+  holidays = [],
+  pinnedShifts = {},
+  previousMonthSchedule
 }) => {
   const daysInMonth = getDaysInMonth(year, month);
 
+  // Pinned cells and absences from the employees' calendars are never optimized
+  // (an absence wins over a pin on the same day)
+  const lockedShifts = mergeLockedShifts(pinnedShifts, getAbsenceLocks(employees, year, month));
+
+  // Employee wishes (desiderata) are soft objectives for the GA
+  const wishes = getMonthWishes(employees, year, month);
+
   // Build a map from matrixId to matrix rows for quick lookup
   const matrixMap = {};
   for (const m of matrices) {
@@ -105,8 +104,7 @@ export const generateMonthlySchedule = ({
   const defaultMatrix = matrices[0]?.rows || generateDefaultMatrix();
   const cycleLength = defaultMatrix[0]?.length || 7;
 
-  // Step 1: Run optimizer
-  const optimizerResult = optimizeSchedule({
+  return {
     year,
     month,
     daysInMonth,
@@ -117,21 +115,36 @@ export const generateMonthlySchedule = ({
     defaultMatrix,
     constraints,
     coverageRules,
+    shiftGroups,
+    holidays,
+    lockedShifts,
+    wishes,
     previousMonthSchedule,
     cycleLength
-  }, {
-    useGA: optimizerOptions.useCSP !== false, // Map legacy useCSP to useGA
-    greedyFallback: optimizerOptions.greedyFallback === true,
-    gaTimeoutMs: optimizerOptions.gaTimeoutMs || 60000,
-    gaPopulationSize: optimizerOptions.populationSize,
-    gaMaxGenerations: optimizerOptions.maxGenerations,
-    gaStagnationLimit: optimizerOptions.stagnationLimit,
-    gaEliteCount: optimizerOptions.eliteCount,
-    gaMutationRate: optimizerOptions.mutationRate,
-    weights: optimizerOptions.weights,
-    onProgress: optimizerOptions.onProgress,
-    baselineAdherence: optimizerOptions.baselineAdherence
-  });
+  };
+};
+
+/**
+ * Turn an optimizer result into a GenerationResult (hours, failure message)
+ *
+ * @param {Object} optimizerResult - Result of optimizeSchedule / solveWithGA
+ * @param {Object} optimizerParams - Result of buildOptimizerParams
+ * @returns {GenerationResult}
+ */
+const buildGenerationResult = (optimizerResult, optimizerParams) => {
+  const {
+    year,
+    month,
+    daysInMonth,
+    employees,
+    shiftTypes,
+    coverageRules,
+    shiftGroups,
+    holidays,
+    lockedShifts,
+    matrixMap,
+    defaultMatrix
+  } = optimizerParams;
 
   if (!optimizerResult.success) {
     let friendlyMessage = "Errore durante l'ottimizzazione.";
@@ -155,6 +168,21 @@ export const generateMonthlySchedule = ({
         friendlyMessage = `Errore di ottimizzazione: ${optimizerResult.reason}`;
     }
 
+    // A staffing shortage explains the failure better than the search does
+    const feasibility = checkCoverageFeasibility({
+      employees,
+      shiftTypes,
+      coverageRules,
+      shiftGroups,
+      daysInMonth,
+      firstDayOfMonth: getFirstDayOfMonth(year, month),
+      holidays,
+      lockedShifts
+    });
+    if (['constraints_violated', 'no_solution'].includes(optimizerResult.reason) && feasibility.issues.length > 0) {
+      friendlyMessage = feasibility.issues[0].message;
+    }
+
     // Build the best-effort schedule if optimizer returned one (even on failure)
     // Note: Detailed warnings will be built by the centralized evaluator in App.jsx
     let bestEffortSchedule = {};
@@ -187,7 +215,8 @@ export const generateMonthlySchedule = ({
         message: friendlyMessage,
         details: {
           reason: optimizerResult.reason,
-          stats: optimizerResult.stats
+          stats: optimizerResult.stats,
+          feasibility
         }
       }],
       metadata: {
@@ -253,6 +282,143 @@ export const generateMonthlySchedule = ({
   };
 };
 
+/**
+ * Generate a complete monthly schedule using optimization
+ *
+ * Process:
+ * 1. Run optimizer (GA or greedy fallback)
+ * 2. Calculate hours for each employee
+ *
+ * Note: Constraint validation and warnings are now handled by the
+ * centralized evaluator (evaluateSchedule) in App.jsx after generation.
+ *
+ * @param {Object} params
+ * @param {number} params.year
+ * @param {number} params.month
+ * @param {Array<Object>} params.employees
+ * @param {Array<Object>} params.shiftTypes - Shift types, plus absence types (absence: true) used in calendars
+ * @param {Array<Object>} params.matrices - Array of { id, name, rows } objects
+ * @param {Array<Object>} params.coverageRules
+ * @param {Array<Object>} params.constraints
+ * @param {Array<Object>} [params.shiftGroups] - Shift groups referenced by constraints/rules
+ * @param {Array<number>} [params.holidays] - Holiday day indices, 0-based
+ * @param {Object} [params.pinnedShifts] - Cells pinned by hand, { empId: { day: shiftId } }
+ * @param {Object|null} params.previousMonthSchedule
+ * @param {Object} params.optimizerOptions - Options for the optimizer
+ * @returns {GenerationResult}
+ */
+export const generateMonthlySchedule = ({
+  year,
+  month,
+  employees,
+  shiftTypes,
+  matrices,
+  coverageRules,
+  constraints,
+  shiftGroups = [],
+  holidays = [],
+  pinnedShifts = {},
+  previousMonthSchedule,
+  optimizerOptions = {}
+}) => {
+  const optimizerParams = buildOptimizerParams({
+    year,
+    month,
+    employees,
+    shiftTypes,
+    matrices,
+    coverageRules,
+    constraints,
+    shiftGroups,
+    holidays,
+    pinnedShifts,
+    previousMonthSchedule
+  });
+
+  // Step 1: Run optimizer
+  const optimizerResult = optimizeSchedule(optimizerParams, {
+    useGA: optimizerOptions.useCSP !== false, // Map legacy useCSP to useGA
+    greedyFallback: optimizerOptions.greedyFallback === true,
+    gaTimeoutMs: optimizerOptions.gaTimeoutMs || 60000,
+    gaPopulationSize: optimizerOptions.populationSize,
+    gaMaxGenerations: optimizerOptions.maxGenerations,
+    gaStagnationLimit: optimizerOptions.stagnationLimit,
+    gaEliteCount: optimizerOptions.eliteCount,
+    gaMutationRate: optimizerOptions.mutationRate,
+    gaCoverageRepairRate: optimizerOptions.coverageRepairRate,
+    weights: optimizerOptions.weights,
+    onProgress: optimizerOptions.onProgress,
+    baselineAdherence: optimizerOptions.baselineAdherence,
+    method: optimizerOptions.method,
+    exactTimeoutMs: optimizerOptions.exactTimeoutMs,
+    localSearchTimeoutMs: optimizerOptions.localSearchTimeoutMs
+  });
+
+  return buildGenerationResult(optimizerResult, optimizerParams);
+};
+
+/**
+ * Start one island of the island-model GA (see islands.js)
+ *
+ * @param {Object} params - Same as generateMonthlySchedule
+ * @param {Object} params.island - { index, count, migrationInterval, migrantCount }
+ * @returns {Object} Island session: evolve(onProgress) runs up to
+ *   migrationInterval generations and returns true once the GA has stopped;
+ *   getProgress, getMigrants, receiveMigrants; getResult() returns a GenerationResult
+ */
+export const createScheduleIsland = ({ optimizerOptions = {}, island, ...params }) => {
+  const optimizerParams = buildOptimizerParams(params);
+  const ga = createGAIsland({
+    ...optimizerParams,
+    options: getIslandOptions({
+      timeoutMs: optimizerOptions.gaTimeoutMs || 60000,
+      populationSize: optimizerOptions.populationSize,
+      maxGenerations: optimizerOptions.maxGenerations,
+      stagnationLimit: optimizerOptions.stagnationLimit,
+      eliteCount: optimizerOptions.eliteCount,
+      mutationRate: optimizerOptions.mutationRate,
+      coverageRepairRate: optimizerOptions.coverageRepairRate,
+      weights: optimizerOptions.weights,
+      baselineAdherence: optimizerOptions.baselineAdherence,
+      localSearchTimeoutMs: optimizerOptions.localSearchTimeoutMs
+    }, island.index, island.count)
+  });
+
+  const evolve = (onProgress) => {
+    for (let i = 0; i < island.migrationInterval; i++) {
+      if (ga.getStopReason()) return true;
+      ga.step();
+      const progress = ga.getProgress();
+      if (onProgress && progress.generation % 5 === 0) {
+        onProgress({ ...progress, island: island.index });
+      }
+    }
+    return !!ga.getStopReason();
+  };
+
+  return {
+    evolve,
+    getProgress: ga.getProgress,
+    getMigrants: () => ga.getMigrants(island.migrantCount),
+    receiveMigrants: ga.receiveMigrants,
+    getResult: () => buildGenerationResult(ga.getResult(), optimizerParams)
+  };
+};
+
+/**
+ * Diagnose a month the GA could not solve (see diagnoseInfeasibility)
+ *
+ * @param {Object} params - Same as generateMonthlySchedule
+ * @param {Function} [params.onProgress] - Called with { run, maxRuns, subsetSize }
+ * @returns {Object} DiagnosisResult, see diagnosis.js
+ */
+export const diagnoseMonthlySchedule = ({ optimizerOptions = {}, onProgress, ...params }) => {
+  return diagnoseInfeasibility(buildOptimizerParams(params), {
+    weights: optimizerOptions.weights,
+    onProgress
+  });
+};
+
 /**
  * Regenerate schedule with a modified assignment for one employee
  *
@@ -301,7 +467,12 @@ export const regenerateWithModification = (
     const errors = validateSequenceWithConstraints(
       shifts,
       params.constraints,
-      params.shiftTypes
+      params.shiftTypes,
+      {
+        shiftGroups: params.shiftGroups,
+        firstDayOfMonth: getFirstDayOfMonth(params.year, params.month),
+        previousShifts: params.previousMonthSchedule?.[employeeId]
+      }
     );
 
     const totalHours = calculateWorkerHours(shifts, params.shiftTypes);
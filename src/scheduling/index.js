@@ -26,7 +26,8 @@
  *     useGA: true,            // Use Genetic Algorithm (default: true)
  *     greedyFallback: true,   // Fall back to greedy if GA fails (default: true)
  *     gaTimeoutMs: 60000,     // GA timeout in ms (default: 60000)
- *     gaPopulationSize: 50    // GA population size
+ *     gaPopulationSize: 50,   // GA population size
+ *     method: 'exact'         // Complete search first, for small wards (optional)
  *   }
  * });
  *
@@ -40,6 +41,8 @@
 export {
   generateMonthlySchedule,
   regenerateWithModification,
+  diagnoseMonthlySchedule,
+  createScheduleIsland,
   generateDefaultMatrix
 } from './generator';
 
@@ -48,12 +51,24 @@ export { generateOptimalMatrix, DEFAULT_GA_CONFIG } from './matrixGenerator';
 // Constraints - validation functions
 export {
   validateSequenceWithConstraints,
+  prepareValidation,
   wouldViolateConstraints,
-  getValidShiftsForPosition
+  getValidShiftsForPosition,
+  getValidShiftsInRow,
+  expandShiftIds,
+  parseShiftPattern,
+  PATTERN_WILDCARD
 } from './constraints';
 
 // Evaluator - centralized constraint evaluation
-export { evaluateSchedule } from './evaluator';
+export {
+  evaluateSchedule,
+  getCoverageRange,
+  formatCoverageRange,
+  applyCoverageOverrides,
+  countHolidaysWorked,
+  countWishesGranted
+} from './evaluator';
 
 // Optimizer - assignment algorithms
 export {
@@ -61,6 +76,7 @@ export {
   optimizeSchedule,
   solveWithGA,
   solveWithGreedy,
+  solveExact,
 
   // Greedy utilities
   findOptimalMatrixAssignment,
@@ -69,6 +85,35 @@ export {
   analyzeAssignmentQuality
 } from './optimizer';
 
+// Exact search - complete backtracking for small wards
+export { searchExactSchedule, DEFAULT_EXACT_CONFIG } from './exact';
+
+// Conflicts - static analysis of the constraint set before generation
+export { analyzeConstraintSet } from './conflicts';
+
+// Feasibility - staffing arithmetic of coverage vs. contract hours
+export { checkCoverageFeasibility, FULL_TIME_WEEKLY_HOURS } from './feasibility';
+
+// Diagnosis - smallest group of rules that makes a failed month feasible
+export { diagnoseInfeasibility, getViolatedRules, DEFAULT_DIAGNOSIS_CONFIG } from './diagnosis';
+
+// Islands - GA split across a pool of workers that exchange migrants
+export {
+  runIslandPool,
+  runIslandEpoch,
+  getIslandOptions,
+  getDefaultIslandCount,
+  mergeIslandProgress,
+  getBestIslandResult,
+  DEFAULT_ISLAND_CONFIG
+} from './islands';
+
+// Locked shifts - absences and pinned cells the optimizer must keep
+export { getAbsenceLocks, mergeLockedShifts, isShiftLocked, applyLockedShifts } from './locks';
+
+// Preferences - employee wishes (desiderata) as soft objectives
+export { getMonthWishes } from './preferences';
+
 // GA fitness weights - default values for optimization
 export { WEIGHTS, DEFAULT_SCHEDULE_GA_CONFIG } from './ga/index';
 
@@ -0,0 +1,243 @@
+/**
+ * Island-Model GA
+ *
+ * The schedule GA runs on a pool of Web Workers ("islands"). Each island
+ * evolves its own sub-population from the same greedy baseline with its own
+ * operator mix (crossover type, mutation rate, guided or point mutation).
+ * Every `migrationInterval` generations an island
+ * sends copies of its best schedules to the main thread and receives, in
+ * exchange, the latest migrants of the previous island of the ring; they
+ * replace its worst individuals.
+ *
+ * Islands stop on their own (timeout, stagnation, max generations). The
+ * result is the best of the islands' final results (after local search).
+ *
+ * Worker side: runIslandEpoch. Main thread side: runIslandPool.
+ */
+
+import { DEFAULT_SCHEDULE_GA_CONFIG } from './ga/index.js';
+
+/**
+ * Default island parameters
+ */
+export const DEFAULT_ISLAND_CONFIG = {
+  MAX_ISLANDS: 8,
+  MIGRATION_INTERVAL: 50,
+  MIGRANT_COUNT: 3,
+  MIN_POPULATION: 30
+};
+
+// Operator mix by island; island 0 keeps the standard GA operators
+const ISLAND_OPERATOR_MIXES = [
+  { crossoverType: 'employee', mutationScale: 1, guidedMutation: true },
+  { crossoverType: 'uniform', mutationScale: 0.5, guidedMutation: true },
+  { crossoverType: 'single', mutationScale: 1.5, guidedMutation: true },
+  { crossoverType: 'employee', mutationScale: 2, guidedMutation: false }
+];
+
+/**
+ * Default number of islands: one per spare core
+ *
+ * @param {number} [hardwareConcurrency] - navigator.hardwareConcurrency
+ * @returns {number}
+ */
+export const getDefaultIslandCount = (hardwareConcurrency = 1) =>
+  Math.max(1, Math.min(DEFAULT_ISLAND_CONFIG.MAX_ISLANDS, (hardwareConcurrency || 1) - 1));
+
+/**
+ * GA options of one island: its share of the population and its operator mix
+ *
+ * @param {Object} options - GA options of the whole run
+ * @param {number} index - Island index
+ * @param {number} count - Number of islands
+ * @returns {Object} GA options for the island
+ */
+export const getIslandOptions = (options, index, count) => {
+  const mix = ISLAND_OPERATOR_MIXES[index % ISLAND_OPERATOR_MIXES.length];
+  const populationSize = options.populationSize || DEFAULT_SCHEDULE_GA_CONFIG.POPULATION_SIZE;
+  const eliteCount = options.eliteCount || DEFAULT_SCHEDULE_GA_CONFIG.ELITE_COUNT;
+  const mutationRate = options.mutationRate || DEFAULT_SCHEDULE_GA_CONFIG.MUTATION_RATE;
+  const share = Math.min(
+    populationSize,
+    Math.max(DEFAULT_ISLAND_CONFIG.MIN_POPULATION, Math.ceil(populationSize / count))
+  );
+
+  return {
+    ...options,
+    populationSize: share,
+    eliteCount: Math.max(1, Math.round(eliteCount * share / populationSize)),
+    mutationRate: mutationRate * mix.mutationScale,
+    crossoverType: mix.crossoverType,
+    guidedMutation: mix.guidedMutation
+  };
+};
+
+/**
+ * Merge the progress of the islands into the global one shown in the UI
+ *
+ * @param {Array<Object>} progressList - Latest progress of each island that reported
+ * @returns {Object} Progress of the best island, with the generation of the
+ *   most advanced one, the mean average fitness and the number of islands
+ */
+export const mergeIslandProgress = (progressList) => {
+  const best = progressList.reduce((a, b) => (b.bestFitness < a.bestFitness ? b : a));
+  return {
+    ...best,
+    generation: Math.max(...progressList.map(p => p.generation)),
+    avgFitness: progressList.reduce((sum, p) => sum + p.avgFitness, 0) / progressList.length,
+    stagnation: Math.min(...progressList.map(p => p.stagnation)),
+    complete: progressList.every(p => p.complete),
+    islands: progressList.length
+  };
+};
+
+/**
+ * Pick the best of the islands' final results: a valid schedule first, then
+ * the lowest fitness after local search
+ *
+ * @param {Array<Object>} results - GenerationResult of each island
+ * @returns {Object} Best GenerationResult
+ */
+export const getBestIslandResult = (results) => {
+  const rank = (result) => [
+    result.metadata?.failed ? 1 : 0,
+    result.metadata?.stats?.fitness ?? Infinity
+  ];
+  return results.reduce((a, b) => {
+    const [failedA, fitnessA] = rank(a);
+    const [failedB, fitnessB] = rank(b);
+    return failedB < failedA || (failedB === failedA && fitnessB < fitnessA) ? b : a;
+  });
+};
+
+// ============================================
+// WORKER SIDE
+// ============================================
+
+/**
+ * Run one epoch of an island, inside its worker
+ *
+ * Posts PROGRESS every 5 generations, then either MIGRANTS (the island goes
+ * on once it gets IMMIGRANTS back) or ISLAND_DONE with its GenerationResult.
+ *
+ * @param {Object} island - Session of createScheduleIsland (generator.js)
+ * @param {Function} postMessage - Sends a { type, payload } message to the main thread
+ */
+export const runIslandEpoch = (island, postMessage) => {
+  const done = island.evolve((progress) => {
+    postMessage({ type: 'PROGRESS', payload: progress });
+  });
+
+  if (done) {
+    postMessage({
+      type: 'ISLAND_DONE',
+      payload: { progress: island.getProgress(true), result: island.getResult() }
+    });
+  } else {
+    postMessage({
+      type: 'MIGRANTS',
+      payload: { progress: island.getProgress(), migrants: island.getMigrants() }
+    });
+  }
+};
+
+// ============================================
+// MAIN THREAD SIDE
+// ============================================
+
+/**
+ * Run the island GA on a pool of workers
+ *
+ * Migration follows a ring: when island i sends its migrants it gets back
+ * the latest ones of island i-1 not yet delivered (none if i-1 has not sent
+ * any since), so no island ever waits for another.
+ *
+ * @param {Object} params
+ * @param {Object} params.payload - Same payload as the GENERATE worker message
+ * @param {number} params.islandCount
+ * @param {Function} params.createWorker - Returns a new scheduling worker
+ * @param {number} [params.migrationInterval] - Generations between migrations
+ * @param {number} [params.migrantCount] - Schedules sent at each migration
+ * @param {Function} [params.onProgress] - Called with the merged progress
+ * @param {Function} params.onComplete - Called with the best island's GenerationResult
+ * @param {Function} params.onError - Called with the error message
+ * @returns {{terminate: Function}} Stops every worker
+ */
+export const runIslandPool = ({
+  payload,
+  islandCount,
+  createWorker,
+  migrationInterval = DEFAULT_ISLAND_CONFIG.MIGRATION_INTERVAL,
+  migrantCount = DEFAULT_ISLAND_CONFIG.MIGRANT_COUNT,
+  onProgress,
+  onComplete,
+  onError
+}) => {
+  const workers = [];
+  const progress = new Array(islandCount).fill(null);
+  const outbox = new Array(islandCount).fill(null);
+  const results = new Array(islandCount).fill(null);
+  let stopped = false;
+
+  const terminate = () => {
+    stopped = true;
+    workers.forEach(worker => worker.terminate());
+  };
+
+  const reportProgress = () => {
+    if (onProgress) onProgress(mergeIslandProgress(progress.filter(Boolean)));
+  };
+
+  const handleMessage = (index, { type, payload: data }) => {
+    if (stopped) return;
+
+    if (type === 'PROGRESS') {
+      progress[index] = data;
+      reportProgress();
+    } else if (type === 'MIGRANTS') {
+      progress[index] = data.progress;
+      outbox[index] = data.migrants;
+      reportProgress();
+
+      const previous = (index + islandCount - 1) % islandCount;
+      const migrants = previous !== index && outbox[previous] ? outbox[previous] : [];
+      outbox[previous] = null;
+      workers[index].postMessage({ type: 'IMMIGRANTS', payload: { migrants } });
+    } else if (type === 'ISLAND_DONE') {
+      progress[index] = data.progress;
+      results[index] = data;
+      workers[index].terminate();
+      reportProgress();
+
+      if (results.every(Boolean)) {
+        stopped = true;
+        const best = getBestIslandResult(results.map(r => r.result));
+        onComplete({
+          ...best,
+          metadata: { ...best.metadata, islands: islandCount }
+        });
+      }
+    } else if (type === 'ERROR') {
+      terminate();
+      onError(data);
+    }
+  };
+
+  for (let index = 0; index < islandCount; index++) {
+    const worker = createWorker();
+    worker.onmessage = (e) => handleMessage(index, e.data);
+    workers.push(worker);
+  }
+
+  workers.forEach((worker, index) => {
+    worker.postMessage({
+      type: 'ISLAND_START',
+      payload: {
+        ...payload,
+        island: { index, count: islandCount, migrationInterval, migrantCount }
+      }
+    });
+  });
+
+  return { terminate };
+};
@@ -0,0 +1,83 @@
+/**
+ * Locked Shifts
+ *
+ * Cells of the schedule that the optimizer must not change, such as
+ * absences (ferie, malattia, ...) from the employees' calendars and
+ * shifts pinned by hand in the schedule viewer.
+ *
+ * Locked shifts are stored as { employeeId: { dayIndex: shiftId } }
+ * with 0-based day indices in the generated month.
+ */
+
+/**
+ * Build locked shifts from the employees' absence calendars
+ * Each employee may have `absences: { 'YYYY-MM-DD': absenceTypeId }`.
+ *
+ * @param {Array<Object>} employees - Employee list
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {Object<string, Object<number, string>>} Locked shifts by employee
+ */
+export const getAbsenceLocks = (employees, year, month) => {
+  const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}-`;
+  const locks = {};
+
+  for (const emp of employees || []) {
+    for (const [date, absenceId] of Object.entries(emp.absences || {})) {
+      if (!absenceId || !date.startsWith(monthPrefix)) continue;
+      const day = parseInt(date.slice(monthPrefix.length), 10) - 1;
+      if (Number.isNaN(day) || day < 0) continue;
+      if (!locks[emp.id]) locks[emp.id] = {};
+      locks[emp.id][day] = absenceId;
+    }
+  }
+
+  return locks;
+};
+
+/**
+ * Merge several sets of locked shifts
+ * Later sets win on the same cell (e.g. absences over pinned shifts).
+ *
+ * @param {...Object} lockSets - Locked shifts by employee
+ * @returns {Object<string, Object<number, string>>} Merged locked shifts
+ */
+export const mergeLockedShifts = (...lockSets) => {
+  const merged = {};
+  for (const locks of lockSets) {
+    for (const [empId, days] of Object.entries(locks || {})) {
+      merged[empId] = { ...merged[empId], ...days };
+    }
+  }
+  return merged;
+};
+
+/**
+ * Check whether a cell is locked
+ *
+ * @param {Object|null} lockedShifts - Locked shifts by employee
+ * @param {string} employeeId
+ * @param {number} day - Day index (0-based)
+ * @returns {boolean}
+ */
+export const isShiftLocked = (lockedShifts, employeeId, day) => {
+  return !!lockedShifts?.[employeeId] && lockedShifts[employeeId][day] !== undefined;
+};
+
+/**
+ * Write locked shifts into a schedule (modified in place)
+ *
+ * @param {Object<string, Array<string>>} scheduleByEmployee - { empId: shifts[] }
+ * @param {Object|null} lockedShifts - Locked shifts by employee
+ * @returns {Object<string, Array<string>>} The same schedule
+ */
+export const applyLockedShifts = (scheduleByEmployee, lockedShifts) => {
+  for (const [empId, days] of Object.entries(lockedShifts || {})) {
+    const shifts = scheduleByEmployee[empId];
+    if (!shifts) continue;
+    for (const [day, shiftId] of Object.entries(days)) {
+      if (day < shifts.length) shifts[day] = shiftId;
+    }
+  }
+  return scheduleByEmployee;
+};
@@ -11,10 +11,16 @@
  * to ensure global optimization.
  */
 
-import { validateSequenceWithConstraints, getValidShiftsForCyclicPosition } from './constraints.js';
+import {
+  validateSequenceWithConstraints,
+  getValidShiftsForCyclicPosition,
+  resolveShiftGroups,
+  prepareValidation
+} from './constraints.js';
+import { resolveCoverageRules } from './evaluator.js';
 import { evaluateFitness } from './ga/fitness.js';
 import { solveWithGreedy } from './optimizer.js';
-import { getDaysInMonth } from '../utils/dates.js';
+import { getDaysInMonth, getFirstDayOfMonth } from '../utils/dates.js';
 
 /**
  * GA Parameters
@@ -140,7 +146,7 @@ const createSmartIndividual = (rows, cols, allowedShiftTypes, context) => {
     // 2. Determine UNMET requirements
     const neededShifts = [];
     for (const rule of coverageRules) {
-      if (!rule.enabled) continue;
+      if (!rule.enabled || rule.skill) continue; // skill rules overlap headcount rules
       
       let count = 0;
       for (const sId of rule.shiftIds) {
@@ -245,7 +251,7 @@ const createSmartMultiMatrixIndividual = (matrixConfigs, allowedShiftTypesMap, c
     // 2. Identify all required shifts
     const requiredShifts = [];
     for (const rule of coverageRules) {
-      if (!rule.enabled) continue;
+      if (!rule.enabled || rule.skill) continue;
       for (let k = 0; k < rule.min; k++) {
         requiredShifts.push(rule.shiftIds[Math.floor(Math.random() * rule.shiftIds.length)]);
       }
@@ -295,7 +301,7 @@ const createSmartMultiMatrixIndividual = (matrixConfigs, allowedShiftTypesMap, c
  */
 const calculateSingleMatrixFitness = (targetMatrix, targetMatrixId, context) => {
   const {
-    shiftTypes, constraints, coverageRules, employees,
+    shiftTypes, constraints, coverageRules, shiftGroups, preparedValidation, employees,
     year, month, allMatrices, matrixMap: baseMatrixMap
   } = context;
 
@@ -303,7 +309,10 @@ const calculateSingleMatrixFitness = (targetMatrix, targetMatrixId, context) =>
   const snake = targetMatrix.flat();
   const colCount = targetMatrix[0]?.length || 7;
   const extendedSnake = [...snake, ...snake.slice(0, colCount)];
-  const errors = validateSequenceWithConstraints(extendedSnake, constraints, shiftTypes);
+  const errors = validateSequenceWithConstraints(extendedSnake, constraints, shiftTypes, {
+    shiftGroups,
+    prepared: preparedValidation
+  });
   score += errors.length * 10000;
 
   const updatedMatrices = allMatrices.map(m => {
@@ -344,8 +353,11 @@ const calculateSingleMatrixFitness = (targetMatrix, targetMatrixId, context) =>
     shiftTypes,
     constraints,
     coverageRules,
+    shiftGroups,
+    preparedValidation,
     baselineShifts: baselineSchedule,
-    daysInMonth
+    daysInMonth,
+    firstDayOfMonth: getFirstDayOfMonth(year, month)
   };
 
   const evalResult = evaluateFitness({ schedule: baselineSchedule }, evaluationContext);
@@ -355,14 +367,19 @@ const calculateSingleMatrixFitness = (targetMatrix, targetMatrixId, context) =>
 };
 
 const calculateMultiMatrixFitness = (matrices, context) => {
-  const { shiftTypes, constraints, coverageRules, employees, year, month, matrixConfigs } = context;
+  const {
+    shiftTypes, constraints, coverageRules, shiftGroups, preparedValidation, employees, year, month, matrixConfigs
+  } = context;
 
   let score = 0;
   for (const matrix of Object.values(matrices)) {
     const snake = matrix.flat();
     const colCount = matrix[0]?.length || 7;
     const extendedSnake = [...snake, ...snake.slice(0, colCount)];
-    const errors = validateSequenceWithConstraints(extendedSnake, constraints, shiftTypes);
+    const errors = validateSequenceWithConstraints(extendedSnake, constraints, shiftTypes, {
+      shiftGroups,
+      prepared: preparedValidation
+    });
     score += errors.length * 10000;
   }
 
@@ -399,8 +416,11 @@ const calculateMultiMatrixFitness = (matrices, context) => {
     shiftTypes,
     constraints,
     coverageRules,
+    shiftGroups,
+    preparedValidation,
     baselineShifts: baselineSchedule,
-    daysInMonth
+    daysInMonth,
+    firstDayOfMonth: getFirstDayOfMonth(year, month)
   };
 
   const evalResult = evaluateFitness({ schedule: baselineSchedule }, evaluationContext);
@@ -434,7 +454,7 @@ const crossoverMultiMatrix = (p1, p2) => {
   return child;
 };
 
-const mutate = (ind, shiftTypes, rate, constraints = [], allowedShiftTypes = null) => {
+const mutate = (ind, shiftTypes, rate, constraints = [], allowedShiftTypes = null, shiftGroups = []) => {
   const rows = ind.matrix.length;
   const cols = ind.matrix[0].length;
   const availableShifts = allowedShiftTypes || shiftTypes;
@@ -460,7 +480,7 @@ const mutate = (ind, shiftTypes, rate, constraints = [], allowedShiftTypes = nul
           const checkConstraints = Math.random() > 0.02;
 
         const validShifts = (checkConstraints && constraints.length > 0)
-          ? getValidShiftsForCyclicPosition(ind.matrix[r], c, constraints, availableShifts)
+          ? getValidShiftsForCyclicPosition(ind.matrix[r], c, constraints, availableShifts, { shiftGroups })
           : null;
 
         let candidate;
@@ -549,7 +569,7 @@ const mutate = (ind, shiftTypes, rate, constraints = [], allowedShiftTypes = nul
   }
 };
 
-const mutateMultiMatrix = (ind, shiftTypes, rate, constraints = [], allowedShiftTypesMap = {}) => {
+const mutateMultiMatrix = (ind, shiftTypes, rate, constraints = [], allowedShiftTypesMap = {}, shiftGroups = []) => {
   const mustFollowMap = {};
   for (const c of constraints) {
     if (c.enabled && c.type === 'must_follow') {
@@ -578,7 +598,7 @@ const mutateMultiMatrix = (ind, shiftTypes, rate, constraints = [], allowedShift
           const checkConstraints = Math.random() > 0.02;
 
           const validShifts = (checkConstraints && constraints.length > 0)
-            ? getValidShiftsForCyclicPosition(matrix[r], c, constraints, availableShifts)
+            ? getValidShiftsForCyclicPosition(matrix[r], c, constraints, availableShifts, { shiftGroups })
             : null;
 
           let candidate;
@@ -723,6 +743,7 @@ export const generateOptimalMatrix = ({
   shiftTypes,
   constraints,
   coverageRules,
+  shiftGroups = [],
   columnCount = 7,
   employees,
   year = new Date().getFullYear(),
@@ -751,10 +772,16 @@ export const generateOptimalMatrix = ({
     matrixMap[m.id] = m.rows;
   }
 
+  // Groups are resolved against the full shift list once: mutation validates
+  // against per-matrix subsets, where "all working shifts" would shrink.
+  const resolvedGroups = resolveShiftGroups(shiftGroups, shiftTypes);
+
   const context = {
     shiftTypes,
     constraints,
-    coverageRules,
+    coverageRules: resolveCoverageRules(coverageRules, shiftTypes, resolvedGroups),
+    shiftGroups: resolvedGroups,
+    preparedValidation: prepareValidation(constraints, shiftTypes, resolvedGroups),
     employees: employees || [],
     year,
     month,
@@ -812,7 +839,7 @@ export const generateOptimalMatrix = ({
       const p2 = population[Math.floor(Math.random() * (config.POPULATION_SIZE / 2))];
 
       const child = crossover(p1, p2);
-      mutate(child, shiftTypes, config.MUTATION_RATE, constraints, allowedShiftTypes);
+      mutate(child, shiftTypes, config.MUTATION_RATE, constraints, allowedShiftTypes, resolvedGroups);
       child.fitness = calculateSingleMatrixFitness(child.matrix, targetMatrixId, context);
       newPop.push(child);
     }
@@ -847,6 +874,7 @@ export const generateOptimalMatricesJointly = ({
   shiftTypes,
   constraints,
   coverageRules,
+  shiftGroups = [],
   columnCount = 7,
   employees,
   year = new Date().getFullYear(),
@@ -868,10 +896,16 @@ export const generateOptimalMatricesJointly = ({
     colCount: m.rows?.[0]?.length || columnCount
   }));
 
+  // Groups are resolved against the full shift list once: mutation validates
+  // against per-matrix subsets, where "all working shifts" would shrink.
+  const resolvedGroups = resolveShiftGroups(shiftGroups, shiftTypes);
+
   const context = {
     shiftTypes,
     constraints,
-    coverageRules,
+    coverageRules: resolveCoverageRules(coverageRules, shiftTypes, resolvedGroups),
+    shiftGroups: resolvedGroups,
+    preparedValidation: prepareValidation(constraints, shiftTypes, resolvedGroups),
     employees: employees || [],
     year,
     month,
@@ -944,7 +978,7 @@ export const generateOptimalMatricesJointly = ({
       const p2 = population[Math.floor(Math.random() * (config.POPULATION_SIZE / 2))];
 
       const child = crossoverMultiMatrix(p1, p2);
-      mutateMultiMatrix(child, shiftTypes, config.MUTATION_RATE, constraints, allowedShiftTypesMap);
+      mutateMultiMatrix(child, shiftTypes, config.MUTATION_RATE, constraints, allowedShiftTypesMap, resolvedGroups);
       child.fitness = calculateMultiMatrixFitness(child.matrices, context);
       newPop.push(child);
     }
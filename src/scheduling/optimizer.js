@@ -11,148 +11,221 @@
  * 2. Greedy Assignment (Fallback) - Fast heuristic approach
  *    - Uses matrix patterns with continuity scoring
  *    - Used as baseline for GA and quick generation
+ *
+ * 3. Exact Search (method: 'exact') - Complete backtracking for small wards
+ *    - Finds a schedule with no hard violations or proves none exists
+ *    - Falls back to the GA on timeout
  */
 
-import { runGeneticAlgorithm, DEFAULT_SCHEDULE_GA_CONFIG } from './ga/index.js';
+import {
+  runGeneticAlgorithm,
+  createScheduleGA,
+  runLocalSearch,
+  DEFAULT_SCHEDULE_GA_CONFIG,
+  DEFAULT_LOCAL_SEARCH_CONFIG
+} from './ga/index.js';
 import { getFirstDayOfMonth } from '../utils/dates.js';
+import { applyLockedShifts } from './locks.js';
+import { searchExactSchedule, DEFAULT_EXACT_CONFIG } from './exact.js';
 
 // ============================================
 // GENETIC ALGORITHM OPTIMIZATION (Primary)
 // ============================================
 
 /**
- * Generate schedule using Genetic Algorithm
+ * Build the GA params: greedy baseline and options with defaults
  *
- * @param {Object} params
- * @param {number} params.year
- * @param {number} params.month
- * @param {number} params.daysInMonth
- * @param {Array<Object>} params.employees
- * @param {Array<Object>} params.shiftTypes
- * @param {Array<Object>} params.matrices - Array of { id, name, rows } matrix objects
- * @param {Object} params.matrixMap - Map from matrixId to matrix rows
- * @param {Array<Array<string>>} params.defaultMatrix - Default matrix rows (first matrix)
- * @param {Array<Object>} params.constraints - Application constraints
- * @param {Object<string, number>} params.requirements - Coverage requirements
- * @param {Object} params.options - GA options
- * @returns {Object} Result with schedule and metadata
+ * @param {Object} params - Same as solveWithGA
+ * @returns {{gaParams: Object, initialAssignments: Array<Object>}}
  */
-export const solveWithGA = (params) => {
+const prepareGA = (params) => {
   const {
+    year,
+    month,
     daysInMonth,
     employees,
     shiftTypes,
     constraints,
     coverageRules,
+    shiftGroups = [],
+    previousMonthSchedule,
+    holidays = [],
+    lockedShifts = {},
+    wishes = {},
     options = {}
   } = params;
 
-  try {
-    // Use solveWithGreedy to generate the baseline schedule
-    // This handles global phase synchronization and matrix unraveling
-    const greedyResult = solveWithGreedy(params);
-
-    // Extract shifts from greedy result to use as baseline
-    const baselineShifts = {};
-    for (const emp of employees) {
-      if (greedyResult.schedule[emp.id]?.shifts) {
-        baselineShifts[emp.id] = greedyResult.schedule[emp.id].shifts;
-      }
+  // Use solveWithGreedy to generate the baseline schedule
+  // This handles global phase synchronization and matrix unraveling
+  const greedyResult = solveWithGreedy(params);
+
+  // Extract shifts from greedy result to use as baseline
+  const baselineShifts = {};
+  for (const emp of employees) {
+    if (greedyResult.schedule[emp.id]?.shifts) {
+      baselineShifts[emp.id] = greedyResult.schedule[emp.id].shifts;
     }
+  }
 
-    // Get assignments from greedy result for metadata
-    const initialAssignments = greedyResult.assignments || [];
-    console.log('[Optimizer] Baseline from greedy, assignments sample:', initialAssignments.slice(0, 3));
-
-    // Build GA options explicitly using single source of truth for defaults
-    const gaOptions = {
-      populationSize: options.populationSize || DEFAULT_SCHEDULE_GA_CONFIG.POPULATION_SIZE,
-      maxGenerations: options.maxGenerations || DEFAULT_SCHEDULE_GA_CONFIG.MAX_GENERATIONS,
-      timeoutMs: options.timeoutMs || DEFAULT_SCHEDULE_GA_CONFIG.TIMEOUT_MS,
-      stagnationLimit: options.stagnationLimit || DEFAULT_SCHEDULE_GA_CONFIG.STAGNATION_LIMIT,
-      eliteCount: options.eliteCount || DEFAULT_SCHEDULE_GA_CONFIG.ELITE_COUNT,
-      mutationRate: options.mutationRate || DEFAULT_SCHEDULE_GA_CONFIG.MUTATION_RATE,
-      weights: options.weights,
-      baselineAdherence: options.baselineAdherence
-    };
+  // Get assignments from greedy result for metadata
+  const initialAssignments = greedyResult.assignments || [];
+  console.log('[Optimizer] Baseline from greedy, assignments sample:', initialAssignments.slice(0, 3));
+
+  // Build GA options explicitly using single source of truth for defaults
+  const gaOptions = {
+    populationSize: options.populationSize || DEFAULT_SCHEDULE_GA_CONFIG.POPULATION_SIZE,
+    maxGenerations: options.maxGenerations || DEFAULT_SCHEDULE_GA_CONFIG.MAX_GENERATIONS,
+    timeoutMs: options.timeoutMs || DEFAULT_SCHEDULE_GA_CONFIG.TIMEOUT_MS,
+    stagnationLimit: options.stagnationLimit || DEFAULT_SCHEDULE_GA_CONFIG.STAGNATION_LIMIT,
+    eliteCount: options.eliteCount || DEFAULT_SCHEDULE_GA_CONFIG.ELITE_COUNT,
+    mutationRate: options.mutationRate || DEFAULT_SCHEDULE_GA_CONFIG.MUTATION_RATE,
+    weights: options.weights,
+    baselineAdherence: options.baselineAdherence,
+    crossoverType: options.crossoverType,
+    guidedMutation: options.guidedMutation,
+    coverageRepairRate: options.coverageRepairRate
+  };
 
-    console.log('[GA] Running with options:', gaOptions);
+  console.log('[GA] Running with options:', gaOptions);
 
-    // Pass baselineShifts directly - GA evolves from greedy solution
-    const result = runGeneticAlgorithm({
+  // Pass baselineShifts directly - GA evolves from greedy solution
+  return {
+    gaParams: {
       daysInMonth,
+      firstDayOfMonth: getFirstDayOfMonth(year, month),
+      previousMonthSchedule,
+      holidays,
+      lockedShifts,
+      wishes,
       employees,
       shiftTypes,
       baselineShifts,
       constraints,
       coverageRules,
+      shiftGroups,
       options: gaOptions,
       onProgress: options.onProgress
-    });
+    },
+    initialAssignments
+  };
+};
 
-    // Check if the solution is actually valid (all hard constraints met)
-    if (!result.evaluation || !result.evaluation.isValid) {
-      // Still build the schedule from the best result found, so user can view it
-      const failedSchedule = {};
-      for (const emp of employees) {
-        const shifts = result.schedule[emp.id];
-        const assignment = initialAssignments.find(a => a.employeeId === emp.id);
-
-        if (shifts) {
-          failedSchedule[emp.id] = {
-            shifts,
-            source: 'ga-failed',
-            matrixRow: assignment?.matrixRow ?? 0,
-            dayOffset: assignment?.dayOffset ?? 0,
-            continuityScore: assignment?.continuityScore
-          };
-        }
-      }
+// Local search budget of a GA run (options.localSearchTimeoutMs, 0 disables it)
+const getLocalSearchTimeout = (params) =>
+  params.options?.localSearchTimeoutMs ?? DEFAULT_LOCAL_SEARCH_CONFIG.TIMEOUT_MS;
 
-      return {
-        success: false,
-        reason: 'constraints_violated',
-        error: 'Unable to find a solution that satisfies all hard constraints.',
-        method: 'ga',
-        schedule: failedSchedule, // Include best schedule found even on failure
-        stats: result.evaluation ? {
-          fitness: result.fitness,
-          constraintViolations: result.evaluation.components.constraintViolations,
-          coverageViolations: result.evaluation.components.coverageViolations,
-          coverageDetails: result.evaluation.coverageDetails || []
-        } : null,
-        evaluation: result.evaluation
-      };
-    }
+/**
+ * Memetic phase: local search on the best GA schedule (see ga/localSearch.js)
+ *
+ * @param {Object} result - Result of runGeneticAlgorithm
+ * @param {Object} gaParams - Params the GA ran with
+ * @param {number} timeoutMs - Local search budget, 0 to skip it
+ * @returns {Object} GA result, with the improved schedule if any
+ */
+const improveWithLocalSearch = (result, gaParams, timeoutMs) => {
+  if (!(timeoutMs > 0) || !result.schedule) return result;
 
-    // Convert GA result to optimizer format
-    const schedule = {};
-    for (const emp of employees) {
-      const shifts = result.schedule[emp.id];
-      const assignment = initialAssignments.find(a => a.employeeId === emp.id);
-
-      if (shifts) {
-        schedule[emp.id] = {
-          shifts,
-          source: 'ga',
-          matrixRow: assignment?.matrixRow ?? 0,
-          dayOffset: assignment?.dayOffset ?? 0,
-          continuityScore: assignment?.continuityScore
-        };
-      }
+  const search = runLocalSearch(result.schedule, { ...gaParams, weights: gaParams.options.weights }, { timeoutMs });
+  console.log(`[LocalSearch] ${search.moves} moves, fitness ${result.fitness} -> ${search.fitness} (${search.stopReason}, ${search.timeMs}ms)`);
+  if (search.moves === 0) return result;
+
+  return {
+    ...result,
+    schedule: search.schedule,
+    fitness: search.fitness,
+    evaluation: search.evaluation,
+    localSearchMoves: search.moves,
+    timeMs: result.timeMs + search.timeMs
+  };
+};
+
+/**
+ * Convert a GA result to the optimizer format
+ *
+ * @param {Object} result - Result of runGeneticAlgorithm
+ * @param {Array<Object>} employees
+ * @param {Array<Object>} initialAssignments - Matrix assignments of the greedy baseline
+ * @returns {Object} Optimizer result (success is false when hard constraints are violated)
+ */
+const toOptimizerResult = (result, employees, initialAssignments) => {
+  // Check if the solution is actually valid (all hard constraints met)
+  const isValid = !!result.evaluation?.isValid;
+
+  // On failure the schedule is still built from the best result found, so user can view it
+  const schedule = {};
+  for (const emp of employees) {
+    const shifts = result.schedule[emp.id];
+    const assignment = initialAssignments.find(a => a.employeeId === emp.id);
+
+    if (shifts) {
+      schedule[emp.id] = {
+        shifts,
+        source: isValid ? 'ga' : 'ga-failed',
+        matrixRow: assignment?.matrixRow ?? 0,
+        dayOffset: assignment?.dayOffset ?? 0,
+        continuityScore: assignment?.continuityScore
+      };
     }
+  }
 
+  if (!isValid) {
     return {
-      success: true,
-      schedule,
+      success: false,
+      reason: 'constraints_violated',
+      error: 'Unable to find a solution that satisfies all hard constraints.',
       method: 'ga',
-      stats: {
-        generations: result.generations,
+      schedule, // Include best schedule found even on failure
+      stats: result.evaluation ? {
         fitness: result.fitness,
-        timeMs: result.timeMs
-      },
+        constraintViolations: result.evaluation.components.constraintViolations,
+        coverageViolations: result.evaluation.components.coverageViolations,
+        coverageDetails: result.evaluation.coverageDetails || []
+      } : null,
       evaluation: result.evaluation
     };
+  }
+
+  return {
+    success: true,
+    schedule,
+    method: 'ga',
+    stats: {
+      generations: result.generations,
+      fitness: result.fitness,
+      timeMs: result.timeMs,
+      localSearchMoves: result.localSearchMoves || 0
+    },
+    evaluation: result.evaluation
+  };
+};
+
+/**
+ * Generate schedule using Genetic Algorithm
+ *
+ * @param {Object} params
+ * @param {number} params.year
+ * @param {number} params.month
+ * @param {number} params.daysInMonth
+ * @param {Array<Object>} params.employees
+ * @param {Array<Object>} params.shiftTypes
+ * @param {Array<Object>} params.matrices - Array of { id, name, rows } matrix objects
+ * @param {Object} params.matrixMap - Map from matrixId to matrix rows
+ * @param {Array<Array<string>>} params.defaultMatrix - Default matrix rows (first matrix)
+ * @param {Array<Object>} params.constraints - Application constraints
+ * @param {Array<Object>} params.shiftGroups - Shift groups referenced by constraints/rules
+ * @param {Array<number>} params.holidays - Holiday day indices, 0-based (optional)
+ * @param {Object} params.lockedShifts - Cells the GA must keep, { empId: { day: shiftId } } (optional)
+ * @param {Object} params.wishes - Employee wishes (soft), { empId: [{ day, shiftId, type }] } (optional)
+ * @param {Object<string, number>} params.requirements - Coverage requirements
+ * @param {Object} params.options - GA options, plus localSearchTimeoutMs (budget of the
+ *   local search run on the best GA schedule, 0 to skip it)
+ * @returns {Object} Result with schedule and metadata
+ */
+export const solveWithGA = (params) => {
+  try {
+    const { gaParams, initialAssignments } = prepareGA(params);
+    const result = improveWithLocalSearch(runGeneticAlgorithm(gaParams), gaParams, getLocalSearchTimeout(params));
+    return toOptimizerResult(result, params.employees, initialAssignments);
   } catch (error) {
     return {
       success: false,
@@ -163,6 +236,116 @@ export const solveWithGA = (params) => {
   }
 };
 
+/**
+ * Start a GA that evolves step by step, for island workers (see islands.js)
+ *
+ * @param {Object} params - Same as solveWithGA
+ * @returns {Object} ScheduleGA (see createScheduleGA) whose getResult() returns
+ *   the optimizer result, like solveWithGA
+ */
+export const createGAIsland = (params) => {
+  const { gaParams, initialAssignments } = prepareGA(params);
+  const ga = createScheduleGA(gaParams);
+  return {
+    ...ga,
+    getResult: () => toOptimizerResult(
+      improveWithLocalSearch(ga.getResult(), gaParams, getLocalSearchTimeout(params)),
+      params.employees,
+      initialAssignments
+    )
+  };
+};
+
+// ============================================
+// EXACT SEARCH (small wards)
+// ============================================
+
+/**
+ * Generate schedule with the exact backtracking search
+ * The greedy schedule is the baseline: its shift is tried first in every cell.
+ *
+ * @param {Object} params - Same as solveWithGA
+ * @param {Object} params.options - { timeoutMs }
+ * @returns {Object} Result with schedule and metadata ('no_solution' means proven infeasible,
+ *   'too_large' that the ward has more than DEFAULT_EXACT_CONFIG.MAX_EMPLOYEES employees)
+ */
+export const solveExact = (params) => {
+  const {
+    year,
+    month,
+    daysInMonth,
+    employees,
+    shiftTypes,
+    constraints,
+    coverageRules,
+    shiftGroups = [],
+    previousMonthSchedule,
+    holidays = [],
+    lockedShifts = {},
+    options = {}
+  } = params;
+
+  if (employees.length > DEFAULT_EXACT_CONFIG.MAX_EMPLOYEES) {
+    return {
+      success: false,
+      reason: 'too_large',
+      error: `Exact search is limited to ${DEFAULT_EXACT_CONFIG.MAX_EMPLOYEES} employees.`,
+      method: 'exact'
+    };
+  }
+
+  const greedyResult = solveWithGreedy(params);
+  const baselineShifts = {};
+  for (const emp of employees) {
+    if (greedyResult.schedule[emp.id]?.shifts) {
+      baselineShifts[emp.id] = greedyResult.schedule[emp.id].shifts;
+    }
+  }
+  const initialAssignments = greedyResult.assignments || [];
+
+  const result = searchExactSchedule({
+    daysInMonth,
+    firstDayOfMonth: getFirstDayOfMonth(year, month),
+    employees,
+    shiftTypes,
+    constraints,
+    coverageRules,
+    shiftGroups,
+    holidays,
+    lockedShifts,
+    previousMonthSchedule,
+    baselineShifts,
+    timeoutMs: options.timeoutMs || DEFAULT_EXACT_CONFIG.TIMEOUT_MS
+  });
+  const stats = { nodes: result.nodes, timeMs: result.timeMs };
+
+  if (result.status !== 'solved') {
+    return {
+      success: false,
+      reason: result.status === 'infeasible' ? 'no_solution' : 'timeout',
+      error: result.status === 'infeasible'
+        ? 'No schedule satisfies all hard constraints (search space exhausted).'
+        : 'Exact search timed out.',
+      method: 'exact',
+      stats
+    };
+  }
+
+  const schedule = {};
+  for (const emp of employees) {
+    const assignment = initialAssignments.find(a => a.employeeId === emp.id);
+    schedule[emp.id] = {
+      shifts: result.schedule[emp.id],
+      source: 'exact',
+      matrixRow: assignment?.matrixRow ?? 0,
+      dayOffset: assignment?.dayOffset ?? 0,
+      continuityScore: assignment?.continuityScore
+    };
+  }
+
+  return { success: true, schedule, method: 'exact', stats };
+};
+
 // ============================================
 // GREEDY OPTIMIZATION (Fallback)
 // ============================================
@@ -452,6 +635,7 @@ export const solveWithGreedy = (params) => {
     matrixMap,
     defaultMatrix,
     previousMonthSchedule,
+    lockedShifts,
     cycleLength
   } = params;
 
@@ -550,6 +734,7 @@ export const solveWithGreedy = (params) => {
         const patternIndex = (startIndex + day + effectiveDOW) % fullPattern.length;
         shifts.push(fullPattern[patternIndex]);
       }
+      applyLockedShifts({ [emp.id]: shifts }, lockedShifts);
 
       schedule[emp.id] = {
         shifts,
@@ -582,6 +767,10 @@ export const solveWithGreedy = (params) => {
  * @param {boolean} options.useGA - Whether to use GA (default: true)
  * @param {boolean} options.greedyFallback - Fall back to greedy if GA fails (default: true)
  * @param {number} options.gaTimeoutMs - GA timeout (default: 60000)
+ * @param {number} options.gaCoverageRepairRate - Probability of a coverage repair on each GA child
+ * @param {string} options.method - 'exact' to run the exact search first (default: GA)
+ * @param {number} options.exactTimeoutMs - Exact search timeout, then the GA takes over
+ * @param {number} options.localSearchTimeoutMs - Local search budget after the GA (0 disables it)
  * @returns {Object} Optimization result
  */
 export const optimizeSchedule = (params, options = {}) => {
@@ -594,11 +783,25 @@ export const optimizeSchedule = (params, options = {}) => {
     gaStagnationLimit = DEFAULT_SCHEDULE_GA_CONFIG.STAGNATION_LIMIT,
     gaEliteCount = DEFAULT_SCHEDULE_GA_CONFIG.ELITE_COUNT,
     gaMutationRate = DEFAULT_SCHEDULE_GA_CONFIG.MUTATION_RATE,
+    gaCoverageRepairRate = DEFAULT_SCHEDULE_GA_CONFIG.COVERAGE_REPAIR_RATE,
     weights,
-    baselineAdherence
+    baselineAdherence,
+    method,
+    exactTimeoutMs = DEFAULT_EXACT_CONFIG.TIMEOUT_MS,
+    localSearchTimeoutMs
   } = options;
 
-  // Try GA optimizer first
+  // Exact search: a proof of infeasibility is final, a timeout (or a ward too
+  // large for it) hands over to the GA
+  if (method === 'exact') {
+    const exactResult = solveExact({ ...params, options: { timeoutMs: exactTimeoutMs } });
+    if (exactResult.success || exactResult.reason === 'no_solution') {
+      return exactResult;
+    }
+    console.log(`Exact search failed: ${exactResult.reason}, falling back to GA`);
+  }
+
+  // GA optimizer
   if (useGA) {
     const gaResult = solveWithGA({
       ...params,
@@ -609,9 +812,11 @@ export const optimizeSchedule = (params, options = {}) => {
         stagnationLimit: gaStagnationLimit,
         eliteCount: gaEliteCount,
         mutationRate: gaMutationRate,
+        coverageRepairRate: gaCoverageRepairRate,
         weights: weights,
         onProgress: options.onProgress,
-        baselineAdherence
+        baselineAdherence,
+        localSearchTimeoutMs
       }
     });
 
@@ -0,0 +1,53 @@
+/**
+ * Employee Preferences ("desiderata")
+ *
+ * Wishes submitted by the employees, e.g. "prefer RP on the 12th" or
+ * "no N from the 20th to the 22nd". They are soft objectives: the GA
+ * pays WEIGHTS.WISH_DENIED for each wish it does not grant.
+ *
+ * Each employee may have `preferences: [{ id, from, to, shiftId, type }]`
+ * with ISO dates (`to` optional, inclusive) and type 'prefer' or 'avoid'.
+ * Month wishes are stored as { employeeId: [{ day, shiftId, type }] }
+ * with 0-based day indices in the generated month.
+ */
+
+import { getDaysInMonth } from '../utils/dates.js';
+
+/**
+ * Expand the employees' preferences into wishes for one month
+ *
+ * @param {Array<Object>} employees - Employee list
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @returns {Object<string, Array<{day: number, shiftId: string, type: string}>>} Wishes by employee
+ */
+export const getMonthWishes = (employees, year, month) => {
+  const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}-`;
+  const daysInMonth = getDaysInMonth(year, month);
+  const monthStart = `${monthPrefix}01`;
+  const monthEnd = `${monthPrefix}${String(daysInMonth).padStart(2, '0')}`;
+  const wishes = {};
+
+  for (const emp of employees || []) {
+    for (const pref of emp.preferences || []) {
+      if (!pref.from || !pref.shiftId) continue;
+      const to = pref.to && pref.to >= pref.from ? pref.to : pref.from;
+      if (to < monthStart || pref.from > monthEnd) continue;
+
+      // Clip the (inclusive) date range to the month
+      const firstDay = pref.from < monthStart ? 0 : parseInt(pref.from.slice(8), 10) - 1;
+      const lastDay = to > monthEnd ? daysInMonth - 1 : parseInt(to.slice(8), 10) - 1;
+
+      if (!wishes[emp.id]) wishes[emp.id] = [];
+      for (let day = firstDay; day <= lastDay; day++) {
+        wishes[emp.id].push({
+          day,
+          shiftId: pref.shiftId,
+          type: pref.type === 'avoid' ? 'avoid' : 'prefer'
+        });
+      }
+    }
+  }
+
+  return wishes;
+};
@@ -1,5 +1,11 @@
-import { generateMonthlySchedule } from './generator.js';
+import { generateMonthlySchedule, diagnoseMonthlySchedule, createScheduleIsland } from './generator.js';
 import { generateOptimalMatrix, generateOptimalMatricesJointly } from './matrixGenerator.js';
+import { runIslandEpoch } from './islands.js';
+
+// Island session of this worker, when it runs as an island (see islands.js)
+let island = null;
+
+const postMessage = (message) => self.postMessage(message);
 
 self.onmessage = (e) => {
   const { type, payload } = e.data;
@@ -19,6 +25,31 @@ self.onmessage = (e) => {
     } catch (error) {
       self.postMessage({ type: 'ERROR', payload: error.message });
     }
+  } else if (type === 'ISLAND_START' || type === 'IMMIGRANTS') {
+    // One epoch of the island-model GA; the main thread answers MIGRANTS with IMMIGRANTS
+    try {
+      if (type === 'ISLAND_START') {
+        island = createScheduleIsland(payload);
+      } else {
+        island.receiveMigrants(payload.migrants);
+      }
+      runIslandEpoch(island, postMessage);
+    } catch (error) {
+      self.postMessage({ type: 'ERROR', payload: error.message });
+    }
+  } else if (type === 'DIAGNOSE') {
+    // Short GA runs with rules relaxed, after a failed generation
+    try {
+      const result = diagnoseMonthlySchedule({
+        ...payload,
+        onProgress: (progress) => {
+          self.postMessage({ type: 'PROGRESS', payload: progress });
+        }
+      });
+      self.postMessage({ type: 'SUCCESS', payload: result });
+    } catch (error) {
+      self.postMessage({ type: 'ERROR', payload: error.message });
+    }
   } else if (type === 'GENERATE_MATRIX') {
     // Generate optimal single matrix (others held constant)
     try {
@@ -46,3 +46,91 @@ export const calculateMonthlyHours = (weeklyHours, year, month) => {
   const weeks = getWeeksInMonth(year, month);
   return Math.round(weeklyHours * weeks);
 };
+
+// ============================================
+// HOLIDAYS
+// ============================================
+
+/**
+ * Italian national holidays on fixed dates (month index 0-11, day 1-31)
+ */
+const ITALIAN_FIXED_HOLIDAYS = [
+  { month: 0, day: 1, name: 'Capodanno' },
+  { month: 0, day: 6, name: 'Epifania' },
+  { month: 3, day: 25, name: 'Festa della Liberazione' },
+  { month: 4, day: 1, name: 'Festa del Lavoro' },
+  { month: 5, day: 2, name: 'Festa della Repubblica' },
+  { month: 7, day: 15, name: 'Ferragosto' },
+  { month: 9, day: 4, name: "San Francesco d'Assisi", since: 2026 },
+  { month: 10, day: 1, name: 'Ognissanti' },
+  { month: 11, day: 8, name: 'Immacolata Concezione' },
+  { month: 11, day: 25, name: 'Natale' },
+  { month: 11, day: 26, name: 'Santo Stefano' }
+];
+
+/**
+ * Compute Easter Sunday (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Full year
+ * @returns {{month: number, day: number}} Month index (0-11) and day of month
+ */
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const n = h + l - 7 * m + 114;
+  return { month: Math.floor(n / 31) - 1, day: (n % 31) + 1 };
+};
+
+/**
+ * Get all Italian holidays for a year, including Easter and Easter Monday
+ * @param {number} year - Full year
+ * @param {Object|null} patronSaint - Local patron day { month (0-11), day, name }
+ * @returns {Array<{month: number, day: number, name: string}>} Holidays sorted by date
+ */
+export const getItalianHolidays = (year, patronSaint = null) => {
+  const easter = getEasterSunday(year);
+  const easterMonday = new Date(year, easter.month, easter.day + 1);
+
+  const holidays = [
+    ...ITALIAN_FIXED_HOLIDAYS
+      .filter(h => !h.since || year >= h.since)
+      .map(({ month, day, name }) => ({ month, day, name })),
+    { month: easter.month, day: easter.day, name: 'Pasqua' },
+    { month: easterMonday.getMonth(), day: easterMonday.getDate(), name: "Lunedì dell'Angelo" }
+  ];
+
+  if (patronSaint && patronSaint.day) {
+    const alreadyHoliday = holidays.some(h => h.month === patronSaint.month && h.day === patronSaint.day);
+    if (!alreadyHoliday) {
+      holidays.push({
+        month: patronSaint.month,
+        day: patronSaint.day,
+        name: patronSaint.name || 'Santo Patrono'
+      });
+    }
+  }
+
+  return holidays.sort((a, b) => a.month - b.month || a.day - b.day);
+};
+
+/**
+ * Get the holidays falling in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {Object|null} patronSaint - Local patron day { month (0-11), day, name }
+ * @returns {Array<{dayOfMonth: number, name: string}>} Holidays (day of month is 1-based)
+ */
+export const getHolidaysInMonth = (year, month, patronSaint = null) => {
+  return getItalianHolidays(year, patronSaint)
+    .filter(h => h.month === month)
+    .map(h => ({ dayOfMonth: h.day, name: h.name }));
+};
@@ -17,8 +17,10 @@ const WEEKDAYS = ['LUN', 'MAR', 'MER', 'GIO', 'VEN', 'SAB', 'DOM'];
  * @param {number} params.year - Year
  * @param {number} params.month - Month index (0-11)
  * @param {Object} params.facility - Facility configuration
+ * @param {Array<Object>} [params.holidays] - Holidays in the month ({ dayOfMonth, name })
+ * @param {Object<string, number>} [params.holidaysWorked] - Holidays worked by employee ID
  */
-export const exportToExcel = ({ schedule, employees, shiftTypes, year, month, facility }) => {
+export const exportToExcel = ({ schedule, employees, shiftTypes, year, month, facility, holidays = [], holidaysWorked = {} }) => {
   const daysInMonth = getDaysInMonth(year, month);
   const firstDay = getFirstDayOfMonth(year, month);
 
@@ -27,23 +29,24 @@ export const exportToExcel = ({ schedule, employees, shiftTypes, year, month, fa
 
   // Header row with month/year and facility name
   const headerRow = ['', MONTHS[month], year];
-  for (let i = 3; i < daysInMonth + 5; i++) headerRow.push('');
+  for (let i = 3; i < daysInMonth + 6; i++) headerRow.push('');
   headerRow[daysInMonth + 3] = facility.name;
   data.push(headerRow);
 
   // Day numbers row
   const dayNumRow = ['Ore Contr.', 'Cognome Nome'];
   for (let i = 1; i <= daysInMonth; i++) dayNumRow.push(i);
-  dayNumRow.push('TOT ORE', 'DIFF');
+  dayNumRow.push('TOT ORE', 'DIFF', 'FESTIVI');
   data.push(dayNumRow);
 
-  // Day names row
+  // Day names row (holidays marked as FEST)
+  const holidayDays = new Set(holidays.map(h => h.dayOfMonth));
   const dayNameRow = ['', ''];
   for (let i = 0; i < daysInMonth; i++) {
     const dow = (firstDay + i) % 7;
-    dayNameRow.push(WEEKDAYS[dow]);
+    dayNameRow.push(holidayDays.has(i + 1) ? 'FEST' : WEEKDAYS[dow]);
   }
-  dayNameRow.push('', '');
+  dayNameRow.push('', '', '');
   data.push(dayNameRow);
 
   // Employee rows
@@ -53,7 +56,7 @@ export const exportToExcel = ({ schedule, employees, shiftTypes, year, month, fa
 
     const shiftRow = [emp.contractHours, `${emp.surname} ${emp.name}`];
     empSchedule.shifts.forEach(shift => shiftRow.push(shift));
-    shiftRow.push(empSchedule.totalHours, empSchedule.hoursDiff);
+    shiftRow.push(empSchedule.totalHours, empSchedule.hoursDiff, holidaysWorked[emp.id] || 0);
     data.push(shiftRow);
   });
 
@@ -62,7 +65,7 @@ export const exportToExcel = ({ schedule, employees, shiftTypes, year, month, fa
   // Set column widths
   const colWidths = [{ wch: 10 }, { wch: 22 }];
   for (let i = 0; i < daysInMonth; i++) colWidths.push({ wch: 5 });
-  colWidths.push({ wch: 8 }, { wch: 6 });
+  colWidths.push({ wch: 8 }, { wch: 6 }, { wch: 8 });
   ws['!cols'] = colWidths;
 
   XLSX.utils.book_append_sheet(wb, ws, facility.name);
@@ -94,6 +97,10 @@ export const parsePreviousMonthSchedule = (data, employees) => {
   const previousSchedule = {};
   let matchedCount = 0;
 
+  // Exports have a 'TOT ORE' header; older files just end with 2 total columns
+  const headerRow = jsonData.find(row => Array.isArray(row) && row.includes('TOT ORE'));
+  const totalsCol = headerRow ? headerRow.indexOf('TOT ORE') : -1;
+
   for (let rowIdx = 0; rowIdx < jsonData.length; rowIdx++) {
     const row = jsonData[rowIdx];
     if (!row || row.length < 3) continue;
@@ -113,9 +120,10 @@ export const parsePreviousMonthSchedule = (data, employees) => {
     });
 
     if (matchedEmp) {
-      // Extract shifts (columns 2 onwards, skip last 2 which are totals)
+      // Extract shifts (columns 2 onwards, up to the totals columns)
       const shifts = [];
-      for (let col = 2; col < row.length - 2; col++) {
+      const lastShiftCol = totalsCol !== -1 ? totalsCol : row.length - 2;
+      for (let col = 2; col < lastShiftCol; col++) {
         const cellValue = String(row[col] || '').trim().toUpperCase();
         if (cellValue && cellValue !== '') {
           shifts.push(cellValue);